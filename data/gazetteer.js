@@ -0,0 +1,342 @@
+/**
+ * Local gazetteer for placing member locations on the map without a geocoding service.
+ *
+ * countries: ISO code → [name, continent, latitude, longitude, aliases]
+ * admin1:    ISO code → { state/province code: name }
+ * cities:    [name, country code, admin1 code, latitude, longitude, aliases]
+ */
+
+window.GAZETTEER_DATA = {
+    countries: {
+        US: ['United States', 'North America', 39.8, -98.6, ['usa', 'us', 'u.s.', 'u.s.a.', 'america', 'united states of america']],
+        CA: ['Canada', 'North America', 56.1, -106.3, []],
+        MX: ['Mexico', 'North America', 23.6, -102.6, ['méxico']],
+        CR: ['Costa Rica', 'North America', 9.7, -83.8, []],
+        PA: ['Panama', 'North America', 8.5, -80.8, ['panamá']],
+        SV: ['El Salvador', 'North America', 13.8, -88.9, []],
+        PR: ['Puerto Rico', 'North America', 18.2, -66.5, []],
+        BR: ['Brazil', 'South America', -14.2, -51.9, ['brasil']],
+        AR: ['Argentina', 'South America', -38.4, -63.6, []],
+        CL: ['Chile', 'South America', -35.7, -71.5, []],
+        CO: ['Colombia', 'South America', 4.6, -74.3, []],
+        PE: ['Peru', 'South America', -9.2, -75.0, ['perú']],
+        UY: ['Uruguay', 'South America', -32.5, -55.8, []],
+        VE: ['Venezuela', 'South America', 6.4, -66.6, []],
+        EC: ['Ecuador', 'South America', -1.8, -78.2, []],
+        GB: ['United Kingdom', 'Europe', 54.0, -2.5, ['uk', 'u.k.', 'great britain', 'britain', 'england', 'scotland', 'wales']],
+        IE: ['Ireland', 'Europe', 53.4, -8.2, []],
+        FR: ['France', 'Europe', 46.2, 2.2, []],
+        DE: ['Germany', 'Europe', 51.2, 10.4, ['deutschland']],
+        NL: ['Netherlands', 'Europe', 52.1, 5.3, ['the netherlands', 'holland']],
+        BE: ['Belgium', 'Europe', 50.5, 4.5, []],
+        CH: ['Switzerland', 'Europe', 46.8, 8.2, []],
+        AT: ['Austria', 'Europe', 47.5, 14.6, []],
+        ES: ['Spain', 'Europe', 40.5, -3.7, ['españa']],
+        PT: ['Portugal', 'Europe', 39.4, -8.2, []],
+        IT: ['Italy', 'Europe', 41.9, 12.6, ['italia']],
+        GR: ['Greece', 'Europe', 39.1, 21.8, []],
+        SE: ['Sweden', 'Europe', 60.1, 18.6, []],
+        NO: ['Norway', 'Europe', 60.5, 8.5, []],
+        DK: ['Denmark', 'Europe', 56.3, 9.5, []],
+        FI: ['Finland', 'Europe', 61.9, 25.7, []],
+        EE: ['Estonia', 'Europe', 58.6, 25.0, []],
+        LV: ['Latvia', 'Europe', 56.9, 24.6, []],
+        LT: ['Lithuania', 'Europe', 55.2, 23.9, []],
+        PL: ['Poland', 'Europe', 51.9, 19.1, []],
+        CZ: ['Czech Republic', 'Europe', 49.8, 15.5, ['czechia']],
+        HU: ['Hungary', 'Europe', 47.2, 19.5, []],
+        RO: ['Romania', 'Europe', 45.9, 25.0, []],
+        BG: ['Bulgaria', 'Europe', 42.7, 25.5, []],
+        RS: ['Serbia', 'Europe', 44.0, 21.0, []],
+        HR: ['Croatia', 'Europe', 45.1, 15.2, []],
+        SI: ['Slovenia', 'Europe', 46.2, 14.8, []],
+        UA: ['Ukraine', 'Europe', 48.4, 31.2, []],
+        RU: ['Russia', 'Europe', 61.5, 105.3, ['russian federation']],
+        GE: ['Georgia', 'Asia', 42.3, 43.4, []],
+        AM: ['Armenia', 'Asia', 40.1, 45.0, []],
+        TR: ['Turkey', 'Asia', 39.0, 35.2, ['türkiye', 'turkiye']],
+        CY: ['Cyprus', 'Europe', 35.1, 33.4, []],
+        MT: ['Malta', 'Europe', 35.9, 14.4, []],
+        IS: ['Iceland', 'Europe', 64.9, -19.0, []],
+        AE: ['United Arab Emirates', 'Middle East', 23.4, 53.8, ['uae', 'u.a.e.', 'emirates']],
+        SA: ['Saudi Arabia', 'Middle East', 23.9, 45.1, ['ksa']],
+        QA: ['Qatar', 'Middle East', 25.4, 51.2, []],
+        BH: ['Bahrain', 'Middle East', 26.0, 50.6, []],
+        IL: ['Israel', 'Middle East', 31.0, 34.9, []],
+        JO: ['Jordan', 'Middle East', 30.6, 36.2, []],
+        LB: ['Lebanon', 'Middle East', 33.9, 35.9, []],
+        EG: ['Egypt', 'Africa', 26.8, 30.8, []],
+        MA: ['Morocco', 'Africa', 31.8, -7.1, []],
+        TN: ['Tunisia', 'Africa', 33.9, 9.5, []],
+        NG: ['Nigeria', 'Africa', 9.1, 8.7, []],
+        GH: ['Ghana', 'Africa', 7.9, -1.0, []],
+        KE: ['Kenya', 'Africa', -0.0, 37.9, []],
+        ET: ['Ethiopia', 'Africa', 9.1, 40.5, []],
+        RW: ['Rwanda', 'Africa', -1.9, 29.9, []],
+        UG: ['Uganda', 'Africa', 1.4, 32.3, []],
+        TZ: ['Tanzania', 'Africa', -6.4, 34.9, []],
+        ZA: ['South Africa', 'Africa', -30.6, 22.9, []],
+        SN: ['Senegal', 'Africa', 14.5, -14.5, []],
+        IN: ['India', 'Asia', 20.6, 79.0, ['bharat']],
+        PK: ['Pakistan', 'Asia', 30.4, 69.3, []],
+        BD: ['Bangladesh', 'Asia', 23.7, 90.4, []],
+        LK: ['Sri Lanka', 'Asia', 7.9, 80.8, []],
+        NP: ['Nepal', 'Asia', 28.4, 84.1, []],
+        CN: ['China', 'Asia', 35.9, 104.2, ['prc']],
+        HK: ['Hong Kong', 'Asia', 22.3, 114.2, ['hk', 'hong kong sar']],
+        TW: ['Taiwan', 'Asia', 23.7, 121.0, []],
+        JP: ['Japan', 'Asia', 36.2, 138.3, []],
+        KR: ['South Korea', 'Asia', 35.9, 127.8, ['korea', 'republic of korea']],
+        SG: ['Singapore', 'Asia', 1.35, 103.82, ['sg']],
+        MY: ['Malaysia', 'Asia', 4.2, 102.0, []],
+        ID: ['Indonesia', 'Asia', -0.8, 113.9, []],
+        TH: ['Thailand', 'Asia', 15.9, 100.99, []],
+        VN: ['Vietnam', 'Asia', 14.1, 108.3, ['viet nam']],
+        PH: ['Philippines', 'Asia', 12.9, 121.8, []],
+        KH: ['Cambodia', 'Asia', 12.6, 104.99, []],
+        KZ: ['Kazakhstan', 'Asia', 48.0, 66.9, []],
+        AU: ['Australia', 'Oceania', -25.3, 133.8, []],
+        NZ: ['New Zealand', 'Oceania', -40.9, 174.9, []]
+    },
+
+    admin1: {
+        US: {
+            AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California', CO: 'Colorado',
+            CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+            HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky',
+            LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+            MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+            NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+            OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+            SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+            VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+        },
+        CA: {
+            AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NS: 'Nova Scotia', ON: 'Ontario', QC: 'Quebec'
+        },
+        AU: {
+            NSW: 'New South Wales', VIC: 'Victoria', QLD: 'Queensland', WA: 'Western Australia',
+            SA: 'South Australia', ACT: 'Australian Capital Territory', TAS: 'Tasmania'
+        },
+        IN: {
+            KA: 'Karnataka', MH: 'Maharashtra', DL: 'Delhi', TN: 'Tamil Nadu', TG: 'Telangana', WB: 'West Bengal', GJ: 'Gujarat', HR: 'Haryana'
+        },
+        MY: {
+            JHR: 'Johor', KUL: 'Kuala Lumpur', PNG: 'Penang', SGR: 'Selangor'
+        }
+    },
+
+    cities: [
+        // North America
+        ['San Francisco', 'US', 'CA', 37.77, -122.42, ['sf', 'bay area', 'silicon valley', 'san francisco bay area']],
+        ['Oakland', 'US', 'CA', 37.80, -122.27, []],
+        ['Berkeley', 'US', 'CA', 37.87, -122.27, []],
+        ['Palo Alto', 'US', 'CA', 37.44, -122.14, []],
+        ['Mountain View', 'US', 'CA', 37.39, -122.08, []],
+        ['San Jose', 'US', 'CA', 37.34, -121.89, []],
+        ['Los Angeles', 'US', 'CA', 34.05, -118.24, ['la', 'l.a.']],
+        ['San Diego', 'US', 'CA', 32.72, -117.16, []],
+        ['Seattle', 'US', 'WA', 47.61, -122.33, []],
+        ['Portland', 'US', 'OR', 45.52, -122.68, []],
+        ['Portland', 'US', 'ME', 43.66, -70.26, []],
+        ['Las Vegas', 'US', 'NV', 36.17, -115.14, []],
+        ['Phoenix', 'US', 'AZ', 33.45, -112.07, []],
+        ['Denver', 'US', 'CO', 39.74, -104.99, []],
+        ['Boulder', 'US', 'CO', 40.01, -105.27, []],
+        ['Salt Lake City', 'US', 'UT', 40.76, -111.89, ['slc']],
+        ['Austin', 'US', 'TX', 30.27, -97.74, []],
+        ['Dallas', 'US', 'TX', 32.78, -96.80, []],
+        ['Houston', 'US', 'TX', 29.76, -95.37, []],
+        ['Chicago', 'US', 'IL', 41.88, -87.63, []],
+        ['Minneapolis', 'US', 'MN', 44.98, -93.27, []],
+        ['Detroit', 'US', 'MI', 42.33, -83.05, []],
+        ['Nashville', 'US', 'TN', 36.16, -86.78, []],
+        ['Atlanta', 'US', 'GA', 33.75, -84.39, []],
+        ['Miami', 'US', 'FL', 25.76, -80.19, []],
+        ['Tampa', 'US', 'FL', 27.95, -82.46, []],
+        ['Orlando', 'US', 'FL', 28.54, -81.38, []],
+        ['Raleigh', 'US', 'NC', 35.78, -78.64, []],
+        ['Washington', 'US', 'DC', 38.91, -77.04, ['washington dc', 'washington d.c.', 'dc', 'd.c.']],
+        ['Philadelphia', 'US', 'PA', 39.95, -75.17, ['philly']],
+        ['Pittsburgh', 'US', 'PA', 40.44, -80.00, []],
+        ['New York', 'US', 'NY', 40.71, -74.01, ['nyc', 'new york city', 'manhattan', 'brooklyn', 'ny']],
+        ['Boston', 'US', 'MA', 42.36, -71.06, []],
+        ['Cambridge', 'US', 'MA', 42.37, -71.11, []],
+        ['Honolulu', 'US', 'HI', 21.31, -157.86, []],
+        ['Toronto', 'CA', 'ON', 43.65, -79.38, []],
+        ['Ottawa', 'CA', 'ON', 45.42, -75.70, []],
+        ['Waterloo', 'CA', 'ON', 43.46, -80.52, []],
+        ['Montreal', 'CA', 'QC', 45.50, -73.57, ['montréal']],
+        ['Vancouver', 'CA', 'BC', 49.28, -123.12, []],
+        ['Calgary', 'CA', 'AB', 51.05, -114.07, []],
+        ['Mexico City', 'MX', null, 19.43, -99.13, ['cdmx', 'ciudad de méxico', 'ciudad de mexico']],
+        ['Guadalajara', 'MX', null, 20.66, -103.35, []],
+        ['Tulum', 'MX', null, 20.21, -87.47, []],
+        ['Playa del Carmen', 'MX', null, 20.63, -87.08, []],
+        ['San José', 'CR', null, 9.93, -84.08, []],
+        ['Panama City', 'PA', null, 8.98, -79.52, ['ciudad de panamá']],
+        ['San Salvador', 'SV', null, 13.69, -89.22, []],
+        ['San Juan', 'PR', null, 18.47, -66.11, []],
+
+        // South America
+        ['São Paulo', 'BR', null, -23.55, -46.63, ['sao paulo']],
+        ['Rio de Janeiro', 'BR', null, -22.91, -43.17, ['rio']],
+        ['Florianópolis', 'BR', null, -27.60, -48.55, ['florianopolis', 'floripa']],
+        ['Buenos Aires', 'AR', null, -34.60, -58.38, []],
+        ['Santiago', 'CL', null, -33.45, -70.67, []],
+        ['Bogotá', 'CO', null, 4.71, -74.07, ['bogota']],
+        ['Medellín', 'CO', null, 6.24, -75.58, ['medellin']],
+        ['Lima', 'PE', null, -12.05, -77.04, []],
+        ['Montevideo', 'UY', null, -34.90, -56.16, []],
+        ['Caracas', 'VE', null, 10.48, -66.90, []],
+        ['Quito', 'EC', null, -0.18, -78.47, []],
+
+        // Europe
+        ['London', 'GB', null, 51.51, -0.13, []],
+        ['Manchester', 'GB', null, 53.48, -2.24, []],
+        ['Cambridge', 'GB', null, 52.21, 0.12, []],
+        ['Oxford', 'GB', null, 51.75, -1.26, []],
+        ['Edinburgh', 'GB', null, 55.95, -3.19, []],
+        ['Bristol', 'GB', null, 51.45, -2.59, []],
+        ['Dublin', 'IE', null, 53.35, -6.26, []],
+        ['Paris', 'FR', null, 48.86, 2.35, []],
+        ['Lyon', 'FR', null, 45.76, 4.84, []],
+        ['Nice', 'FR', null, 43.70, 7.27, []],
+        ['Berlin', 'DE', null, 52.52, 13.40, []],
+        ['Munich', 'DE', null, 48.14, 11.58, ['münchen', 'muenchen']],
+        ['Hamburg', 'DE', null, 53.55, 9.99, []],
+        ['Frankfurt', 'DE', null, 50.11, 8.68, []],
+        ['Cologne', 'DE', null, 50.94, 6.96, ['köln', 'koln']],
+        ['Amsterdam', 'NL', null, 52.37, 4.90, []],
+        ['Rotterdam', 'NL', null, 51.92, 4.48, []],
+        ['Brussels', 'BE', null, 50.85, 4.35, ['bruxelles']],
+        ['Zurich', 'CH', null, 47.38, 8.54, ['zürich']],
+        ['Zug', 'CH', null, 47.17, 8.52, ['crypto valley']],
+        ['Geneva', 'CH', null, 46.20, 6.14, ['genève']],
+        ['Lugano', 'CH', null, 46.00, 8.95, []],
+        ['Vienna', 'AT', null, 48.21, 16.37, ['wien']],
+        ['Madrid', 'ES', null, 40.42, -3.70, []],
+        ['Barcelona', 'ES', null, 41.39, 2.17, []],
+        ['Valencia', 'ES', null, 39.47, -0.38, []],
+        ['Málaga', 'ES', null, 36.72, -4.42, ['malaga']],
+        ['Las Palmas', 'ES', null, 28.12, -15.44, ['gran canaria']],
+        ['Lisbon', 'PT', null, 38.72, -9.14, ['lisboa']],
+        ['Porto', 'PT', null, 41.15, -8.61, ['oporto']],
+        ['Madeira', 'PT', null, 32.65, -16.91, ['funchal']],
+        ['Ericeira', 'PT', null, 38.96, -9.42, []],
+        ['Rome', 'IT', null, 41.90, 12.50, ['roma']],
+        ['Milan', 'IT', null, 45.46, 9.19, ['milano']],
+        ['Athens', 'GR', null, 37.98, 23.73, []],
+        ['Stockholm', 'SE', null, 59.33, 18.07, []],
+        ['Oslo', 'NO', null, 59.91, 10.75, []],
+        ['Copenhagen', 'DK', null, 55.68, 12.57, ['københavn']],
+        ['Helsinki', 'FI', null, 60.17, 24.94, []],
+        ['Tallinn', 'EE', null, 59.44, 24.75, []],
+        ['Riga', 'LV', null, 56.95, 24.11, []],
+        ['Vilnius', 'LT', null, 54.69, 25.28, []],
+        ['Warsaw', 'PL', null, 52.23, 21.01, ['warszawa']],
+        ['Kraków', 'PL', null, 50.06, 19.94, ['krakow', 'cracow']],
+        ['Prague', 'CZ', null, 50.08, 14.44, ['praha']],
+        ['Budapest', 'HU', null, 47.50, 19.04, []],
+        ['Bucharest', 'RO', null, 44.43, 26.10, ['bucurești']],
+        ['Sofia', 'BG', null, 42.70, 23.32, []],
+        ['Belgrade', 'RS', null, 44.79, 20.45, ['beograd']],
+        ['Zagreb', 'HR', null, 45.81, 15.98, []],
+        ['Split', 'HR', null, 43.51, 16.44, []],
+        ['Ljubljana', 'SI', null, 46.06, 14.51, []],
+        ['Kyiv', 'UA', null, 50.45, 30.52, ['kiev']],
+        ['Moscow', 'RU', null, 55.76, 37.62, []],
+        ['Saint Petersburg', 'RU', null, 59.93, 30.36, ['st petersburg', 'st. petersburg']],
+        ['Tbilisi', 'GE', null, 41.72, 44.79, []],
+        ['Yerevan', 'AM', null, 40.18, 44.51, []],
+        ['Istanbul', 'TR', null, 41.01, 28.98, []],
+        ['Limassol', 'CY', null, 34.68, 33.04, []],
+        ['Valletta', 'MT', null, 35.90, 14.51, []],
+        ['Reykjavik', 'IS', null, 64.15, -21.94, ['reykjavík']],
+
+        // Middle East
+        ['Dubai', 'AE', null, 25.20, 55.27, []],
+        ['Abu Dhabi', 'AE', null, 24.45, 54.38, []],
+        ['Riyadh', 'SA', null, 24.71, 46.68, []],
+        ['Doha', 'QA', null, 25.29, 51.53, []],
+        ['Manama', 'BH', null, 26.23, 50.59, []],
+        ['Tel Aviv', 'IL', null, 32.09, 34.78, ['tel aviv-yafo']],
+        ['Jerusalem', 'IL', null, 31.77, 35.21, []],
+        ['Amman', 'JO', null, 31.95, 35.93, []],
+        ['Beirut', 'LB', null, 33.89, 35.50, []],
+
+        // Africa
+        ['Cairo', 'EG', null, 30.04, 31.24, []],
+        ['Marrakech', 'MA', null, 31.63, -7.99, ['marrakesh']],
+        ['Casablanca', 'MA', null, 33.57, -7.59, []],
+        ['Tunis', 'TN', null, 36.81, 10.18, []],
+        ['Lagos', 'NG', null, 6.52, 3.38, []],
+        ['Abuja', 'NG', null, 9.08, 7.40, []],
+        ['Accra', 'GH', null, 5.60, -0.19, []],
+        ['Nairobi', 'KE', null, -1.29, 36.82, []],
+        ['Addis Ababa', 'ET', null, 9.03, 38.74, []],
+        ['Kigali', 'RW', null, -1.95, 30.06, []],
+        ['Kampala', 'UG', null, 0.35, 32.58, []],
+        ['Dar es Salaam', 'TZ', null, -6.79, 39.21, []],
+        ['Cape Town', 'ZA', null, -33.92, 18.42, []],
+        ['Johannesburg', 'ZA', null, -26.20, 28.05, ['joburg']],
+        ['Dakar', 'SN', null, 14.72, -17.47, []],
+
+        // Asia
+        ['Bangalore', 'IN', 'KA', 12.97, 77.59, ['bengaluru']],
+        ['Mumbai', 'IN', 'MH', 19.08, 72.88, ['bombay']],
+        ['Pune', 'IN', 'MH', 18.52, 73.86, []],
+        ['New Delhi', 'IN', 'DL', 28.61, 77.21, ['delhi', 'ncr']],
+        ['Gurgaon', 'IN', 'HR', 28.46, 77.03, ['gurugram']],
+        ['Hyderabad', 'IN', 'TG', 17.39, 78.49, []],
+        ['Chennai', 'IN', 'TN', 13.08, 80.27, ['madras']],
+        ['Kolkata', 'IN', 'WB', 22.57, 88.36, ['calcutta']],
+        ['Ahmedabad', 'IN', 'GJ', 23.02, 72.57, []],
+        ['Goa', 'IN', null, 15.30, 74.12, []],
+        ['Karachi', 'PK', null, 24.86, 67.01, []],
+        ['Lahore', 'PK', null, 31.55, 74.34, []],
+        ['Islamabad', 'PK', null, 33.68, 73.05, []],
+        ['Dhaka', 'BD', null, 23.81, 90.41, []],
+        ['Colombo', 'LK', null, 6.93, 79.86, []],
+        ['Kathmandu', 'NP', null, 27.72, 85.32, []],
+        ['Beijing', 'CN', null, 39.90, 116.41, ['peking']],
+        ['Shanghai', 'CN', null, 31.23, 121.47, []],
+        ['Shenzhen', 'CN', null, 22.54, 114.06, []],
+        ['Hangzhou', 'CN', null, 30.27, 120.16, []],
+        ['Hong Kong', 'HK', null, 22.32, 114.17, ['hk']],
+        ['Taipei', 'TW', null, 25.03, 121.57, []],
+        ['Tokyo', 'JP', null, 35.68, 139.69, []],
+        ['Osaka', 'JP', null, 34.69, 135.50, []],
+        ['Kyoto', 'JP', null, 35.01, 135.77, []],
+        ['Seoul', 'KR', null, 37.57, 126.98, []],
+        ['Busan', 'KR', null, 35.18, 129.08, []],
+        ['Singapore', 'SG', null, 1.35, 103.82, ['sg']],
+        ['Kuala Lumpur', 'MY', 'KUL', 3.14, 101.69, ['kl']],
+        ['Johor Bahru', 'MY', 'JHR', 1.49, 103.74, ['jb', 'johor']],
+        ['Forest City', 'MY', 'JHR', 1.33, 103.60, ['network school']],
+        ['Penang', 'MY', 'PNG', 5.41, 100.33, ['george town']],
+        ['Jakarta', 'ID', null, -6.21, 106.85, []],
+        ['Bali', 'ID', null, -8.41, 115.19, ['canggu', 'ubud', 'denpasar']],
+        ['Bangkok', 'TH', null, 13.76, 100.50, []],
+        ['Chiang Mai', 'TH', null, 18.79, 98.98, []],
+        ['Phuket', 'TH', null, 7.88, 98.39, []],
+        ['Koh Phangan', 'TH', null, 9.73, 100.01, ['ko pha ngan']],
+        ['Ho Chi Minh City', 'VN', null, 10.82, 106.63, ['saigon', 'hcmc']],
+        ['Hanoi', 'VN', null, 21.03, 105.85, []],
+        ['Da Nang', 'VN', null, 16.05, 108.20, ['danang']],
+        ['Manila', 'PH', null, 14.60, 120.98, []],
+        ['Cebu', 'PH', null, 10.32, 123.89, []],
+        ['Phnom Penh', 'KH', null, 11.56, 104.93, []],
+        ['Almaty', 'KZ', null, 43.24, 76.89, []],
+
+        // Oceania
+        ['Sydney', 'AU', 'NSW', -33.87, 151.21, []],
+        ['Melbourne', 'AU', 'VIC', -37.81, 144.96, []],
+        ['Brisbane', 'AU', 'QLD', -27.47, 153.03, []],
+        ['Perth', 'AU', 'WA', -31.95, 115.86, []],
+        ['Adelaide', 'AU', 'SA', -34.93, 138.60, []],
+        ['Canberra', 'AU', 'ACT', -35.28, 149.13, []],
+        ['Auckland', 'NZ', null, -36.85, 174.76, []],
+        ['Wellington', 'NZ', null, -41.29, 174.78, []]
+    ]
+};
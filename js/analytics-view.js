@@ -0,0 +1,166 @@
+/**
+ * Analytics View Module
+ * Dashboard for the current results: members per country, top tags, role mix,
+ * profile completeness, cohorts and joins over time. Clicking a bar applies the matching filter
+ * (clicking it again removes it).
+ */
+
+class AnalyticsView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || (() => {});  // ({ type, value, label, from, to, active })
+        this.limit = options.limit || 10;
+        this.escapeHtml = options.escapeHtml;            // UIComponents.escapeHtml
+        this.entries = {};
+
+        // One delegated listener for every chart
+        this.onClick = (e) => {
+            const bar = e.target.closest('[data-chart]');
+            if (!bar) return;
+
+            const type = bar.dataset.chart;
+            const entry = this.entries[type]?.[Number(bar.dataset.index)];
+            if (entry) this.onSelect({ type, ...entry, active: this.isActive(type, entry) });
+        };
+        this.container.addEventListener('click', this.onClick);
+    }
+
+    /**
+     * Render analytics from DataLoader.getAnalytics; activeFilters highlights what is already applied
+     */
+    render(analytics, activeFilters = {}) {
+        if (!analytics) return;
+
+        this.activeFilters = activeFilters;
+        this.entries = {
+            location: analytics.countries.slice(0, this.limit),
+            tag: analytics.tags.slice(0, this.limit),
+            role: analytics.roles.slice(0, this.limit),
+            has: analytics.completeness,
+            cohort: analytics.cohorts.slice(0, this.limit),
+            joined: analytics.joined
+        };
+
+        const total = analytics.totalMembers;
+        const percent = count => total > 0 ? Math.round((count / total) * 100) : 0;
+
+        this.container.innerHTML = `
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                ${this.renderSummary('Members', total.toLocaleString())}
+                ${this.renderSummary('Locations', analytics.totalLocations.toLocaleString())}
+                ${this.renderSummary('Tags', analytics.totalTags.toLocaleString())}
+                ${this.renderSummary('With social links', `${percent(analytics.membersWithSocial)}%`)}
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                ${this.renderBarChart('Members per country', 'location', {
+                    note: analytics.unplaced > 0 ? `${analytics.unplaced.toLocaleString()} without a known place` : ''
+                })}
+                ${this.renderBarChart('Top tags', 'tag')}
+                ${this.renderBarChart('Role mix', 'role')}
+                ${this.renderBarChart('Profile completeness', 'has', {
+                    max: total,
+                    format: count => `${percent(count)}%`
+                })}
+                ${analytics.cohorts.length > 0 ? this.renderBarChart('Members per cohort', 'cohort', {
+                    note: analytics.cohorts.length > this.limit ? `Newest ${this.limit} of ${analytics.cohorts.length.toLocaleString()} cohorts` : ''
+                }) : ''}
+            </div>
+            ${this.renderHistogram()}
+        `;
+    }
+
+    renderSummary(label, value) {
+        return `
+            <div class="bg-white rounded-xl shadow-sm border p-4 text-center">
+                <div class="text-2xl font-bold text-gray-900">${value}</div>
+                <div class="text-sm text-gray-600">${label}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Horizontal bars, longest first. Bars scale to the largest entry unless max is given.
+     */
+    renderBarChart(title, type, options = {}) {
+        const entries = this.entries[type];
+        const max = options.max || Math.max(1, ...entries.map(entry => entry.count));
+        const format = options.format || (count => count.toLocaleString());
+
+        const rows = entries.length > 0
+            ? entries.map((entry, index) => {
+                const active = this.isActive(type, entry);
+                return `
+                    <button data-chart="${type}" data-index="${index}" class="w-full flex items-center gap-3 py-1 text-left text-sm group" title="Filter by ${this.escapeHtml(entry.label)}">
+                        <span class="w-32 truncate ${active ? 'font-semibold text-gray-900' : 'text-gray-700'}">${this.escapeHtml(entry.label)}</span>
+                        <span class="flex-1 bg-gray-100 rounded h-4 overflow-hidden">
+                            <span class="block h-4 rounded ${active ? 'bg-black' : 'bg-gray-700 group-hover:bg-black'}" style="width: ${Math.max(1, (entry.count / max) * 100)}%"></span>
+                        </span>
+                        <span class="w-12 text-right text-gray-600">${format(entry.count)}</span>
+                    </button>
+                `;
+            }).join('')
+            : '<p class="text-sm text-gray-500">Nothing to show for these results</p>';
+
+        return `
+            <div class="bg-white rounded-xl shadow-sm border p-5">
+                <h4 class="font-semibold text-gray-900 mb-3">${title}</h4>
+                ${rows}
+                ${options.note ? `<p class="text-xs text-gray-500 mt-2">${options.note}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Joins per month (or quarter), oldest on the left
+     */
+    renderHistogram() {
+        const buckets = this.entries.joined;
+        const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+        const labelEvery = Math.max(1, Math.ceil(buckets.length / 8));
+
+        const bars = buckets.map((bucket, index) => `
+            <button data-chart="joined" data-index="${index}" class="flex-1 h-full flex flex-col justify-end group" title="${this.escapeHtml(bucket.label)}: ${bucket.count.toLocaleString()} joined">
+                <span class="block rounded-t ${this.isActive('joined', bucket) ? 'bg-black' : 'bg-gray-700 group-hover:bg-black'}" style="height: ${bucket.count > 0 ? Math.max(2, (bucket.count / max) * 100) : 0}%"></span>
+            </button>
+        `).join('');
+
+        const labels = buckets.map((bucket, index) => `
+            <span class="flex-1 text-center truncate">${index % labelEvery === 0 ? this.escapeHtml(bucket.label) : ''}</span>
+        `).join('');
+
+        return `
+            <div class="bg-white rounded-xl shadow-sm border p-5">
+                <h4 class="font-semibold text-gray-900 mb-3">Joined over time</h4>
+                ${buckets.length > 0 ? `
+                    <div class="flex items-end gap-1 h-40 border-b border-gray-200">${bars}</div>
+                    <div class="flex gap-1 mt-1 text-xs text-gray-500">${labels}</div>
+                ` : '<p class="text-sm text-gray-500">No join dates in these results</p>'}
+            </div>
+        `;
+    }
+
+    /**
+     * Whether a chart entry is one of the filters already applied
+     */
+    isActive(type, entry) {
+        const filters = this.activeFilters || {};
+
+        switch (type) {
+            case 'location': return filters.location === entry.value;
+            case 'tag': return (filters.tags || []).includes(entry.value);
+            case 'role': return (filters.roles || []).includes(entry.value);
+            case 'cohort': return filters.cohort === entry.value;
+            case 'has': return (filters.search || '').split(/\s+/).includes(`has:${entry.value}`);
+            case 'joined': return filters.joined?.from === entry.from && filters.joined?.to === entry.to;
+            default: return false;
+        }
+    }
+
+    destroy() {
+        this.container.removeEventListener('click', this.onClick);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+window.AnalyticsView = AnalyticsView;
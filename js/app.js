@@ -5,11 +5,17 @@
 
 class NSocialApp {
     constructor() {
-        this.dataLoader = new DataLoader();
+        this.dataLoader = new DataLoader({ worker: WorkerClient.create('js/data-worker.js') });
         this.searchEngine = null;
-        this.ui = new UIComponents();
+        this.personalStore = new PersonalStore();
+        this.ui = new UIComponents({ personalStore: this.personalStore });
+        this.ui.lastVisit = this.personalStore.startVisit();
+        this.exporter = new Exporter(this.personalStore);
         this.currentSort = 'recent';
+        this.lastSearch = '';
         this.currentView = 'grid';
+        this.urlState = new UrlState();
+        this.isApplyingUrlState = false;
         
         this.init();
     }
@@ -24,9 +30,16 @@ class NSocialApp {
             // Show loading state
             this.ui.setLoadingState(true);
             
+            // Track cache/offline status before loading so badges reflect it
+            this.setupDataListeners();
+            
             // Load data
             await this.dataLoader.loadData();
             this.searchEngine = new SearchEngine(this.dataLoader);
+            this.searchEngine.personalData = this.personalStore.snapshot();
+            this.ui.getMatches = (member) => this.searchEngine.getMatches(member);
+            this.ui.explainMatch = (member) => this.searchEngine.explainMatchAsync(member);
+            this.ui.getSimilarMembers = (member) => this.getRecommendations(member.username, 6);
             
             // Setup UI
             this.setupUI();
@@ -35,6 +48,12 @@ class NSocialApp {
             // Initial data load
             this.performInitialLoad();
             
+            // Restore a shared or bookmarked view
+            const urlState = this.urlState.read();
+            if (this.urlState.hasState(urlState)) {
+                await this.applyUrlState(urlState);
+            }
+            
             console.log('App initialized successfully');
             
         } catch (error) {
@@ -43,6 +62,63 @@ class NSocialApp {
         }
     }
 
+    /**
+     * Setup listeners for data freshness and background revalidation
+     */
+    setupDataListeners() {
+        document.addEventListener('dataStatusChange', (e) => {
+            this.ui.updateDataStatus(e.detail);
+        });
+        
+        // Newer data arrived from background revalidation
+        document.addEventListener('dataUpdated', () => {
+            if (!this.searchEngine) return;
+            this.setupUI();
+            this.performSearch();
+            
+            if (this.searchEngine.searchMode === 'semantic') {
+                this.setSearchMode('semantic');
+            }
+        });
+        
+        window.addEventListener('online', () => {
+            this.dataLoader.revalidate();
+        });
+        
+        window.addEventListener('offline', () => {
+            this.dataLoader.setDataStatus({ isOffline: true });
+        });
+        
+        // Favorites, notes and labels changed here or in another tab
+        document.addEventListener('personalDataChange', (e) => {
+            this.handlePersonalDataChange(e.detail);
+        });
+        
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.personalStore.storageKey) {
+                this.personalStore.reload();
+            }
+        });
+    }
+
+    /**
+     * Re-run the search and refresh badges after personal data changes
+     */
+    handlePersonalDataChange({ fields }) {
+        if (!this.searchEngine) return;
+        
+        this.searchEngine.personalData = this.personalStore.snapshot();
+        this.ui.populatePersonalFilters(this.personalStore.getAllLabels());
+        
+        // Re-rendering while the note is being typed would reset the caret
+        const username = this.ui.openProfileUsername;
+        if (username && !(fields.length === 1 && fields[0] === 'note')) {
+            this.ui.renderPersonalSection(username);
+        }
+        
+        this.performSearch({}, { preserveScroll: true });
+    }
+
     /**
      * Setup initial UI state
      */
@@ -54,6 +130,16 @@ class NSocialApp {
         // Update statistics
         const stats = this.dataLoader.getStats();
         this.ui.updateStats(stats);
+        
+        // Data quality report from validation
+        this.ui.updateQualityBadge(this.dataLoader.getQualityReport());
+        
+        // Favorites and private labels
+        this.ui.populatePersonalFilters(this.personalStore.getAllLabels());
+        
+        // Join-date presets and "new since your last visit"
+        const newMembers = this.dataLoader.processedData.filter(member => this.ui.isNewMember(member));
+        this.ui.setupJoinedFilter(newMembers.length);
     }
 
     /**
@@ -80,6 +166,16 @@ class NSocialApp {
                     this.performSearch({ search: e.target.value });
                 }
             });
+            
+            // Autocomplete: a suggestion replaces the typed text with a filter or opens the profile
+            this.searchSuggestions = new SearchSuggestions(searchInput, {
+                getSuggestions: (text) => this.searchEngine?.getSearchSuggestions(text) || [],
+                escapeHtml: (text) => this.ui.escapeHtml(text),
+                onSelect: (suggestion) => {
+                    clearTimeout(searchTimeout);
+                    this.applySuggestion(suggestion);
+                }
+            });
         }
         
         if (searchBtn) {
@@ -89,6 +185,22 @@ class NSocialApp {
             });
         }
         
+        // Keyword/semantic search mode
+        this.setupSearchModeToggle();
+        
+        // Any/all tag matching
+        ['any', 'all'].forEach(mode => {
+            document.getElementById(`tag-mode-${mode}`)?.addEventListener('click', () => {
+                this.ui.setTagMode(mode);
+                this.performSearch();
+            });
+        });
+        
+        // Tag chips A-Z or by count
+        document.getElementById('tag-sort')?.addEventListener('click', () => {
+            this.ui.setTagSort(this.ui.tagSort === 'count' ? 'name' : 'count');
+        });
+        
         // Filter dropdowns
         this.setupFilterListeners();
         
@@ -98,6 +210,30 @@ class NSocialApp {
         // Sort selector
         this.setupSortListener();
         
+        // File import (button and drag & drop)
+        this.setupImportListeners();
+        
+        // Export menu
+        const exportBtn = document.getElementById('export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.showExportDialog();
+            });
+        }
+        
+        // Group planner (dinners, pods, intro pairs)
+        document.getElementById('plan-btn')?.addEventListener('click', () => {
+            this.showGroupPlanner();
+        });
+        
+        // Data quality report
+        const qualityBtn = document.getElementById('quality-btn');
+        if (qualityBtn) {
+            qualityBtn.addEventListener('click', () => {
+                this.ui.showQualityReport(this.dataLoader.getQualityReport());
+            });
+        }
+        
         // Clear filters button
         const clearBtn = document.getElementById('clear-filters');
         if (clearBtn) {
@@ -122,19 +258,66 @@ class NSocialApp {
         // Close modal on escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                const modal = document.getElementById('profile-modal');
-                if (modal && !modal.classList.contains('hidden')) {
-                    modal.classList.add('hidden');
-                }
+                this.ui.closeMemberProfile();
             }
         });
+        
+        // Keep the URL in step with the open profile
+        document.addEventListener('profileChange', () => {
+            this.syncUrl();
+        });
+        
+        // Back/forward restores the state recorded in the URL
+        window.addEventListener('popstate', () => {
+            this.applyUrlState(this.urlState.read());
+        });
+    }
+
+    /**
+     * Setup keyword/semantic search mode toggle
+     */
+    setupSearchModeToggle() {
+        const keywordBtn = document.getElementById('mode-keyword');
+        const semanticBtn = document.getElementById('mode-semantic');
+        
+        if (keywordBtn) {
+            keywordBtn.addEventListener('click', () => this.setSearchMode('keyword'));
+        }
+        
+        if (semanticBtn) {
+            semanticBtn.addEventListener('click', () => this.setSearchMode('semantic'));
+        }
+    }
+
+    /**
+     * Switch search mode, preparing the semantic vectors first if needed
+     */
+    async setSearchMode(mode) {
+        this.searchEngine.searchMode = mode;
+        
+        if (mode === 'semantic') {
+            this.ui.setSearchMode(mode, true);
+            try {
+                await this.searchEngine.prepareSemanticSearch();
+            } catch (error) {
+                console.error('Failed to build semantic index:', error);
+                this.ui.showNotice('Semantic search is unavailable for this dataset', 'error');
+                this.searchEngine.searchMode = 'keyword';
+                mode = 'keyword';
+            }
+            // The user may have switched back while vectors were being prepared
+            if (this.searchEngine.searchMode !== mode) return;
+        }
+        
+        this.ui.setSearchMode(mode);
+        await this.performSearch();
     }
 
     /**
      * Setup filter dropdown listeners
      */
     setupFilterListeners() {
-        const filters = ['location-filter', 'profession-filter'];
+        const filters = ['location-filter'];
         
         filters.forEach(filterId => {
             const element = document.getElementById(filterId);
@@ -144,6 +327,16 @@ class NSocialApp {
                 });
             }
         });
+        
+        // Cohort, with a roster of the chosen cohort
+        const cohortFilter = document.getElementById('cohort-filter');
+        cohortFilter?.addEventListener('change', () => {
+            this.ui.setCohort(cohortFilter.value);
+            this.performSearch();
+        });
+        document.getElementById('cohort-roster-btn')?.addEventListener('click', () => {
+            this.showCohortRoster(cohortFilter.value);
+        });
     }
 
     /**
@@ -152,6 +345,8 @@ class NSocialApp {
     setupViewToggle() {
         const gridBtn = document.getElementById('grid-view');
         const listBtn = document.getElementById('list-view');
+        const mapBtn = document.getElementById('map-view');
+        const insightsBtn = document.getElementById('insights-view');
         
         if (gridBtn) {
             gridBtn.addEventListener('click', () => {
@@ -164,6 +359,18 @@ class NSocialApp {
                 this.setView('list');
             });
         }
+        
+        if (mapBtn) {
+            mapBtn.addEventListener('click', () => {
+                this.setView('map');
+            });
+        }
+        
+        if (insightsBtn) {
+            insightsBtn.addEventListener('click', () => {
+                this.setView('insights');
+            });
+        }
     }
 
     /**
@@ -175,30 +382,143 @@ class NSocialApp {
             sortSelect.addEventListener('change', (e) => {
                 this.currentSort = e.target.value;
                 this.refreshResults();
+                this.syncUrl();
+            });
+        }
+    }
+
+    /**
+     * Change the sort order and show it in the sort menu
+     */
+    setSort(sort) {
+        this.currentSort = sort;
+        
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) sortSelect.value = sort;
+    }
+
+    /**
+     * Setup file import via the import button and drag & drop
+     */
+    setupImportListeners() {
+        const importBtn = document.getElementById('import-btn');
+        const fileInput = document.getElementById('import-file');
+        
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) {
+                    this.importFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+        
+        // Drag & drop anywhere on the page
+        let dragDepth = 0;
+        document.addEventListener('dragenter', (e) => {
+            if (!e.dataTransfer?.types?.includes('Files')) return;
+            dragDepth++;
+            this.ui.setDropOverlay(true);
+        });
+        document.addEventListener('dragleave', () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) this.ui.setDropOverlay(false);
+        });
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+        });
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dragDepth = 0;
+            this.ui.setDropOverlay(false);
+            
+            const file = e.dataTransfer?.files?.[0];
+            if (file) {
+                this.importFile(file);
+            }
+        });
+        
+        // Back to the community dataset
+        const dataStatus = document.getElementById('data-status');
+        if (dataStatus) {
+            dataStatus.addEventListener('click', (e) => {
+                if (e.target.closest('#data-source-reset')) {
+                    this.loadSource(() => this.dataLoader.resetDataSource());
+                }
             });
         }
     }
 
+    /**
+     * Import a local JSON or CSV file as the active data source
+     */
+    async importFile(file) {
+        const name = file.name.toLowerCase();
+        
+        if (name.endsWith('.json') || file.type === 'application/json') {
+            this.loadSource(() => this.dataLoader.useDataSource(new JsonFileDataSource(file)));
+            return;
+        }
+        
+        if (name.endsWith('.csv') || file.type === 'text/csv') {
+            const source = new CsvFileDataSource(file);
+            
+            try {
+                const headers = await source.readHeaders();
+                this.ui.showColumnMapping(file.name, headers, CsvFileDataSource.FIELDS, source.guessMapping(headers), (mapping) => {
+                    source.columnMapping = mapping;
+                    this.loadSource(() => this.dataLoader.useDataSource(source));
+                });
+            } catch (error) {
+                this.ui.showNotice(`Could not read ${file.name}: ${error.message}`, 'error');
+            }
+            return;
+        }
+        
+        this.ui.showNotice(`Unsupported file type: ${file.name}. Use JSON or CSV.`, 'error');
+    }
+
+    /**
+     * Load a data source, keeping the current data if it fails
+     */
+    async loadSource(load) {
+        try {
+            const members = await load();
+            this.ui.showNotice(`Loaded ${members.length.toLocaleString()} members`);
+        } catch (error) {
+            console.error('Failed to load data source:', error);
+            this.ui.showNotice(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
     /**
      * Perform initial data load and display
      */
     performInitialLoad() {
-        // Show all members initially
-        const allMembers = this.dataLoader.processedData;
-        this.displayResults(allMembers);
-        this.ui.setLoadingState(false);
+        // Show all members initially (the empty search also fills in the filter counts)
+        this.performSearch()
+            .then(() => this.ui.setLoadingState(false))
+            .catch(error => this.showErrorState(error));
         
         // Set default sort option
         const sortSelect = document.getElementById('sort-select');
         if (sortSelect) {
             sortSelect.value = 'recent';
         }
+        
+        // Compute (or restore) semantic vectors once the first render is done
+        setTimeout(() => {
+            this.searchEngine.prepareSemanticSearch().catch(error => {
+                console.warn('Semantic index warm-up failed:', error);
+            });
+        }, 1000);
     }
 
     /**
      * Perform search with current filter values
      */
-    performSearch(additionalFilters = {}) {
+    async performSearch(additionalFilters = {}, options = {}) {
         if (!this.searchEngine) return;
         
         // Gather current filter values
@@ -207,11 +527,32 @@ class NSocialApp {
         // Apply additional filters
         Object.assign(filters, additionalFilters);
         
-        // Perform search
-        const results = this.searchEngine.search(filters);
+        // A new query is ranked by best match; another order can still be picked while it's active
+        const search = (filters.search || '').trim();
+        if (search && !this.lastSearch && !this.isApplyingUrlState) {
+            this.setSort('relevance');
+        }
+        this.lastSearch = search;
+        
+        // Perform search (in the data worker when available)
+        let results;
+        try {
+            results = await this.searchEngine.searchAsync(filters);
+        } catch (error) {
+            // A newer keystroke replaced this query
+            if (error instanceof WorkerCancelledError) return;
+            
+            // Called from listeners and timers that don't wait for it, so report it here
+            console.error('Search failed:', error);
+            this.ui.showNotice('Search failed, please try again', 'error');
+            return;
+        }
+        this.ui.showQueryError(this.searchEngine.queryError);
+        this.ui.updateFacetCounts(this.searchEngine.facetCounts);
         
         // Display results
-        this.displayResults(results);
+        this.displayResults(results, options);
+        this.syncUrl();
     }
 
     /**
@@ -220,34 +561,55 @@ class NSocialApp {
     getCurrentFilters() {
         const searchInput = document.getElementById('search-input');
         const locationFilter = document.getElementById('location-filter');
-        const professionFilter = document.getElementById('profession-filter');
+        const cohortFilter = document.getElementById('cohort-filter');
         
         return {
             search: searchInput?.value || '',
             location: locationFilter?.value || '',
-            profession: professionFilter?.value || '',
-            tags: this.ui.selectedTags || []
+            roles: this.ui.selectedRoles,
+            cohort: cohortFilter?.value || '',
+            tags: this.ui.selectedTags || [],
+            tagMode: this.ui.tagMode,
+            favoritesOnly: this.ui.favoritesOnly,
+            labels: this.ui.selectedLabels,
+            area: this.ui.selectedArea,
+            joined: this.ui.joinedRange
         };
     }
 
     /**
      * Display search results
      */
-    displayResults(results) {
+    displayResults(results, options = {}) {
         const sortedResults = this.searchEngine.sortResults(results, this.currentSort);
+        const activeFilters = this.searchEngine.getActiveFilters();
+        const view = this.currentView;
         
-        if (sortedResults.length === 0) {
+        // The map and dashboard stay up with no results so their filters can be changed there
+        if (sortedResults.length === 0 && (view === 'grid' || view === 'list')) {
             this.ui.showNoResults();
         } else {
             this.ui.showResults();
             
             // Render results based on current view
             const container = document.getElementById('results-grid');
-            this.ui.renderMemberCards(sortedResults, container, this.currentView);
+            const mapContainer = document.getElementById('results-map');
+            const insightsContainer = document.getElementById('results-insights');
+            
+            container?.classList.toggle('hidden', view === 'map' || view === 'insights');
+            mapContainer?.classList.toggle('hidden', view !== 'map');
+            insightsContainer?.classList.toggle('hidden', view !== 'insights');
+            
+            if (view === 'map') {
+                this.ui.renderMap(sortedResults, mapContainer);
+            } else if (view === 'insights') {
+                this.ui.renderAnalytics(this.dataLoader.getAnalytics(sortedResults), insightsContainer, activeFilters);
+            } else {
+                this.ui.renderMemberCards(sortedResults, container, view, options);
+            }
         }
         
         // Update results info
-        const activeFilters = this.searchEngine.getActiveFilters();
         const totalMembers = this.dataLoader.processedData.length;
         this.ui.updateResultsInfo(sortedResults.length, totalMembers, activeFilters);
     }
@@ -257,31 +619,29 @@ class NSocialApp {
      */
     refreshResults() {
         const results = this.searchEngine.currentResults;
-        this.displayResults(results);
+        this.displayResults(results, { preserveScroll: true });
     }
 
     /**
-     * Set view mode (grid or list)
+     * Set view mode (grid, list, map or insights)
      */
-    setView(view) {
+    setView(view, { refresh = true } = {}) {
         this.currentView = view;
         
         // Update button states
-        const gridBtn = document.getElementById('grid-view');
-        const listBtn = document.getElementById('list-view');
-        
-        if (gridBtn && listBtn) {
-            if (view === 'grid') {
-                gridBtn.className = 'px-3 py-1 rounded-md text-sm font-medium bg-white text-gray-900 shadow-sm';
-                listBtn.className = 'px-3 py-1 rounded-md text-sm font-medium text-gray-600 hover:text-gray-900';
-            } else {
-                gridBtn.className = 'px-3 py-1 rounded-md text-sm font-medium text-gray-600 hover:text-gray-900';
-                listBtn.className = 'px-3 py-1 rounded-md text-sm font-medium bg-white text-gray-900 shadow-sm';
-            }
-        }
+        ['grid', 'list', 'map', 'insights'].forEach(name => {
+            const button = document.getElementById(`${name}-view`);
+            if (!button) return;
+            button.className = name === view
+                ? 'px-3 py-1 rounded-md text-sm font-medium bg-white text-gray-900 shadow-sm'
+                : 'px-3 py-1 rounded-md text-sm font-medium text-gray-600 hover:text-gray-900';
+        });
         
         // Refresh display
-        this.refreshResults();
+        if (refresh) {
+            this.refreshResults();
+            this.syncUrl();
+        }
     }
 
     /**
@@ -291,25 +651,98 @@ class NSocialApp {
         // Clear UI elements
         const searchInput = document.getElementById('search-input');
         const locationFilter = document.getElementById('location-filter');
-        const professionFilter = document.getElementById('profession-filter');
         
         if (searchInput) searchInput.value = '';
         if (locationFilter) locationFilter.value = '';
-        if (professionFilter) professionFilter.value = '';
-        
-        // Clear selected tags
-        this.ui.selectedTags = [];
-        const tagsContainer = document.getElementById('tags-container');
-        if (tagsContainer) {
-            tagsContainer.querySelectorAll('.tag-filter-chip').forEach(chip => {
-                chip.className = 'tag-filter-chip text-xs px-3 py-1 rounded-full border transition-all duration-200 bg-white text-gray-700 border-gray-300 hover:border-purple-300 hover:bg-purple-50';
-            });
-        }
+        
+        // Clear selected roles, cohort and tags
+        this.ui.setSelectedRoles([]);
+        this.ui.setCohort('');
+        this.ui.setSelectedTags([]);
+        this.ui.setTagMode('any');
+        
+        // Clear favorites and private label filters
+        this.ui.favoritesOnly = false;
+        this.ui.selectedLabels = [];
+        this.ui.populatePersonalFilters(this.personalStore.getAllLabels());
+        
+        // Clear the map area and join dates
+        this.ui.selectedArea = null;
+        this.ui.setJoinedRange(null);
         
         // Clear search engine filters
         if (this.searchEngine) {
-            const results = this.searchEngine.clearFilters();
-            this.displayResults(results);
+            this.searchEngine.resetFilters();
+            this.ui.showQueryError(null);
+            this.performSearch();
+        }
+    }
+
+    /**
+     * Write filters, sort, view, search mode and the open profile to the URL
+     */
+    syncUrl() {
+        if (this.isApplyingUrlState || !this.searchEngine) return;
+        
+        this.urlState.write({
+            ...this.getCurrentFilters(),
+            sort: this.currentSort,
+            view: this.currentView,
+            joined: this.ui.joinedRange?.spec || '',
+            area: this.urlState.formatArea(this.ui.selectedArea),
+            areaLabel: this.ui.selectedArea?.label || '',
+            favoritesOnly: this.ui.favoritesOnly ? '1' : '',
+            mode: this.searchEngine.searchMode,
+            member: this.ui.openProfileUsername
+        });
+    }
+
+    /**
+     * Apply state read from the URL to the UI and re-run the search
+     */
+    async applyUrlState(state) {
+        if (!this.searchEngine) return;
+        this.isApplyingUrlState = true;
+        
+        try {
+            const searchInput = document.getElementById('search-input');
+            const locationFilter = document.getElementById('location-filter');
+            const sortSelect = document.getElementById('sort-select');
+            
+            if (searchInput) searchInput.value = state.search;
+            if (locationFilter) locationFilter.value = state.location;
+            this.ui.setSelectedRoles(state.roles.filter(role => Object.hasOwn(RoleClassifier.ROLES, role)));
+            this.ui.setCohort(state.cohort);
+            this.ui.setSelectedTags(this.dataLoader.tagNormalizer.normalizeTags(state.tags));
+            this.ui.setTagMode(state.tagMode === 'all' ? 'all' : 'any');
+            this.ui.setJoinedRange(this.ui.createJoinedRange(state.joined));
+            this.ui.selectedArea = this.urlState.parseArea(state.area, state.areaLabel);
+            
+            // Favorites and labels are kept in this browser; labels it doesn't have are dropped
+            const labels = this.personalStore.getAllLabels();
+            this.ui.favoritesOnly = state.favoritesOnly === '1';
+            this.ui.selectedLabels = state.labels.filter(label => labels.includes(label));
+            this.ui.populatePersonalFilters(labels);
+            
+            // Only orders the sort menu offers; anything else falls back to the default
+            const sorts = sortSelect ? [...sortSelect.options].map(option => option.value) : [];
+            this.setSort(sorts.includes(state.sort) ? state.sort : 'recent');
+            this.setView(['list', 'map', 'insights'].includes(state.view) ? state.view : 'grid', { refresh: false });
+            
+            if (state.mode !== this.searchEngine.searchMode) {
+                await this.setSearchMode(state.mode === 'semantic' ? 'semantic' : 'keyword');
+            } else {
+                await this.performSearch();
+            }
+            
+            const member = state.member && this.findMember(state.member);
+            if (member) {
+                this.ui.showMemberProfile(member);
+            } else {
+                this.ui.closeMemberProfile();
+            }
+        } finally {
+            this.isApplyingUrlState = false;
         }
     }
 
@@ -339,6 +772,27 @@ class NSocialApp {
         }
     }
 
+    /**
+     * Open a suggested member, or turn a suggested tag, location or role into its filter
+     */
+    applySuggestion(suggestion) {
+        if (suggestion.type === 'member') {
+            const member = this.findMember(suggestion.value);
+            if (member) this.ui.showMemberProfile(member);
+            return;
+        }
+        
+        this.ui.applySuggestion(suggestion);
+    }
+
+    /**
+     * Show everyone in a cohort, grouped by role
+     */
+    showCohortRoster(cohort) {
+        if (!cohort) return;
+        this.ui.showCohortRoster(this.dataLoader.getCohortRoster(cohort));
+    }
+
     /**
      * Utility method to search for specific member
      */
@@ -350,29 +804,126 @@ class NSocialApp {
     /**
      * Get recommendations for a specific member
      */
-    getRecommendations(username, count = 5) {
+    async getRecommendations(username, count = 5) {
         const member = this.findMember(username);
         if (!member || !this.searchEngine) return [];
         
-        return this.searchEngine.findSimilarMembers(member, count);
+        return this.searchEngine.findSimilarMembersAsync(member, count);
+    }
+
+    /**
+     * Open the export dialog with counts for each choice of members
+     */
+    showExportDialog() {
+        if (!this.searchEngine) return;
+        
+        this.ui.showExportDialog(this.getScopeCounts(), Exporter.COLUMNS, Exporter.FORMATS, (options) => {
+            this.exportResults(options);
+        });
+    }
+
+    /**
+     * How many members each choice (results, selection, favorites) covers
+     */
+    getScopeCounts() {
+        return {
+            results: this.searchEngine.currentResults.length,
+            selected: this.ui.selectedMembers.size,
+            favorites: this.getExportMembers('favorites').length
+        };
+    }
+
+    /**
+     * Members to export: the current results (in display order), the selection or the favorites
+     */
+    getExportMembers(scope) {
+        const members = this.dataLoader.processedData || [];
+        
+        switch (scope) {
+            case 'selected':
+                return members.filter(member => this.ui.selectedMembers.has(member.username));
+            case 'favorites':
+                return members.filter(member => this.personalStore.isFavorite(member.username));
+            default:
+                return this.searchEngine.sortResults(this.searchEngine.currentResults, this.currentSort);
+        }
+    }
+
+    /**
+     * Export members as CSV, vCard, Markdown or JSON
+     */
+    exportResults({ scope = 'results', format = 'csv', columns } = {}) {
+        if (!this.searchEngine) return;
+        
+        const members = this.getExportMembers(scope);
+        if (members.length === 0) {
+            this.ui.showNotice('Nothing to export', 'error');
+            return;
+        }
+        
+        const titles = {
+            results: 'Network School members',
+            selected: 'Selected Network School members',
+            favorites: 'My favorite Network School members'
+        };
+        
+        this.exporter.download(format, members, {
+            columns,
+            title: titles[scope] || titles.results,
+            fileName: `nsocial-${scope}-${Exporter.formatDate(Date.now())}`
+        });
+        this.ui.showNotice(`Exported ${members.length.toLocaleString()} members`);
+    }
+
+    /**
+     * Open the group planner for the current results, the selection or the favorites
+     */
+    showGroupPlanner() {
+        if (!this.searchEngine) return;
+        
+        this.ui.showGroupPlanner(this.getScopeCounts(), (options) => this.planGroups(options));
     }
 
     /**
-     * Export current search results
+     * Plan groups and show them with their downloads
      */
-    exportResults() {
-        if (!this.searchEngine.currentResults) return;
+    async planGroups({ scope, size, mode, pinned, excluded }) {
+        const members = this.getExportMembers(scope);
+        if (members.length < 2) {
+            this.ui.showNotice('Choose at least two members to plan groups', 'error');
+            return;
+        }
+        if (members.length > GroupPlanner.MAX_MEMBERS) {
+            this.ui.showNotice(`Group planning takes up to ${GroupPlanner.MAX_MEMBERS} members, narrow your results or select fewer`, 'error');
+            return;
+        }
         
-        const dataStr = JSON.stringify(this.searchEngine.currentResults, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+        // Pins and exclusions can only name people being planned for
+        const usernames = new Set(members.map(member => member.username));
+        const unknown = [...new Set([...pinned, ...excluded].flat())].filter(username => !usernames.has(username));
+        if (unknown.length > 0) {
+            this.ui.showNotice(`Not among the chosen members: ${unknown.join(', ')}`, 'error');
+            return;
+        }
         
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'nsocial-search-results.json';
-        link.click();
+        let plan;
+        try {
+            plan = await this.searchEngine.planGroupsAsync([...usernames], { size, mode, pinned, excluded });
+        } catch (error) {
+            if (error instanceof WorkerCancelledError) return;
+            console.error('Group planning failed:', error);
+            this.ui.showNotice('Could not plan groups', 'error');
+            return;
+        }
         
-        URL.revokeObjectURL(url);
+        const title = plan.size === 2 ? '1:1 intros' : `Groups of ${plan.size}`;
+        this.ui.renderGroupPlan(plan, {
+            onExport: (format) => this.exporter.downloadPlan(format, plan, {
+                title,
+                fileName: `nsocial-groups-${Exporter.formatDate(Date.now())}`
+            }),
+            onBack: () => this.showGroupPlanner()
+        });
     }
 
     /**
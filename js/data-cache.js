@@ -0,0 +1,91 @@
+/**
+ * Data Cache Module
+ * Persists raw dataset snapshots in IndexedDB for offline-first loading
+ */
+
+class DataCache {
+    constructor(dbName = 'nsocial-cache', storeName = 'datasets') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this browser
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Open (or create) the cache database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a cached snapshot ({ payload, timestamp, etag, lastModified })
+     */
+    async get(key) {
+        const record = await this.withStore('readonly', store => store.get(key));
+        return record || null;
+    }
+
+    /**
+     * Store a snapshot under the given key
+     */
+    async put(key, record) {
+        await this.withStore('readwrite', store => store.put(record, key));
+        return record;
+    }
+
+    /**
+     * Remove a cached snapshot
+     */
+    async delete(key) {
+        await this.withStore('readwrite', store => store.delete(key));
+    }
+}
+
+// Export for use in other modules
+window.DataCache = DataCache;
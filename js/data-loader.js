@@ -4,33 +4,103 @@
  */
 
 class DataLoader {
-    constructor() {
+    constructor(options = {}) {
         this.rawData = null;
         this.processedData = null;
         this.isLoading = false;
         this.dataUrl = 'https://n-social-data.vercel.app/';
+        
+        // Optional WorkerClient that processes and indexes data off the main thread
+        this.worker = options.worker || null;
+        if (this.worker) {
+            this.worker.onFailure = () => this.handleWorkerFailure();
+        }
+        this.derived = null;
+        this.filterOptionsCache = null;
+        
+        // Where raw records come from (remote endpoint by default)
+        this.dataSource = new RemoteDataSource(this.dataUrl);
+        
+        // Schema validation and data-quality report
+        this.validator = new DataValidator();
+        this.qualityReport = null;
+        this.quarantinedRecords = [];
+        
+        // Merges tag case variants and synonyms
+        this.tagNormalizer = new TagNormalizer();
+        
+        // Folds accents and punctuation and splits words, for both indexing and queries
+        this.textNormalizer = new TextNormalizer();
+        
+        // Places member locations on the map
+        this.gazetteer = new Gazetteer();
+        
+        // Roles and seniority from professional summaries
+        this.roleClassifier = new RoleClassifier();
+        
+        // Members without a cohort field are put in cohorts by join date, this many months each
+        this.cohortMonths = 1;
+        this.searchIndex = null;
+        this.semanticIndex = null;
+        this.semanticIndexPromise = null;
+        
+        // Offline-first cache of the raw payload
+        this.cache = new DataCache();
+        this.maxCacheAge = 24 * 60 * 60 * 1000; // Snapshots older than a day are stale
+        this.revalidation = null;
+        this.dataStatus = {
+            source: null,          // 'network', 'cache' or 'file'
+            sourceLabel: null,
+            fetchedAt: null,
+            isStale: false,
+            isOffline: false,
+            isRevalidating: false
+        };
     }
 
     /**
-     * Download and process the NSocial data
+     * Download and process the NSocial data.
+     * Renders from the cached snapshot when one exists and revalidates in the background.
      */
     async loadData() {
         if (this.isLoading) return;
         
         this.isLoading = true;
-        console.log('Loading NSocial data...');
+        console.log(`Loading NSocial data from ${this.dataSource.label}...`);
 
         try {
-            const response = await fetch(this.dataUrl);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const source = this.dataSource;
+            const cached = source.cacheable ? await this.readCache() : null;
+            
+            if (cached) {
+                console.log(`Loaded ${cached.payload.length} members from cache`);
+                await this.applyPayload(cached.payload);
+                this.setDataStatus({
+                    source: 'cache',
+                    sourceLabel: source.label,
+                    fetchedAt: cached.timestamp,
+                    isStale: this.isSnapshotStale(cached.timestamp)
+                });
+                
+                this.isLoading = false;
+                this.revalidation = this.revalidate(cached);
+                return this.processedData;
             }
             
-            this.rawData = await response.json();
-            console.log(`Loaded ${this.rawData.length} members`);
+            const record = await source.load();
+            console.log(`Loaded ${record.payload.length} members`);
             
-            // Process the data for better usability
-            this.processedData = this.processData(this.rawData);
+            await this.applyPayload(record.payload);
+            this.setDataStatus({
+                source: source.cacheable ? 'network' : 'file',
+                sourceLabel: source.label,
+                fetchedAt: record.timestamp,
+                isStale: false,
+                isOffline: false
+            });
+            if (source.cacheable) {
+                await this.writeCache(record);
+            }
             
             this.isLoading = false;
             return this.processedData;
@@ -42,11 +112,266 @@ class DataLoader {
         }
     }
 
+    /**
+     * Switch to another data source and load it through the same pipeline
+     */
+    async useDataSource(source) {
+        if (this.isLoading) {
+            throw new Error('Data is still loading');
+        }
+        
+        const previousSource = this.dataSource;
+        this.dataSource = source;
+        
+        try {
+            await this.loadData();
+        } catch (error) {
+            this.dataSource = previousSource;
+            throw error;
+        }
+        
+        document.dispatchEvent(new CustomEvent('dataUpdated', {
+            detail: { count: this.processedData.length, source: source.type }
+        }));
+        return this.processedData;
+    }
+
+    /**
+     * Go back to the remote community dataset
+     */
+    resetDataSource() {
+        return this.useDataSource(new RemoteDataSource(this.dataUrl));
+    }
+
+    /**
+     * Revalidate the cached snapshot against the network.
+     * Keeps the last good snapshot when the network is unavailable.
+     */
+    async revalidate(cached = null) {
+        if (!this.dataSource.cacheable) return false;
+        if (this.dataStatus.isRevalidating) return this.revalidation;
+        
+        this.setDataStatus({ isRevalidating: true });
+        
+        const source = this.dataSource;
+        
+        try {
+            const snapshot = cached || await this.readCache();
+            const record = await source.load(snapshot);
+            
+            // The user switched to another source while we were fetching
+            if (source !== this.dataSource) {
+                this.setDataStatus({ isRevalidating: false });
+                return false;
+            }
+            
+            if (!record.notModified) {
+                console.log(`Revalidated data: ${record.payload.length} members`);
+                await this.applyPayload(record.payload);
+                document.dispatchEvent(new CustomEvent('dataUpdated', {
+                    detail: { count: this.processedData.length }
+                }));
+            }
+            
+            await this.writeCache(record);
+            this.setDataStatus({
+                source: 'network',
+                fetchedAt: record.timestamp,
+                isStale: false,
+                isOffline: false,
+                isRevalidating: false
+            });
+            return true;
+            
+        } catch (error) {
+            console.warn('Revalidation failed, keeping last good snapshot:', error);
+            if (source !== this.dataSource) {
+                this.setDataStatus({ isRevalidating: false });
+                return false;
+            }
+            this.setDataStatus({
+                isOffline: true,
+                isStale: this.isSnapshotStale(this.dataStatus.fetchedAt),
+                isRevalidating: false
+            });
+            return false;
+        }
+    }
+
+    /**
+     * Store raw data and run it through the processing pipeline,
+     * in the data worker when one is attached
+     */
+    async applyPayload(payload) {
+        this.rawData = payload;
+        
+        // Semantic vectors are built lazily for the new dataset
+        this.semanticIndex = null;
+        this.semanticIndexPromise = null;
+        
+        if (this.worker) {
+            try {
+                const source = this.dataSource;
+                const { result } = await this.worker.call('load', [payload, source.cacheable ? source.cacheKey : null]);
+                
+                this.processedData = result.processedData;
+                this.qualityReport = result.qualityReport;
+                this.quarantinedRecords = result.quarantinedRecords;
+                this.derived = { filterOptions: result.filterOptions, stats: result.stats };
+                
+                // Tags from the URL or the UI are normalized here, so learn the worker's spellings
+                this.tagNormalizer.canonical = new Map(result.tagSpellings);
+                this.searchIndex = null;
+                return;
+            } catch (error) {
+                // A worker that died has already been replaced (see handleWorkerFailure)
+                if (!this.worker) return;
+                console.warn('Data worker failed, processing on the main thread:', error);
+                this.worker = null;
+            }
+        }
+        
+        this.processPayload(payload);
+    }
+
+    /**
+     * The data worker died: carry on in the main thread with the data it had loaded
+     */
+    handleWorkerFailure() {
+        console.warn('Data worker stopped, processing on the main thread');
+        this.worker = null;
+        
+        if (this.rawData) {
+            this.processPayload(this.rawData);
+        }
+    }
+
+    /**
+     * Validate, process and index a payload in the current thread
+     */
+    processPayload(payload) {
+        // Validate against the member schema before processing
+        const { records, quarantined, report } = this.validator.validate(payload);
+        this.quarantinedRecords = quarantined;
+        this.qualityReport = report;
+        if (quarantined.length > 0) {
+            console.warn(`Quarantined ${quarantined.length} invalid member records`);
+        }
+        
+        // Process the data for better usability
+        this.processedData = this.processData(records);
+        this.derived = null;
+        
+        // Build the inverted index once per dataset
+        this.searchIndex = new SearchIndex(this.processedData, { normalizer: this.textNormalizer });
+    }
+
+    /**
+     * Get the semantic (LSA) index for the current data, restoring it from cache or building it
+     */
+    getSemanticIndex() {
+        if (this.semanticIndex && this.semanticIndex.members === this.processedData) {
+            return Promise.resolve(this.semanticIndex);
+        }
+        
+        if (!this.semanticIndexPromise) {
+            this.semanticIndexPromise = this.buildSemanticIndex();
+        }
+        return this.semanticIndexPromise;
+    }
+
+    /**
+     * Restore cached vectors when the dataset is unchanged, otherwise compute and cache them
+     */
+    async buildSemanticIndex() {
+        const members = this.processedData;
+        const source = this.dataSource;
+        const cacheKey = source.cacheable ? `semantic:${source.cacheKey}` : null;
+        let index = null;
+        
+        if (cacheKey) {
+            try {
+                index = SemanticIndex.restore(await this.cache.get(cacheKey), members, { normalizer: this.textNormalizer });
+            } catch (error) {
+                console.warn('Semantic index cache unavailable:', error);
+            }
+        }
+        
+        if (!index) {
+            console.log('Building semantic index...');
+            index = new SemanticIndex({ normalizer: this.textNormalizer }).build(members);
+            
+            if (cacheKey) {
+                try {
+                    await this.cache.put(cacheKey, index.serialize());
+                } catch (error) {
+                    console.warn('Failed to cache semantic index:', error);
+                }
+            }
+        }
+        
+        // Data may have changed while we were building
+        if (members === this.processedData) {
+            this.semanticIndex = index;
+        }
+        return index;
+    }
+
+    /**
+     * Read the cached snapshot for the current data URL, if any
+     */
+    async readCache() {
+        try {
+            const record = await this.cache.get(this.dataSource.cacheKey);
+            return record && Array.isArray(record.payload) ? record : null;
+        } catch (error) {
+            console.warn('Data cache unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Persist a snapshot for the current data URL
+     */
+    async writeCache(record) {
+        try {
+            const { notModified, ...snapshot } = record;
+            await this.cache.put(this.dataSource.cacheKey, snapshot);
+        } catch (error) {
+            console.warn('Failed to write data cache:', error);
+        }
+    }
+
+    /**
+     * Check whether a snapshot timestamp is older than the allowed cache age
+     */
+    isSnapshotStale(timestamp) {
+        if (!timestamp) return true;
+        return Date.now() - timestamp > this.maxCacheAge;
+    }
+
+    /**
+     * Update data freshness status and notify listeners
+     */
+    setDataStatus(changes) {
+        this.dataStatus = { ...this.dataStatus, ...changes };
+        
+        document.dispatchEvent(new CustomEvent('dataStatusChange', {
+            detail: { ...this.dataStatus }
+        }));
+    }
+
     /**
      * Process raw data to make it more searchable and usable
      */
     processData(rawData) {
+        this.tagNormalizer.build(rawData);
+        
         return rawData.map(member => {
+            const place = this.gazetteer.locate(member.location);
+            const locationNormalized = this.normalizeLocation(member.location, place);
+            const joinedAt = this.parseJoinDate(member.post_date);
+            
             const processed = {
                 ...member,
                 // Clean and normalize text fields
@@ -56,14 +381,20 @@ class DataLoader {
                 personal_summary: this.cleanText(member.personal_summary),
                 philosophical_summary: this.cleanText(member.philosophical_summary),
                 
-                // Process tags
-                tags: member.tags || [],
+                // Process tags (canonical spelling, synonyms merged)
+                tags: this.tagNormalizer.normalizeTags(member.tags),
                 
                 // Extract searchable keywords from professional summary
                 professional_keywords: this.extractKeywords(member.professional_summary),
                 
                 // Process location data
-                location_normalized: this.normalizeLocation(member.location),
+                location_normalized: locationNormalized,
+                location_keys: this.getLocationKeys(place, locationNormalized),
+                geo: place,
+                
+                // Join date in milliseconds (post_date may be seconds, milliseconds or a date string)
+                joined_at: joinedAt,
+                cohort: this.getCohort(member, joinedAt),
                 
                 // Add computed fields
                 has_location: !!member.location,
@@ -77,11 +408,103 @@ class DataLoader {
                 // Process URLs
                 social_links: this.processSocialLinks(member)
             };
+            
+            // Roles (engineering, design, ...) and seniority, with the reasons for each
+            const classification = this.roleClassifier.classify(processed);
+            processed.roles = classification.roles;
+            processed.seniority = classification.seniority;
+            processed.role_evidence = classification.evidence;
 
             return processed;
         });
     }
 
+    /**
+     * post_date as milliseconds since the epoch, or null when missing or unreadable
+     */
+    parseJoinDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        
+        const time = typeof value === 'number'
+            ? (value < 1e12 ? value * 1000 : value)
+            : Date.parse(value);
+        return Number.isFinite(time) ? time : null;
+    }
+
+    /**
+     * The member's cohort field, or else the join-date window they fall in ("2024-09" for
+     * monthly cohorts, named after the window's first month). Windows are in UTC so a cohort
+     * link means the same members in every timezone. Empty when neither is known.
+     */
+    getCohort(member, joinedAt) {
+        const named = this.cleanText(String(member.cohort ?? ''));
+        if (named) return named;
+        if (joinedAt === null) return '';
+        
+        const date = new Date(joinedAt);
+        const month = date.getUTCMonth() - (date.getUTCMonth() % this.cohortMonths);
+        return `${date.getUTCFullYear()}-${String(month + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Display name of a cohort: join-date windows read as "Sep 2024" (or "Sep – Nov 2024")
+     */
+    getCohortLabel(cohort) {
+        const range = /^(\d{4})-(\d{2})$/.exec(cohort);
+        if (!range) return cohort;
+        
+        const format = { month: 'short', year: 'numeric', timeZone: 'UTC' };
+        const start = new Date(Date.UTC(Number(range[1]), Number(range[2]) - 1, 1));
+        if (this.cohortMonths === 1) return start.toLocaleDateString(undefined, format);
+        
+        const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + this.cohortMonths - 1, 1));
+        return `${start.toLocaleDateString(undefined, { month: 'short', timeZone: 'UTC' })} – ${end.toLocaleDateString(undefined, format)}`;
+    }
+
+    /**
+     * Members per cohort, newest cohort first: [{ value, label, count }].
+     * Cohorts are ordered by their earliest join date; named cohorts without dates come last.
+     */
+    countCohorts(members) {
+        const cohorts = new Map();
+        members.forEach(member => {
+            if (!member.cohort) return;
+            
+            const entry = cohorts.get(member.cohort) || { value: member.cohort, count: 0, since: Infinity };
+            entry.count++;
+            if (member.joined_at !== null) entry.since = Math.min(entry.since, member.joined_at);
+            cohorts.set(member.cohort, entry);
+        });
+        
+        return [...cohorts.values()]
+            .sort((a, b) => (a.since === Infinity) - (b.since === Infinity) || b.since - a.since ||
+                a.value.localeCompare(b.value, undefined, { numeric: true }))
+            .map(({ value, count }) => ({ value, label: this.getCohortLabel(value), count }));
+    }
+
+    /**
+     * Everyone in a cohort grouped by their main role, in taxonomy order:
+     * { cohort, label, count, groups: [{ role, label, members }] }. Members without a role come last.
+     */
+    getCohortRoster(cohort) {
+        const members = (this.processedData || [])
+            .filter(member => member.cohort === cohort)
+            .sort((a, b) => (a.name || a.username || '').localeCompare(b.name || b.username || ''));
+        
+        const byRole = new Map();
+        members.forEach(member => {
+            const role = member.roles?.[0] || '';
+            if (!byRole.has(role)) byRole.set(role, []);
+            byRole.get(role).push(member);
+        });
+        
+        const groups = [...this.roleClassifier.getRoleOptions(), { value: '', label: 'Other' }]
+            .filter(role => byRole.has(role.value))
+            .map(role => ({ role: role.value, label: role.label, members: byRole.get(role.value) }));
+        
+        return { cohort, label: this.getCohortLabel(cohort), count: members.length, groups };
+    }
+
     /**
      * Clean text by removing extra whitespace and escape characters
      */
@@ -120,35 +543,31 @@ class DataLoader {
     }
 
     /**
-     * Normalize location for better grouping and eliminate duplicates
+     * Normalize location for better grouping and eliminate duplicates.
+     * Places the gazetteer knows get one name ("Lisboa", "lisbon pt" → "Lisbon, Portugal").
      */
-    normalizeLocation(location) {
+    normalizeLocation(location, place = this.gazetteer.locate(location)) {
         if (!location) return null;
         
-        let normalized = location.toLowerCase().trim();
-        
-        // Common location normalizations
-        const locationMappings = {
-            'sf': 'san francisco',
-            'bay area': 'san francisco',
-            'silicon valley': 'san francisco',
-            'nyc': 'new york',
-            'new york city': 'new york',
-            'la': 'los angeles',
-            'sg': 'singapore',
-            'uk': 'united kingdom',
-            'usa': 'united states',
-            'us': 'united states'
-        };
-        
-        normalized = locationMappings[normalized] || normalized;
+        if (place) {
+            return this.gazetteer.format(place);
+        }
         
         // Clean up and standardize formatting
-        return this.standardizeLocationFormat(normalized);
+        return this.standardizeLocationFormat(location.toLowerCase().trim());
     }
     
     /**
-     * Standardize location format to prefer detailed versions
+     * Location filter keys, broadest first: "Europe", "Europe/Portugal", "Europe/Portugal/Lisbon".
+     * Locations the gazetteer can't place are grouped under "Other".
+     */
+    getLocationKeys(place, normalized) {
+        const path = place ? this.gazetteer.getPath(place) : (normalized ? ['Other', normalized] : []);
+        return path.map((label, index) => path.slice(0, index + 1).join('/'));
+    }
+    
+    /**
+     * Standardize location format for locations the gazetteer doesn't know
      */
     standardizeLocationFormat(location) {
         if (!location) return null;
@@ -189,7 +608,7 @@ class DataLoader {
     }
 
     /**
-     * Create searchable text combining all relevant fields
+     * Create searchable text combining all relevant fields, normalized for phrase matching
      */
     createSearchableText(member) {
         const fields = [
@@ -202,9 +621,7 @@ class DataLoader {
             ...(member.tags || [])
         ];
         
-        return fields.filter(field => field)
-                    .join(' ')
-                    .toLowerCase();
+        return this.textNormalizer.normalize(fields.filter(field => field).join(' '));
     }
 
     /**
@@ -231,11 +648,15 @@ class DataLoader {
      */
     getFilterOptions() {
         if (!this.processedData) return null;
+        if (this.derived) return this.derived.filterOptions;
         
-        // Get unique locations with smart deduplication
-        const locations = this.getUniqueLocations();
+        // Computed once per dataset
+        if (this.filterOptionsCache?.data === this.processedData) {
+            return this.filterOptionsCache.options;
+        }
         
-
+        // Location hierarchy: continent > country > state > city
+        const locations = this.getLocationOptions();
         
         const allTags = [...new Set(
             this.processedData
@@ -243,114 +664,182 @@ class DataLoader {
                 .filter(t => t)
         )].sort();
         
-        // Extract common professions from professional summaries
-        const professions = this.extractProfessions();
+        // Roles that occur in the data, in taxonomy order
+        const presentRoles = new Set(this.processedData.flatMap(m => m.roles || []));
+        const roles = this.roleClassifier.getRoleOptions().filter(role => presentRoles.has(role.value));
         
-        return {
+        const options = {
             locations,
             tags: allTags,
-            professions
+            roles,
+            cohorts: this.countCohorts(this.processedData)
         };
-    }
-    
-    /**
-     * Get unique locations, prioritizing detailed versions over simple city names
-     */
-    getUniqueLocations() {
-        const allLocations = this.processedData
-            .map(m => m.location_normalized)
-            .filter(l => l);
-            
-        // Group locations by base city name
-        const locationGroups = {};
-        
-        allLocations.forEach(location => {
-            // Extract base city name (everything before first comma)
-            const baseCity = location.split(',')[0].trim().toLowerCase();
-            
-            if (!locationGroups[baseCity]) {
-                locationGroups[baseCity] = [];
-            }
-            locationGroups[baseCity].push(location);
-        });
         
-        // For each city group, prefer the most detailed version
-        const uniqueLocations = Object.values(locationGroups).map(group => {
-            if (group.length === 1) {
-                return group[0];
-            }
-            
-            // Sort by detail level (number of commas) and length, prefer more detailed
-            return group.sort((a, b) => {
-                const aCommas = (a.match(/,/g) || []).length;
-                const bCommas = (b.match(/,/g) || []).length;
-                
-                if (aCommas !== bCommas) {
-                    return bCommas - aCommas; // More commas = more detailed
-                }
-                
-                return b.length - a.length; // Longer = more detailed
-            })[0];
-        });
-        
-        return uniqueLocations.sort();
+        this.filterOptionsCache = { data: this.processedData, options };
+        return options;
     }
-
+    
     /**
-     * Extract common professions for filter dropdown
+     * Location picker options in tree order, each { value, label, level }.
+     * Selecting an option matches every member beneath it ("Europe" includes Lisbon).
      */
-    extractProfessions() {
-        if (!this.processedData) return [];
-        
-        const professionKeywords = {};
+    getLocationOptions() {
+        const nodes = new Map();
+        const roots = [];
         
         this.processedData.forEach(member => {
-            if (member.professional_summary) {
-                const summary = member.professional_summary.toLowerCase();
-                
-                // Common profession patterns
-                const patterns = [
-                    'developer', 'engineer', 'designer', 'product manager',
-                    'founder', 'ceo', 'cto', 'entrepreneur', 'consultant',
-                    'data scientist', 'researcher', 'analyst', 'marketer',
-                    'blockchain', 'web3', 'ai', 'machine learning'
-                ];
+            (member.location_keys || []).forEach((key, level, keys) => {
+                if (nodes.has(key)) return;
                 
-                patterns.forEach(pattern => {
-                    if (summary.includes(pattern)) {
-                        professionKeywords[pattern] = (professionKeywords[pattern] || 0) + 1;
-                    }
-                });
-            }
+                const parent = level > 0 ? nodes.get(keys[level - 1]) : null;
+                const node = {
+                    value: key,
+                    label: parent ? key.slice(parent.value.length + 1) : key,
+                    level,
+                    children: []
+                };
+                nodes.set(key, node);
+                (parent ? parent.children : roots).push(node);
+            });
         });
         
-        // Return top professions sorted by frequency
-        return Object.entries(professionKeywords)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([profession]) => profession);
+        // A-Z at every level, with unplaced locations last
+        const options = [];
+        const visit = list => list
+            .sort((a, b) => (a.value === 'Other') - (b.value === 'Other') || a.label.localeCompare(b.label))
+            .forEach(({ children, ...option }) => {
+                options.push(option);
+                visit(children);
+            });
+        visit(roots);
+        
+        return options;
     }
 
     /**
      * Get community statistics
      */
-    getStats() {
+    getStats(members = null) {
         if (!this.processedData) return null;
+        if (!members && this.derived) return this.derived.stats;
         
+        const data = members || this.processedData;
         const stats = {
-            totalMembers: this.processedData.length,
-            totalLocations: new Set(this.processedData.map(m => m.location_normalized).filter(l => l)).size,
-            totalTags: new Set(this.processedData.flatMap(m => m.tags || [])).size,
+            totalMembers: data.length,
+            totalLocations: new Set(data.map(m => m.location_normalized).filter(l => l)).size,
+            totalTags: new Set(data.flatMap(m => m.tags || [])).size,
+            cohorts: this.countCohorts(data),
             
             // Additional insights
-            membersWithLocation: this.processedData.filter(m => m.has_location).length,
-            membersWithProfessional: this.processedData.filter(m => m.has_professional_summary).length,
-            membersWithSocial: this.processedData.filter(m => m.has_social_links).length
+            membersWithLocation: data.filter(m => m.has_location).length,
+            membersWithProfessional: data.filter(m => m.has_professional_summary).length,
+            membersWithSocial: data.filter(m => m.has_social_links).length
         };
         
         return stats;
     }
 
+    /**
+     * Breakdowns for the analytics dashboard, over any set of members (usually the current results).
+     * Every entry carries the filter value that selects it.
+     */
+    getAnalytics(members) {
+        if (!this.processedData) return null;
+        
+        const countBy = (keysOf) => {
+            const counts = new Map();
+            members.forEach(member => {
+                keysOf(member).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+            });
+            return [...counts.entries()]
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+        };
+        
+        // Country is the second level of the location hierarchy ("Europe/Portugal")
+        const countries = countBy(member => member.geo ? [member.location_keys[1]] : [])
+            .map(entry => ({ ...entry, label: entry.value.split('/').pop() }));
+        
+        const tags = countBy(member => member.tags || [])
+            .map(entry => ({ ...entry, label: entry.value }));
+        
+        const roles = countBy(member => member.roles || [])
+            .map(entry => ({ ...entry, label: this.roleClassifier.getRoleLabel(entry.value) }));
+        
+        // Profile fields, as the has: values that filter on them
+        const fields = {
+            location: ['Location', m => m.has_location],
+            summary: ['Professional summary', m => m.has_professional_summary],
+            tags: ['Tags', m => (m.tags || []).length > 0],
+            photo: ['Photo', m => !!m.profile_image],
+            linkedin: ['LinkedIn', m => !!m.social_links?.linkedin],
+            twitter: ['X / Twitter', m => !!m.social_links?.twitter],
+            discord: ['Discord', m => !!m.social_links?.discord]
+        };
+        const completeness = Object.entries(fields).map(([value, [label, test]]) => ({
+            value,
+            label,
+            count: members.filter(test).length
+        }));
+        
+        return {
+            ...this.getStats(members),
+            unplaced: members.filter(member => !member.geo).length,
+            countries,
+            tags,
+            roles,
+            completeness,
+            joined: this.getJoinHistogram(members)
+        };
+    }
+
+    /**
+     * Members per join month (per quarter over four years), oldest first, including empty periods.
+     * Each bucket is { label, from, to, count } with from/to in milliseconds (to is exclusive).
+     */
+    getJoinHistogram(members) {
+        const times = members.map(member => member.joined_at).filter(time => time !== null);
+        if (times.length === 0) return [];
+        
+        const first = new Date(times.reduce((min, time) => Math.min(min, time)));
+        const last = new Date(times.reduce((max, time) => Math.max(max, time)));
+        const months = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth() + 1;
+        const step = months > 48 ? 3 : 1;
+        
+        const buckets = [];
+        let year = first.getFullYear();
+        let month = step === 3 ? first.getMonth() - (first.getMonth() % 3) : first.getMonth();
+        
+        while (new Date(year, month, 1) <= last) {
+            const from = new Date(year, month, 1);
+            const to = new Date(year, month + step, 1);
+            buckets.push({
+                label: step === 3
+                    ? `Q${Math.floor(month / 3) + 1} ${year}`
+                    : from.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+                from: from.getTime(),
+                to: to.getTime(),
+                count: 0
+            });
+            year = to.getFullYear();
+            month = to.getMonth();
+        }
+        
+        times.forEach(time => {
+            const bucket = buckets.find(entry => time >= entry.from && time < entry.to);
+            if (bucket) bucket.count++;
+        });
+        
+        return buckets;
+    }
+
+    /**
+     * Get the data-quality report from the last validation run
+     */
+    getQualityReport() {
+        return this.qualityReport;
+    }
+
     /**
      * Get sample of the data for testing
      */
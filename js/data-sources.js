@@ -0,0 +1,271 @@
+/**
+ * Data Sources Module
+ * Adapters that provide raw member records to the DataLoader pipeline
+ */
+
+/**
+ * Base data source. Subclasses implement load() and resolve to a record
+ * shaped like { payload, timestamp } where payload is an array of raw members.
+ */
+class DataSource {
+    constructor(type, label) {
+        this.type = type;
+        this.label = label;
+        this.cacheable = false;
+    }
+
+    async load() {
+        throw new Error(`${this.constructor.name} must implement load()`);
+    }
+
+    /**
+     * Accept either a bare array or an object wrapping the member list
+     */
+    extractMembers(data) {
+        if (Array.isArray(data)) return data;
+
+        const wrapped = data && (data.members || data.data || data.results);
+        if (Array.isArray(wrapped)) return wrapped;
+
+        throw new Error('Expected a JSON array of members');
+    }
+}
+
+/**
+ * Remote JSON endpoint, cached and revalidated with ETag/Last-Modified
+ */
+class RemoteDataSource extends DataSource {
+    constructor(url) {
+        super('remote', url);
+        this.url = url;
+        this.cacheKey = url;
+        this.cacheable = true;
+    }
+
+    /**
+     * Fetch the dataset, sending the cached validators when available
+     */
+    async load(cached = null) {
+        const headers = {};
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        const response = await fetch(this.url, { headers });
+
+        if (response.status === 304 && cached) {
+            return { ...cached, timestamp: Date.now(), notModified: true };
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return {
+            payload: this.extractMembers(await response.json()),
+            timestamp: Date.now(),
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        };
+    }
+}
+
+/**
+ * Local JSON file, e.g. dropped onto the page
+ */
+class JsonFileDataSource extends DataSource {
+    constructor(file) {
+        super('file', file.name);
+        this.file = file;
+    }
+
+    async load() {
+        const text = await this.file.text();
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${this.file.name} is not valid JSON: ${error.message}`);
+        }
+
+        return {
+            payload: this.extractMembers(data),
+            timestamp: Date.now()
+        };
+    }
+}
+
+/**
+ * Local CSV file with a column → member field mapping
+ */
+class CsvFileDataSource extends DataSource {
+    constructor(file, columnMapping = null) {
+        super('file', file.name);
+        this.file = file;
+        this.columnMapping = columnMapping;
+        this.parsed = null;
+    }
+
+    /**
+     * Member fields a CSV column can be mapped to, with header aliases for auto-detection
+     */
+    static get FIELDS() {
+        return {
+            name: { label: 'Name', aliases: ['name', 'fullname', 'displayname'] },
+            username: { label: 'Username', aliases: ['username', 'handle', 'user', 'id'] },
+            location: { label: 'Location', aliases: ['location', 'city', 'place', 'basedin'] },
+            tags: { label: 'Tags', aliases: ['tags', 'skills', 'interests', 'keywords'] },
+            x_url: { label: 'X / Twitter URL', aliases: ['xurl', 'x', 'twitter', 'twitterurl'] },
+            linkedin_url: { label: 'LinkedIn URL', aliases: ['linkedin', 'linkedinurl'] },
+            discord_handle: { label: 'Discord handle', aliases: ['discord', 'discordhandle'] },
+            professional_summary: { label: 'Professional summary', aliases: ['professionalsummary', 'professional', 'bio', 'about', 'headline'] },
+            personal_summary: { label: 'Personal summary', aliases: ['personalsummary', 'personal'] },
+            philosophical_summary: { label: 'Philosophical summary', aliases: ['philosophicalsummary', 'philosophy', 'values'] },
+            profile_image: { label: 'Profile image URL', aliases: ['profileimage', 'avatar', 'image', 'photo'] },
+            post_date: { label: 'Join date', aliases: ['postdate', 'date', 'joined', 'joindate', 'createdat'] },
+            cohort: { label: 'Cohort', aliases: ['cohort', 'batch', 'intake', 'class'] }
+        };
+    }
+
+    /**
+     * Read and parse the file once, returning the header row
+     */
+    async readHeaders() {
+        if (!this.parsed) {
+            const rows = this.parseCsv(await this.file.text());
+            if (rows.length === 0) {
+                throw new Error(`${this.file.name} is empty`);
+            }
+            this.parsed = { headers: rows[0].map(h => h.trim()), rows: rows.slice(1) };
+        }
+        return this.parsed.headers;
+    }
+
+    /**
+     * Guess a column mapping from header names
+     */
+    guessMapping(headers) {
+        const normalize = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const mapping = {};
+
+        Object.entries(CsvFileDataSource.FIELDS).forEach(([field, { aliases }]) => {
+            const match = headers.find(header => aliases.includes(normalize(header)));
+            if (match) mapping[field] = match;
+        });
+
+        return mapping;
+    }
+
+    async load() {
+        const headers = await this.readHeaders();
+        const mapping = this.columnMapping || this.guessMapping(headers);
+
+        const columnIndex = {};
+        Object.entries(mapping).forEach(([field, header]) => {
+            const index = headers.indexOf(header);
+            if (index > -1) columnIndex[field] = index;
+        });
+
+        const payload = this.parsed.rows
+            .filter(row => row.some(cell => cell.trim()))
+            .map((row, rowIndex) => this.rowToMember(row, columnIndex, rowIndex));
+
+        return { payload, timestamp: Date.now() };
+    }
+
+    /**
+     * Convert one CSV row into a raw member record
+     */
+    rowToMember(row, columnIndex, rowIndex) {
+        const member = {};
+
+        Object.entries(columnIndex).forEach(([field, index]) => {
+            const value = (row[index] || '').trim();
+            if (!value) return;
+
+            if (field === 'tags') {
+                member.tags = this.parseTags(value);
+            } else if (field === 'post_date' && /^\d+$/.test(value)) {
+                member.post_date = Number(value);
+            } else {
+                member[field] = value;
+            }
+        });
+
+        if (!member.username) {
+            const slug = (member.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            member.username = slug ? `${slug}-${rowIndex + 1}` : `row-${rowIndex + 1}`;
+        }
+
+        return member;
+    }
+
+    /**
+     * Split a tags cell; accepts a JSON array or ; | , separated values
+     */
+    parseTags(value) {
+        if (value.startsWith('[')) {
+            try {
+                const parsed = JSON.parse(value);
+                if (Array.isArray(parsed)) return parsed.map(tag => String(tag).trim()).filter(tag => tag);
+            } catch (error) {
+                // Fall through to delimiter splitting
+            }
+        }
+
+        const delimiter = /[;|]/.test(value) ? /[;|]/ : /,/;
+        return value.split(delimiter).map(tag => tag.trim()).filter(tag => tag);
+    }
+
+    /**
+     * Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        text = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+}
+
+// Export for use in other modules
+window.DataSource = DataSource;
+window.RemoteDataSource = RemoteDataSource;
+window.JsonFileDataSource = JsonFileDataSource;
+window.CsvFileDataSource = CsvFileDataSource;
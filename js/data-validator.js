@@ -0,0 +1,222 @@
+/**
+ * Data Validator Module
+ * Checks raw member records against the member schema before processing
+ */
+
+/**
+ * Declared shape of a raw member record
+ */
+const MEMBER_SCHEMA = {
+    username: { type: 'string', required: true },
+    name: { type: 'string' },
+    location: { type: 'string' },
+    professional_summary: { type: 'string' },
+    personal_summary: { type: 'string' },
+    philosophical_summary: { type: 'string' },
+    original_text: { type: 'string' },
+    tags: { type: 'array' },
+    x_url: { type: 'url' },
+    linkedin_url: { type: 'url' },
+    discord_handle: { type: 'string' },
+    profile_image: { type: 'url', allowImageData: true }
+};
+
+/**
+ * Issue categories reported by the validator.
+ * 'error' records are quarantined, 'warning' values were coerced or dropped, 'info' is kept as-is.
+ */
+const QUALITY_ISSUES = {
+    invalid_record: { label: 'Not a member object', severity: 'error' },
+    missing_username: { label: 'Missing username', severity: 'error' },
+    duplicate_username: { label: 'Duplicate usernames', severity: 'error' },
+    invalid_url: { label: 'Invalid URLs', severity: 'warning' },
+    non_array_tags: { label: 'Tags not stored as a list', severity: 'warning' },
+    invalid_type: { label: 'Unexpected value types', severity: 'warning' },
+    empty_profile: { label: 'Empty profiles', severity: 'info' }
+};
+
+class DataValidator {
+    constructor(schema = MEMBER_SCHEMA) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validate raw records, returning the usable records, the quarantined ones and a report
+     */
+    validate(rawData) {
+        const issues = {};
+        Object.keys(QUALITY_ISSUES).forEach(type => { issues[type] = []; });
+
+        const records = [];
+        const quarantined = [];
+        const seenUsernames = new Set();
+        let coercedCount = 0;
+
+        (Array.isArray(rawData) ? rawData : []).forEach((raw, index) => {
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                issues.invalid_record.push({ index, message: `Record #${index + 1} is ${raw === null ? 'null' : Array.isArray(raw) ? 'an array' : typeof raw}` });
+                quarantined.push({ record: raw, reason: 'invalid_record' });
+                return;
+            }
+
+            const recordIssues = [];
+            const record = this.coerceRecord(raw, recordIssues);
+            const username = record.username;
+
+            if (!username) {
+                issues.missing_username.push({ index, name: record.name, message: `Record #${index + 1} has no username` });
+                quarantined.push({ record: raw, reason: 'missing_username' });
+                return;
+            }
+
+            if (seenUsernames.has(username.toLowerCase())) {
+                issues.duplicate_username.push({ index, username, name: record.name, message: `@${username} appears more than once` });
+                quarantined.push({ record: raw, reason: 'duplicate_username' });
+                return;
+            }
+            seenUsernames.add(username.toLowerCase());
+
+            if (this.isEmptyProfile(record)) {
+                recordIssues.push({ type: 'empty_profile', message: 'No name, summaries or tags' });
+            }
+
+            recordIssues.forEach(issue => {
+                issues[issue.type].push({ index, username, name: record.name, field: issue.field, message: issue.message });
+            });
+            if (recordIssues.some(issue => QUALITY_ISSUES[issue.type].severity === 'warning')) {
+                coercedCount++;
+            }
+
+            records.push(record);
+        });
+
+        return {
+            records,
+            quarantined,
+            report: {
+                generatedAt: Date.now(),
+                total: Array.isArray(rawData) ? rawData.length : 0,
+                valid: records.length,
+                coerced: coercedCount,
+                quarantined: quarantined.length,
+                issues
+            }
+        };
+    }
+
+    /**
+     * Coerce each schema field of a record, collecting issues along the way
+     */
+    coerceRecord(raw, recordIssues) {
+        const record = { ...raw };
+
+        Object.entries(this.schema).forEach(([field, rule]) => {
+            const value = raw[field];
+            if (value === undefined || value === null || value === '') {
+                delete record[field];
+                return;
+            }
+
+            let coerced;
+            switch (rule.type) {
+                case 'array':
+                    coerced = this.coerceTags(value, field, recordIssues);
+                    break;
+                case 'url':
+                    coerced = this.coerceUrl(value, field, recordIssues, rule);
+                    break;
+                default:
+                    coerced = this.coerceString(value, field, recordIssues);
+            }
+
+            if (coerced === undefined) {
+                delete record[field];
+            } else {
+                record[field] = coerced;
+            }
+        });
+
+        return record;
+    }
+
+    coerceString(value, field, recordIssues) {
+        if (typeof value === 'string') return value.trim() || undefined;
+
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+
+        recordIssues.push({ type: 'invalid_type', field, message: `${field} should be text, got ${Array.isArray(value) ? 'array' : typeof value}` });
+        return undefined;
+    }
+
+    coerceTags(value, field, recordIssues) {
+        if (typeof value === 'string') {
+            recordIssues.push({ type: 'non_array_tags', field, message: `${field} was a string: "${value}"` });
+            return value.split(/[,;|]/).map(tag => tag.trim()).filter(tag => tag);
+        }
+
+        if (!Array.isArray(value)) {
+            recordIssues.push({ type: 'invalid_type', field, message: `${field} should be a list, got ${typeof value}` });
+            return [];
+        }
+
+        const tags = value
+            .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+            .map(tag => String(tag).trim())
+            .filter(tag => tag);
+
+        if (tags.length !== value.length) {
+            recordIssues.push({ type: 'invalid_type', field, message: `${value.length - tags.length} empty or non-text tag(s) removed` });
+        }
+
+        return tags;
+    }
+
+    /**
+     * Web links only (http: and https:); fields with allowImageData also take data:image/ URLs.
+     * Returns the parsed, normalized href rather than the raw text.
+     */
+    coerceUrl(value, field, recordIssues, rule = {}) {
+        if (typeof value !== 'string') {
+            recordIssues.push({ type: 'invalid_url', field, message: `${field} is not text` });
+            return undefined;
+        }
+
+        let url = value.trim().replace(/\\\//g, '/');
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url) && /^[\w-]+(\.[\w-]+)+/.test(url)) {
+            url = `https://${url}`;
+        }
+
+        try {
+            const parsed = new URL(url);
+            if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+                return parsed.href;
+            }
+            if (rule.allowImageData && parsed.protocol === 'data:' && /^data:image\//i.test(parsed.href)) {
+                return parsed.href;
+            }
+        } catch (error) {
+            // Reported below
+        }
+
+        recordIssues.push({ type: 'invalid_url', field, message: `${field} "${value}" is not a valid link` });
+        return undefined;
+    }
+
+    /**
+     * A profile is empty when nothing beyond the username describes the member
+     */
+    isEmptyProfile(record) {
+        return !record.name &&
+               !record.professional_summary &&
+               !record.personal_summary &&
+               !record.philosophical_summary &&
+               !(record.tags && record.tags.length);
+    }
+}
+
+// Export for use in other modules
+window.MEMBER_SCHEMA = MEMBER_SCHEMA;
+window.QUALITY_ISSUES = QUALITY_ISSUES;
+window.DataValidator = DataValidator;
@@ -0,0 +1,132 @@
+/**
+ * Data Worker
+ * Runs data processing and search off the main thread.
+ * The main thread keeps a copy of the processed members; results come back as
+ * member indexes plus any per-result fields (relevanceScore, similarityScore...).
+ */
+
+// The shared modules export onto window
+self.window = self;
+
+importScripts(
+    '../data/gazetteer.js',
+    'gazetteer.js',
+    'data-cache.js',
+    'data-sources.js',
+    'data-validator.js',
+    'tag-normalizer.js',
+    'text-normalizer.js',
+    'role-classifier.js',
+    'search-index.js',
+    'semantic-index.js',
+    'data-loader.js',
+    'query-parser.js',
+    'group-planner.js',
+    'search-engine.js'
+);
+
+const dataLoader = new DataLoader();
+const searchEngine = new SearchEngine(dataLoader);
+let docIds = new Map();
+
+// SearchEngine methods the main thread may call
+const ENGINE_METHODS = new Set([
+    'search',
+    'findSimilarMembers',
+    'semanticSearch',
+    'getTrendingTags',
+    'explainMatch',
+    'planGroups'
+]);
+
+const handlers = {
+    /**
+     * Validate, process and index a raw payload
+     */
+    async load(payload, cacheKey) {
+        dataLoader.dataSource = cacheKey ? { cacheable: true, cacheKey } : { cacheable: false };
+        await dataLoader.applyPayload(payload);
+
+        docIds = new Map(dataLoader.processedData.map((member, docId) => [member.username, docId]));
+        searchEngine.currentResults = [];
+
+        return {
+            processedData: dataLoader.processedData,
+            filterOptions: dataLoader.getFilterOptions(),
+            stats: dataLoader.getStats(),
+            tagSpellings: [...dataLoader.tagNormalizer.canonical],
+            qualityReport: dataLoader.qualityReport,
+            quarantinedRecords: dataLoader.quarantinedRecords
+        };
+    },
+
+    /**
+     * Build (or restore) the semantic vectors
+     */
+    async prepareSemantic() {
+        await dataLoader.getSemanticIndex();
+        return true;
+    }
+};
+
+/**
+ * Replace member objects with [docId, extraFields] so results stay small
+ */
+function encodeResult(result) {
+    if (!Array.isArray(result) || result.length === 0 || !result.every(item => item && docIds.has(item.username))) {
+        return result;
+    }
+
+    const members = dataLoader.processedData;
+    return {
+        type: 'members',
+        items: result.map(item => {
+            const docId = docIds.get(item.username);
+            const base = members[docId];
+            const extras = {};
+            if (item !== base) {
+                Object.keys(item).forEach(key => {
+                    if (item[key] !== base[key]) extras[key] = item[key];
+                });
+            }
+            return [docId, extras];
+        })
+    };
+}
+
+/**
+ * Engine state mirrored on the main thread after each call
+ */
+function engineState() {
+    const error = searchEngine.queryError;
+    return {
+        activeFilters: searchEngine.activeFilters,
+        searchDescription: searchEngine.getActiveFilters().searchDescription || null,
+        facetCounts: searchEngine.facetCounts,
+        highlightTerms: searchEngine.highlightTerms,
+        queryError: error ? { message: error.message, position: error.position } : null
+    };
+}
+
+self.addEventListener('message', async (e) => {
+    const { id, method, args = [], context } = e.data;
+
+    try {
+        if (context) {
+            Object.assign(searchEngine, context);
+        }
+
+        let result;
+        if (handlers[method]) {
+            result = await handlers[method](...args);
+        } else if (ENGINE_METHODS.has(method)) {
+            result = encodeResult(await searchEngine[method](...args));
+        } else {
+            throw new Error(`Unknown worker method: ${method}`);
+        }
+
+        self.postMessage({ id, result, state: engineState() });
+    } catch (error) {
+        self.postMessage({ id, error: { name: error.name, message: error.message, position: error.position } });
+    }
+});
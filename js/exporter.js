@@ -0,0 +1,309 @@
+/**
+ * Exporter Module
+ * Turns a list of members into CSV, vCard, Markdown or JSON files, and group plans
+ * (dinner tables, pods, intro pairs) into Markdown or CSV.
+ * Only public profile fields are written (plus your own favorites, notes and labels when asked for);
+ * internal fields such as searchable_text and relevanceScore never leave the app.
+ */
+
+class Exporter {
+    /**
+     * personalStore is optional; without it the private columns are empty
+     */
+    constructor(personalStore = null) {
+        this.personalStore = personalStore;
+    }
+
+    /**
+     * Exportable columns: label, whether they are selected by default, and how to read them
+     * (json, when present, keeps lists and flags as JSON values instead of text)
+     */
+    static get COLUMNS() {
+        return {
+            name: { label: 'Name', selected: true, value: member => member.name || '' },
+            username: { label: 'Username', selected: true, value: member => member.username || '' },
+            location: { label: 'Location', selected: true, value: member => member.location || '' },
+            tags: { label: 'Tags', selected: true, value: member => (member.tags || []).join('; '), json: member => member.tags || [] },
+            professional_summary: { label: 'Professional summary', selected: true, value: member => member.professional_summary || '' },
+            personal_summary: { label: 'Personal summary', selected: false, value: member => member.personal_summary || '' },
+            philosophical_summary: { label: 'Philosophical summary', selected: false, value: member => member.philosophical_summary || '' },
+            x_url: { label: 'X / Twitter', selected: true, value: member => member.social_links?.twitter || '' },
+            linkedin_url: { label: 'LinkedIn', selected: true, value: member => member.social_links?.linkedin || '' },
+            discord_handle: { label: 'Discord', selected: true, value: member => member.social_links?.discord || '' },
+            profile_image: { label: 'Profile image', selected: false, value: member => member.profile_image || '' },
+            post_date: { label: 'Joined', selected: false, value: member => Exporter.formatDate(member.post_date) },
+            favorite: { label: 'Favorite', selected: false, personal: true, value: (member, personal) => personal.favorite ? 'yes' : '', json: (member, personal) => personal.favorite },
+            private_labels: { label: 'My labels', selected: false, personal: true, value: (member, personal) => personal.labels.join('; '), json: (member, personal) => personal.labels },
+            private_note: { label: 'My notes', selected: false, personal: true, value: (member, personal) => personal.note }
+        };
+    }
+
+    static get FORMATS() {
+        return {
+            csv: { label: 'CSV (opens in Excel, Numbers, Sheets)', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+            vcard: { label: 'vCard contacts', extension: 'vcf', mimeType: 'text/vcard;charset=utf-8' },
+            markdown: { label: 'Markdown roster', extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+        };
+    }
+
+    /**
+     * Format post_date (seconds or milliseconds since the epoch) as YYYY-MM-DD
+     */
+    static formatDate(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp < 1e12 ? timestamp * 1000 : timestamp);
+        return isNaN(date) ? '' : date.toISOString().slice(0, 10);
+    }
+
+    getPersonal(member) {
+        return this.personalStore
+            ? this.personalStore.get(member.username)
+            : { favorite: false, note: '', labels: [] };
+    }
+
+    /**
+     * Build the file contents for a format
+     */
+    build(format, members, options = {}) {
+        switch (format) {
+            case 'csv': return this.toCsv(members, options.columns);
+            case 'vcard': return this.toVCard(members);
+            case 'markdown': return this.toMarkdown(members, options.title);
+            case 'json': return this.toJson(members, options.columns);
+            default: throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * CSV with the chosen columns. A BOM and CRLF line endings make Excel read UTF-8 correctly.
+     */
+    toCsv(members, columns = this.getDefaultColumns()) {
+        const definitions = Exporter.COLUMNS;
+        const header = columns.map(key => this.escapeCsv(definitions[key].label));
+        const rows = members.map(member => {
+            const personal = this.getPersonal(member);
+            return columns.map(key => this.escapeCsv(definitions[key].value(member, personal)));
+        });
+
+        return '\uFEFF' + [header, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+    }
+
+    escapeCsv(value) {
+        let text = String(value ?? '');
+
+        // Spreadsheets run cells starting with these characters as formulas
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * One vCard 3.0 entry per member, in a single file contacts apps can import
+     */
+    toVCard(members) {
+        return members.map(member => {
+            const personal = this.getPersonal(member);
+            const name = member.name || member.username || 'Unknown';
+            const parts = name.trim().split(/\s+/);
+            const family = parts.length > 1 ? parts.pop() : '';
+            const links = member.social_links || {};
+            const note = [member.professional_summary, personal.note].filter(Boolean).join('\n\n');
+            const categories = [...(member.tags || []), ...personal.labels];
+
+            const lines = [
+                'BEGIN:VCARD',
+                'VERSION:3.0',
+                `FN:${this.escapeVCard(name)}`,
+                `N:${this.escapeVCard(family)};${this.escapeVCard(parts.join(' '))};;;`,
+                member.username ? `NICKNAME:${this.escapeVCard(member.username)}` : null,
+                member.location ? `ADR;TYPE=home:;;;${this.escapeVCard(member.location)};;;` : null,
+                links.twitter ? `URL;TYPE=x:${links.twitter}` : null,
+                links.linkedin ? `URL;TYPE=linkedin:${links.linkedin}` : null,
+                links.discord ? `X-SOCIALPROFILE;TYPE=discord:${this.escapeVCard(links.discord)}` : null,
+                /^https?:/i.test(member.profile_image || '') ? `PHOTO;VALUE=URI:${member.profile_image}` : null,
+                categories.length > 0 ? `CATEGORIES:${categories.map(tag => this.escapeVCard(tag)).join(',')}` : null,
+                note ? `NOTE:${this.escapeVCard(note)}` : null,
+                'END:VCARD'
+            ];
+
+            return lines.filter(Boolean).map(line => this.foldVCardLine(line)).join('\r\n');
+        }).join('\r\n') + '\r\n';
+    }
+
+    escapeVCard(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/\r?\n/g, '\\n')
+            .replace(/([,;])/g, '\\$1');
+    }
+
+    /**
+     * Fold lines longer than 75 characters (continuation lines start with a space)
+     */
+    foldVCardLine(line) {
+        const characters = Array.from(line);
+        const chunks = [characters.slice(0, 75).join('')];
+        for (let i = 75; i < characters.length; i += 74) {
+            chunks.push(characters.slice(i, i + 74).join(''));
+        }
+        return chunks.join('\r\n ');
+    }
+
+    /**
+     * Markdown roster table: names, locations, tags and social links
+     */
+    toMarkdown(members, title = 'Network School members') {
+        const rows = members.map(member => {
+            const name = member.name || member.username || 'Unknown';
+            const links = member.social_links || {};
+            const linkList = [
+                links.twitter ? `[X](${links.twitter})` : null,
+                links.linkedin ? `[LinkedIn](${links.linkedin})` : null,
+                links.discord ? `Discord: ${this.escapeMarkdown(links.discord)}` : null
+            ].filter(Boolean);
+            const star = this.getPersonal(member).favorite ? ' ★' : '';
+
+            return `| ${this.escapeMarkdown(name)}${star} | ${this.escapeMarkdown(member.location || '')} | ${this.escapeMarkdown((member.tags || []).join(', '))} | ${linkList.join(' · ')} |`;
+        });
+
+        return [
+            `# ${title}`,
+            '',
+            `${members.length.toLocaleString()} members · exported ${Exporter.formatDate(Date.now())}`,
+            '',
+            '| Name | Location | Tags | Links |',
+            '| --- | --- | --- | --- |',
+            ...rows,
+            ''
+        ].join('\n');
+    }
+
+    escapeMarkdown(text) {
+        return String(text ?? '')
+            .replace(/\r?\n/g, ' ')
+            .replace(/([\\|*_`[\]<>])/g, '\\$1');
+    }
+
+    /**
+     * JSON with the chosen columns as keys
+     */
+    toJson(members, columns = this.getDefaultColumns()) {
+        const definitions = Exporter.COLUMNS;
+        return JSON.stringify(members.map(member => {
+            const personal = this.getPersonal(member);
+            const record = {};
+            columns.forEach(key => {
+                const column = definitions[key];
+                record[key] = (column.json || column.value)(member, personal);
+            });
+            return record;
+        }), null, 2);
+    }
+
+    getDefaultColumns() {
+        return Object.entries(Exporter.COLUMNS)
+            .filter(([, column]) => column.selected)
+            .map(([key]) => key);
+    }
+
+    /**
+     * Build the file contents for a group plan (from SearchEngine.planGroupsAsync)
+     */
+    buildPlan(format, plan, options = {}) {
+        switch (format) {
+            case 'csv': return this.planToCsv(plan);
+            case 'markdown': return this.planToMarkdown(plan, options.title);
+            default: throw new Error(`Unknown plan export format: ${format}`);
+        }
+    }
+
+    /**
+     * One row per member with their group number and why the group goes together
+     */
+    planToCsv(plan) {
+        const definitions = Exporter.COLUMNS;
+        const columns = ['name', 'username', 'location', 'tags', 'x_url', 'linkedin_url', 'discord_handle'];
+        const header = ['Group', ...columns.map(key => definitions[key].label), 'Why this group'];
+        const rows = plan.groups.flatMap((group, index) => group.members.map(member => {
+            const personal = this.getPersonal(member);
+            return [index + 1, ...columns.map(key => definitions[key].value(member, personal)), group.reasons.join('; ')];
+        }));
+
+        return '\uFEFF' + [header, ...rows].map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * A section per group: why it goes together, then its members with locations and links
+     */
+    planToMarkdown(plan, title = 'Group plan') {
+        const memberCount = plan.groups.reduce((sum, group) => sum + group.members.length, 0);
+        const how = plan.mode === 'mix' ? 'mixed backgrounds' : 'grouped by shared interests';
+
+        const sections = plan.groups.map((group, index) => {
+            const members = group.members.map(member => {
+                const links = member.social_links || {};
+                const details = [
+                    member.username ? `@${this.escapeMarkdown(member.username)}` : null,
+                    member.location ? this.escapeMarkdown(member.location) : null,
+                    links.twitter ? `[X](${links.twitter})` : null,
+                    links.linkedin ? `[LinkedIn](${links.linkedin})` : null,
+                    links.discord ? `Discord: ${this.escapeMarkdown(links.discord)}` : null
+                ].filter(Boolean);
+
+                return `- **${this.escapeMarkdown(member.name || member.username || 'Unknown')}** · ${details.join(' · ')}`;
+            });
+
+            return [
+                `## Group ${index + 1}`,
+                '',
+                ...(group.reasons.length > 0 ? [`_${this.escapeMarkdown(group.reasons.join(' · '))}_`, ''] : []),
+                ...members,
+                ''
+            ].join('\n');
+        });
+
+        return [
+            `# ${title}`,
+            '',
+            `${memberCount.toLocaleString()} members in ${plan.groups.length.toLocaleString()} groups of ${plan.size} · ${how} · planned ${Exporter.formatDate(Date.now())}`,
+            '',
+            ...sections
+        ].join('\n');
+    }
+
+    /**
+     * Build a file and hand it to the browser as a download
+     */
+    download(format, members, options = {}) {
+        this.save(format, this.build(format, members, options), options.fileName || 'nsocial-members');
+    }
+
+    /**
+     * Download a group plan as Markdown or CSV
+     */
+    downloadPlan(format, plan, options = {}) {
+        this.save(format, this.buildPlan(format, plan, options), options.fileName || 'nsocial-groups');
+    }
+
+    save(format, content, fileName) {
+        const { extension, mimeType } = Exporter.FORMATS[format];
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${fileName}.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other modules
+window.Exporter = Exporter;
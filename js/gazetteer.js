@@ -0,0 +1,222 @@
+/**
+ * Gazetteer Module
+ * Resolves free-text member locations ("SF", "Lisboa", "lisbon pt", "Austin, TX") to a place with
+ * coordinates and its continent > country > state > city hierarchy, using the bundled list in data/gazetteer.js.
+ */
+
+class Gazetteer {
+    constructor(data = window.GAZETTEER_DATA) {
+        const { countries = {}, admin1 = {}, cities = [] } = data || {};
+
+        this.countries = new Map();     // ISO code → country
+        this.countryNames = new Map();  // name key → ISO code
+        this.countryCodes = new Map();  // lower-case ISO code → ISO code
+        this.admin1Names = new Map();   // name key → [{ country, code, name }]
+        this.cityNames = new Map();     // name key → [city]
+        this.cache = new Map();
+
+        Object.entries(countries).forEach(([code, [name, continent, lat, lon, aliases]]) => {
+            this.countries.set(code, { code, name, continent, lat, lon });
+            this.countryCodes.set(this.key(code), code);
+            [name, ...aliases].forEach(alias => this.countryNames.set(this.key(alias), code));
+        });
+
+        Object.entries(admin1).forEach(([country, divisions]) => {
+            Object.entries(divisions).forEach(([code, name]) => {
+                [code, name].forEach(alias => this.addName(this.admin1Names, alias, { country, code, name }));
+            });
+        });
+
+        cities.forEach(([name, country, admin1Code, lat, lon, aliases]) => {
+            const city = { name, country, admin1: admin1Code, lat, lon };
+            [name, ...aliases].forEach(alias => this.addName(this.cityNames, alias, city));
+        });
+    }
+
+    addName(map, alias, value) {
+        const key = this.key(alias);
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(value);
+    }
+
+    /**
+     * Comparison key: lower case, no accents or dots, single spaces
+     */
+    key(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/\./g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Resolve a location string to { city, admin1, country, countryCode, continent, lat, lon, precision }.
+     * precision is 'city', 'admin1' (state/province) or 'country'; returns null when nothing matches.
+     */
+    locate(location) {
+        if (!location) return null;
+
+        const cacheKey = this.key(location);
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const place = this.resolve(cacheKey);
+        this.cache.set(cacheKey, place);
+        return place;
+    }
+
+    resolve(text) {
+        const parts = text.split(/\s*(?:,|\/|\||\s-\s|\(|\))\s*/)
+            .filter(Boolean)
+            .flatMap(part => this.isKnown(part) ? [part] : this.splitTrailingPlace(part));
+        if (parts.length === 0) return null;
+
+        // Countries and states mentioned anywhere narrow down which city is meant.
+        // After the first part an ISO code counts as a country ("Lisbon, PT") unless it is also a state code.
+        const countryCodes = new Set();
+        const divisions = [];
+        parts.forEach((part, index) => {
+            const states = this.admin1Names.get(part) || [];
+            const code = this.countryNames.get(part) ||
+                (index > 0 && states.length === 0 ? this.countryCodes.get(part) : null);
+            if (code) countryCodes.add(code);
+            divisions.push(...states);
+        });
+
+        for (const part of parts) {
+            const city = this.pickCity(this.cityNames.get(part) || [], countryCodes, divisions);
+            if (city) return this.toPlace(city.country, city.admin1, city);
+        }
+
+        if (countryCodes.size > 0) {
+            return this.toPlace([...countryCodes][0], null, null);
+        }
+
+        if (divisions.length > 0) {
+            return this.toPlace(divisions[0].country, divisions[0].code, null);
+        }
+
+        return null;
+    }
+
+    isKnown(part) {
+        return this.cityNames.has(part) || this.countryNames.has(part) || this.admin1Names.has(part);
+    }
+
+    /**
+     * Split a country or state written after the city without a comma ("lisbon pt", "austin texas")
+     */
+    splitTrailingPlace(part) {
+        const words = part.split(' ');
+
+        for (let count = Math.min(3, words.length - 1); count >= 1; count--) {
+            const tail = words.slice(-count).join(' ');
+            if (this.countryNames.has(tail) || this.admin1Names.has(tail) || this.countryCodes.has(tail)) {
+                return [words.slice(0, -count).join(' '), tail];
+            }
+        }
+
+        return [part];
+    }
+
+    /**
+     * Choose between same-named cities; a mentioned country rules out cities elsewhere
+     */
+    pickCity(candidates, countryCodes, divisions) {
+        let best = null;
+        let bestScore = -1;
+
+        candidates.forEach(city => {
+            if (countryCodes.size > 0 && !countryCodes.has(city.country) &&
+                !divisions.some(division => division.country === city.country)) {
+                return;
+            }
+
+            const score = (countryCodes.has(city.country) ? 2 : 0) +
+                (divisions.some(division => division.country === city.country && division.code === city.admin1) ? 1 : 0);
+
+            if (score > bestScore) {
+                best = city;
+                bestScore = score;
+            }
+        });
+
+        return best;
+    }
+
+    toPlace(countryCode, admin1Code, city) {
+        const country = this.countries.get(countryCode);
+        if (!country) return null;
+
+        const admin1 = admin1Code ? this.getAdmin1Name(countryCode, admin1Code) : null;
+        let { lat, lon } = city || country;
+        let precision = city ? 'city' : 'country';
+
+        // A state on its own sits at the middle of its known cities
+        if (!city && admin1) {
+            const cities = this.getCities().filter(entry => entry.country === countryCode && entry.admin1 === admin1Code);
+            if (cities.length > 0) {
+                lat = cities.reduce((sum, entry) => sum + entry.lat, 0) / cities.length;
+                lon = cities.reduce((sum, entry) => sum + entry.lon, 0) / cities.length;
+                precision = 'admin1';
+            }
+        }
+
+        return {
+            city: city ? city.name : null,
+            admin1,
+            country: country.name,
+            countryCode,
+            continent: country.continent,
+            lat,
+            lon,
+            precision
+        };
+    }
+
+    /**
+     * Hierarchy labels for a place, broadest first: continent, country, state (when known), city.
+     * City-states appear once ("Asia > Singapore").
+     */
+    getPath(place) {
+        if (!place) return [];
+
+        return this.uniqueLabels([place.continent, place.country, place.admin1, place.city]);
+    }
+
+    /**
+     * Display name, most specific first: "Portland, Maine, United States"
+     */
+    format(place) {
+        if (!place) return null;
+
+        return this.uniqueLabels([place.city, place.admin1, place.country]).join(', ');
+    }
+
+    /**
+     * Drop missing levels and a level repeating the one before it
+     */
+    uniqueLabels(labels) {
+        return labels.filter(Boolean).filter((label, index, present) => label !== present[index - 1]);
+    }
+
+    getAdmin1Name(countryCode, admin1Code) {
+        const divisions = this.admin1Names.get(this.key(admin1Code)) || [];
+        return divisions.find(division => division.country === countryCode && division.code === admin1Code)?.name || null;
+    }
+
+    /**
+     * All distinct cities in the gazetteer
+     */
+    getCities() {
+        if (!this.cityList) {
+            this.cityList = [...new Set([...this.cityNames.values()].flat())];
+        }
+        return this.cityList;
+    }
+}
+
+// Export for use in other modules
+window.Gazetteer = Gazetteer;
@@ -0,0 +1,219 @@
+/**
+ * Group Planner Module
+ * Splits people into groups of about the same size (dinner tables, pods, 1:1 intro pairs) so
+ * that each group shares as much as possible, or as little as possible when mixing backgrounds.
+ * Works on indexes and a pairwise similarity function; it knows nothing about members.
+ */
+
+class GroupPlanner {
+    constructor(options = {}) {
+        this.maxPasses = options.maxPasses || 12;     // Improvement passes over all swaps
+    }
+
+    /**
+     * Weight that keeps an excluded pair apart; far more than any similarity can add up to
+     */
+    static get EXCLUDED_PENALTY() {
+        return 1000;
+    }
+
+    /**
+     * Most people one plan can take: similarities are kept for every pair (count² values),
+     * and each improvement pass tries every swap
+     */
+    static get MAX_MEMBERS() {
+        return 500;
+    }
+
+    /**
+     * Plan groups for count people.
+     * similarity(i, j) is from 0 to 1. Options: size (people per group), mode ('similar' or 'mix'),
+     * pinned and excluded ([[i, j]] pairs that must or must not share a group).
+     * Returns { groups: [{ members: [i], score }], conflicts: [{ type, members: [i] }] }, where score
+     * is the average similarity within the group and conflicts are constraints that couldn't be kept.
+     */
+    plan(count, similarity, options = {}) {
+        if (count === 0) return { groups: [], conflicts: [] };
+        if (count > GroupPlanner.MAX_MEMBERS) {
+            throw new Error(`Can't plan groups for more than ${GroupPlanner.MAX_MEMBERS} people`);
+        }
+
+        const size = Math.max(2, Math.floor(options.size) || 2);
+        const sign = options.mode === 'mix' ? -1 : 1;
+        const conflicts = [];
+
+        // Similarities are looked up many times, so compute them once
+        const similarities = new Float32Array(count * count);
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                similarities[i * count + j] = similarities[j * count + i] = similarity(i, j);
+            }
+        }
+
+        // What the plan maximizes: similarity (or its opposite when mixing), minus excluded pairs
+        const excluded = new Set();
+        (options.excluded || []).forEach(([i, j]) => {
+            excluded.add(i * count + j).add(j * count + i);
+        });
+        const weight = (i, j) => excluded.has(i * count + j)
+            ? -GroupPlanner.EXCLUDED_PENALTY
+            : sign * similarities[i * count + j];
+
+        const capacities = this.groupSizes(count, size);
+        const units = this.joinPinned(count, options.pinned || []).flatMap(unit => {
+            if (unit.length <= capacities[0]) return [unit];
+
+            // Too many people pinned together for one group: keep them together in chunks
+            conflicts.push({ type: 'pinned', members: unit });
+            const chunks = [];
+            for (let i = 0; i < unit.length; i += capacities[0]) {
+                chunks.push(unit.slice(i, i + capacities[0]));
+            }
+            return chunks;
+        });
+
+        const groups = this.placeUnits(units, capacities, weight);
+        this.improve(groups, units, count, weight);
+
+        // Excluded pairs that still share a group (only possible when pinning forced it)
+        (options.excluded || []).forEach(([i, j]) => {
+            if (groups.some(group => group.includes(i) && group.includes(j))) {
+                conflicts.push({ type: 'excluded', members: [i, j] });
+            }
+        });
+
+        return {
+            groups: groups
+                .filter(group => group.length > 0)
+                .map(group => ({ members: group, score: this.averageSimilarity(group, similarities, count) })),
+            conflicts
+        };
+    }
+
+    /**
+     * Group sizes: as even as possible, none smaller than size - 1 (or 2), so there is never
+     * one person left over on their own. 7 people in pairs gives 2, 2 and 3.
+     */
+    groupSizes(count, size) {
+        const smallest = Math.max(2, size - 1);
+        let groups = Math.ceil(count / size);
+        while (groups > 1 && Math.floor(count / groups) < smallest) {
+            groups--;
+        }
+
+        return Array.from({ length: groups }, (_, i) => Math.floor(count / groups) + (i < count % groups ? 1 : 0));
+    }
+
+    /**
+     * Join pinned pairs into units that always sit together (pins chain: a+b and b+c is a+b+c).
+     * Everyone else is a unit of one. Largest units first.
+     */
+    joinPinned(count, pinned) {
+        const parent = Array.from({ length: count }, (_, i) => i);
+        const find = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        pinned.forEach(([i, j]) => {
+            parent[find(i)] = find(j);
+        });
+
+        const units = new Map();
+        for (let i = 0; i < count; i++) {
+            const root = find(i);
+            if (!units.has(root)) units.set(root, []);
+            units.get(root).push(i);
+        }
+
+        return [...units.values()].sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Greedy start: each unit goes to the group with room where it adds the most weight,
+     * the emptiest group on ties
+     */
+    placeUnits(units, capacities, weight) {
+        const groups = capacities.map(() => []);
+
+        units.forEach(unit => {
+            let best = null;
+            let bestGain = -Infinity;
+
+            groups.forEach((group, index) => {
+                const room = capacities[index] - group.length;
+                if (room < unit.length) return;
+
+                const gain = unit.reduce((sum, i) => sum + group.reduce((total, j) => total + weight(i, j), 0), 0);
+                if (gain > bestGain || (gain === bestGain && room > capacities[best] - groups[best].length)) {
+                    best = index;
+                    bestGain = gain;
+                }
+            });
+
+            // No group has room left (pinned units can fragment the space): use the emptiest one
+            if (best === null) {
+                best = groups.reduce((emptiest, group, index) =>
+                    capacities[index] - group.length > capacities[emptiest] - groups[emptiest].length ? index : emptiest, 0);
+            }
+
+            groups[best].push(...unit);
+        });
+
+        return groups;
+    }
+
+    /**
+     * Swap people between groups while that raises the total weight. Pinned people stay put,
+     * so group sizes and pins never change.
+     */
+    improve(groups, units, count, weight) {
+        const free = units.filter(unit => unit.length === 1).map(([i]) => i);
+        const groupOf = new Int32Array(count);
+        groups.forEach((group, index) => group.forEach(i => { groupOf[i] = index; }));
+
+        for (let pass = 0; pass < this.maxPasses; pass++) {
+            let improved = false;
+
+            for (let x = 0; x < free.length; x++) {
+                for (let y = x + 1; y < free.length; y++) {
+                    const a = free[x];
+                    const b = free[y];
+                    const groupA = groups[groupOf[a]];
+                    const groupB = groups[groupOf[b]];
+                    if (groupA === groupB) continue;
+
+                    // a and b trade places: b joins a's group, a joins b's
+                    let gain = 0;
+                    groupA.forEach(i => { if (i !== a) gain += weight(b, i) - weight(a, i); });
+                    groupB.forEach(i => { if (i !== b) gain += weight(a, i) - weight(b, i); });
+                    if (gain <= 1e-9) continue;
+
+                    groupA[groupA.indexOf(a)] = b;
+                    groupB[groupB.indexOf(b)] = a;
+                    [groupOf[a], groupOf[b]] = [groupOf[b], groupOf[a]];
+                    improved = true;
+                }
+            }
+
+            if (!improved) break;
+        }
+    }
+
+    averageSimilarity(group, similarities, count) {
+        let total = 0;
+        let pairs = 0;
+        for (let x = 0; x < group.length; x++) {
+            for (let y = x + 1; y < group.length; y++) {
+                total += similarities[group[x] * count + group[y]];
+                pairs++;
+            }
+        }
+        return pairs > 0 ? total / pairs : 0;
+    }
+}
+
+// Export for use in other modules
+window.GroupPlanner = GroupPlanner;
@@ -0,0 +1,376 @@
+/**
+ * Map View Module
+ * Draws members as clusters on a bundled world basemap (SVG, no tile server).
+ * Map coordinates are longitude/latitude in an equirectangular projection (x = lon, y = -lat).
+ */
+
+class MapView {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onPlaceSelect = options.onPlaceSelect || (() => {});  // ({ label, polygon })
+        this.onAreaSelect = options.onAreaSelect || (() => {});    // ({ label, polygon })
+        this.onAreaClear = options.onAreaClear || (() => {});
+        this.escapeHtml = options.escapeHtml;                       // UIComponents.escapeHtml
+        this.land = options.land || window.WORLD_LAND || [];
+        this.clusterRadius = options.clusterRadius || 28;           // px
+
+        this.bounds = { x: -180, y: -84, width: 360, height: 144 };
+        this.view = { ...this.bounds };
+        this.members = [];
+        this.clusters = [];
+        this.area = null;
+        this.lassoMode = false;
+        this.frame = null;
+
+        this.build();
+
+        this.onResize = () => this.scheduleRender();
+        window.addEventListener('resize', this.onResize);
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="map-view relative bg-white rounded-xl shadow-sm border overflow-hidden">
+                <svg class="block w-full select-none" style="height: 65vh; touch-action: none; cursor: grab;"
+                     preserveAspectRatio="xMidYMid meet" xmlns="http://www.w3.org/2000/svg">
+                    <rect class="map-ocean" fill="#f9fafb"></rect>
+                    <path class="map-land" fill="#e5e7eb" stroke="#d1d5db" stroke-width="1" vector-effect="non-scaling-stroke"></path>
+                    <path class="map-area" fill="rgba(0,0,0,0.06)" stroke="#111827" stroke-width="1.5" stroke-dasharray="4 3" vector-effect="non-scaling-stroke"></path>
+                    <g class="map-clusters"></g>
+                    <polyline class="map-lasso" fill="rgba(0,0,0,0.05)" stroke="#111827" stroke-width="1.5" vector-effect="non-scaling-stroke"></polyline>
+                </svg>
+                <div class="absolute top-3 left-3 flex flex-col gap-1">
+                    <button data-map-action="zoom-in" class="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-50" title="Zoom in"><i class="fas fa-plus"></i></button>
+                    <button data-map-action="zoom-out" class="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-50" title="Zoom out"><i class="fas fa-minus"></i></button>
+                    <button data-map-action="reset" class="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-50" title="Whole world"><i class="fas fa-globe"></i></button>
+                    <button data-map-action="lasso" class="w-8 h-8 bg-white rounded shadow text-gray-700 hover:bg-gray-50" title="Draw a region to filter (or Shift + drag)"><i class="fas fa-draw-polygon"></i></button>
+                </div>
+                <div class="map-info absolute bottom-3 left-3 text-xs text-gray-700 bg-white bg-opacity-90 px-3 py-1 rounded shadow-sm"></div>
+            </div>
+        `;
+
+        this.svg = this.container.querySelector('svg');
+        this.clusterLayer = this.svg.querySelector('.map-clusters');
+        this.areaPath = this.svg.querySelector('.map-area');
+        this.lassoLine = this.svg.querySelector('.map-lasso');
+        this.info = this.container.querySelector('.map-info');
+
+        const ocean = this.svg.querySelector('.map-ocean');
+        ocean.setAttribute('x', this.bounds.x);
+        ocean.setAttribute('y', this.bounds.y);
+        ocean.setAttribute('width', this.bounds.width);
+        ocean.setAttribute('height', this.bounds.height);
+
+        this.svg.querySelector('.map-land').setAttribute('d', this.land.map(ring => this.ringToPath(ring)).join(''));
+
+        this.bindEvents();
+        this.applyView();
+    }
+
+    /**
+     * SVG path for a flat [lon, lat, lon, lat, ...] ring
+     */
+    ringToPath(ring) {
+        let path = '';
+        for (let i = 0; i < ring.length; i += 2) {
+            path += `${i === 0 ? 'M' : 'L'}${ring[i]},${-ring[i + 1]}`;
+        }
+        return `${path}Z`;
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('[data-map-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                switch (button.dataset.mapAction) {
+                    case 'zoom-in': this.zoomBy(1 / 1.6); break;
+                    case 'zoom-out': this.zoomBy(1.6); break;
+                    case 'reset': this.setView(this.bounds); break;
+                    case 'lasso': this.setLassoMode(!this.lassoMode); break;
+                }
+            });
+        });
+
+        this.info.addEventListener('click', (e) => {
+            if (e.target.closest('[data-map-clear-area]')) this.onAreaClear();
+        });
+
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY > 0 ? 1.2 : 1 / 1.2, this.toMap(e.clientX, e.clientY));
+        }, { passive: false });
+
+        this.svg.addEventListener('pointerdown', (e) => this.startGesture(e));
+        this.svg.addEventListener('pointermove', (e) => this.moveGesture(e));
+        this.svg.addEventListener('pointerup', (e) => this.endGesture(e));
+        this.svg.addEventListener('pointercancel', () => {
+            this.gesture = null;
+            this.lassoLine.setAttribute('points', '');
+        });
+    }
+
+    /**
+     * Drag pans the map; in lasso mode (or with Shift) it draws a selection region
+     */
+    startGesture(e) {
+        if (e.button !== 0) return;
+        this.svg.setPointerCapture(e.pointerId);
+
+        const point = this.toMap(e.clientX, e.clientY);
+        this.gesture = {
+            type: this.lassoMode || e.shiftKey ? 'lasso' : 'pan',
+            startX: e.clientX,
+            startY: e.clientY,
+            moved: false,
+            last: point,
+            points: [point],
+            target: e.target
+        };
+    }
+
+    moveGesture(e) {
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > 4) {
+            gesture.moved = true;
+        }
+        if (!gesture.moved) return;
+
+        const point = this.toMap(e.clientX, e.clientY);
+
+        if (gesture.type === 'lasso') {
+            gesture.points.push(point);
+            this.lassoLine.setAttribute('points', gesture.points.map(([x, y]) => `${x},${y}`).join(' '));
+            return;
+        }
+
+        this.svg.style.cursor = 'grabbing';
+        this.setView({
+            ...this.view,
+            x: this.view.x - (point[0] - gesture.last[0]),
+            y: this.view.y - (point[1] - gesture.last[1])
+        });
+        // The view moved under the pointer, so measure from the new position
+        gesture.last = this.toMap(e.clientX, e.clientY);
+    }
+
+    endGesture() {
+        const gesture = this.gesture;
+        this.gesture = null;
+        this.svg.style.cursor = 'grab';
+        if (!gesture) return;
+
+        if (gesture.type === 'lasso') {
+            this.lassoLine.setAttribute('points', '');
+            if (gesture.moved && gesture.points.length >= 3) {
+                this.setLassoMode(false);
+                this.onAreaSelect({
+                    label: 'the drawn region',
+                    polygon: gesture.points.map(([x, y]) => [x, -y])
+                });
+            }
+            return;
+        }
+
+        if (!gesture.moved) {
+            const element = gesture.target.closest?.('[data-cluster]');
+            if (element) this.selectCluster(this.clusters[Number(element.dataset.cluster)]);
+        }
+    }
+
+    /**
+     * One place: filter to it. Several places: zoom in until they separate.
+     */
+    selectCluster(cluster) {
+        if (!cluster) return;
+
+        if (cluster.places.length === 1) {
+            const [place] = cluster.places;
+            const pad = 0.05;
+            this.onPlaceSelect({
+                label: place.label,
+                polygon: [
+                    [place.lon - pad, place.lat - pad],
+                    [place.lon + pad, place.lat - pad],
+                    [place.lon + pad, place.lat + pad],
+                    [place.lon - pad, place.lat + pad]
+                ]
+            });
+            return;
+        }
+
+        const xs = cluster.places.map(place => place.lon);
+        const ys = cluster.places.map(place => -place.lat);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const width = Math.max(maxX - minX, 1) * 1.6;
+        const height = Math.max(maxY - minY, 1) * 1.6;
+
+        this.setView({
+            x: (minX + maxX) / 2 - width / 2,
+            y: (minY + maxY) / 2 - height / 2,
+            width,
+            height
+        });
+    }
+
+    setLassoMode(enabled) {
+        this.lassoMode = enabled;
+        const button = this.container.querySelector('[data-map-action="lasso"]');
+        if (button) {
+            button.className = `w-8 h-8 rounded shadow ${enabled ? 'bg-black text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`;
+        }
+        this.svg.style.cursor = enabled ? 'crosshair' : 'grab';
+    }
+
+    /**
+     * Screen position to map coordinates
+     */
+    toMap(clientX, clientY) {
+        const matrix = this.svg.getScreenCTM();
+        if (!matrix) return [0, 0];
+
+        const point = this.svg.createSVGPoint();
+        point.x = clientX;
+        point.y = clientY;
+        const mapped = point.matrixTransform(matrix.inverse());
+        return [mapped.x, mapped.y];
+    }
+
+    /**
+     * Screen pixels per map unit
+     */
+    getScale() {
+        return this.svg.getScreenCTM()?.a || 1;
+    }
+
+    zoomBy(factor, center) {
+        const [cx, cy] = center || [this.view.x + this.view.width / 2, this.view.y + this.view.height / 2];
+        const width = this.view.width * factor;
+        const height = this.view.height * factor;
+
+        this.setView({
+            x: cx - (cx - this.view.x) * factor,
+            y: cy - (cy - this.view.y) * factor,
+            width,
+            height
+        });
+    }
+
+    /**
+     * Move/zoom the map, kept within the world and between street-ish and world zoom
+     */
+    setView(view) {
+        const width = Math.min(this.bounds.width, Math.max(2, view.width));
+        const height = width * (this.bounds.height / this.bounds.width);
+        const x = Math.min(this.bounds.x + this.bounds.width - width, Math.max(this.bounds.x, view.x + (view.width - width) / 2));
+        const y = Math.min(this.bounds.y + this.bounds.height - height, Math.max(this.bounds.y, view.y + (view.height - height) / 2));
+
+        this.view = { x, y, width, height };
+        this.applyView();
+        this.scheduleRender();
+    }
+
+    applyView() {
+        const { x, y, width, height } = this.view;
+        this.svg.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+    }
+
+    scheduleRender() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.renderClusters();
+        });
+    }
+
+    /**
+     * Show members (those with a known place) and the active area filter
+     */
+    render(members, area = null) {
+        this.members = members;
+        this.area = area;
+
+        // Members at the same coordinates form one place
+        const places = new Map();
+        this.unmapped = 0;
+        members.forEach(member => {
+            const geo = member.geo;
+            if (!geo) {
+                this.unmapped++;
+                return;
+            }
+            const key = `${geo.lat},${geo.lon}`;
+            if (!places.has(key)) {
+                places.set(key, { lat: geo.lat, lon: geo.lon, label: geo.city || geo.admin1 || geo.country, count: 0 });
+            }
+            places.get(key).count++;
+        });
+        this.places = [...places.values()].sort((a, b) => b.count - a.count);
+
+        this.areaPath.setAttribute('d', area
+            ? `${area.polygon.map(([lon, lat], i) => `${i === 0 ? 'M' : 'L'}${lon},${-lat}`).join('')}Z`
+            : '');
+
+        this.renderClusters();
+        this.renderInfo();
+    }
+
+    /**
+     * Greedy screen-space clustering: places closer than clusterRadius px merge into the larger one
+     */
+    renderClusters() {
+        if (!this.places) return;
+
+        const scale = this.getScale();
+        const radius = this.clusterRadius / scale;
+        const clusters = [];
+
+        this.places.forEach(place => {
+            const x = place.lon;
+            const y = -place.lat;
+            const cluster = clusters.find(candidate => Math.hypot(candidate.x - x, candidate.y - y) < radius);
+
+            if (cluster) {
+                cluster.places.push(place);
+                cluster.count += place.count;
+            } else {
+                clusters.push({ x, y, count: place.count, places: [place] });
+            }
+        });
+
+        this.clusters = clusters;
+        this.clusterLayer.innerHTML = clusters.map((cluster, index) => {
+            const r = (8 + 3 * Math.sqrt(cluster.count)) / scale;
+            const names = cluster.places.slice(0, 5).map(place => `${place.label} (${place.count})`).join(', ');
+            const more = cluster.places.length > 5 ? ` and ${cluster.places.length - 5} more` : '';
+            const action = cluster.places.length === 1 ? 'Click to filter' : 'Click to zoom in';
+
+            return `
+                <g data-cluster="${index}" style="cursor: pointer;">
+                    <title>${this.escapeHtml(names + more)} — ${action}</title>
+                    <circle cx="${cluster.x}" cy="${cluster.y}" r="${r}" fill="rgba(17,24,39,0.85)" stroke="#fff" stroke-width="1.5" vector-effect="non-scaling-stroke"></circle>
+                    <text x="${cluster.x}" y="${cluster.y}" dy="0.35em" text-anchor="middle" fill="#fff"
+                          font-size="${11 / scale}" font-weight="600" pointer-events="none">${cluster.count}</text>
+                </g>
+            `;
+        }).join('');
+    }
+
+    renderInfo() {
+        const mapped = this.members.length - this.unmapped;
+        this.info.innerHTML = `
+            ${mapped.toLocaleString()} on the map${this.unmapped > 0 ? ` · ${this.unmapped.toLocaleString()} without a known place` : ''}
+            ${this.area ? ` · <button data-map-clear-area class="underline hover:text-black">Clear area</button>` : ''}
+        `;
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.onResize);
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+window.MapView = MapView;
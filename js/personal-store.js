@@ -0,0 +1,147 @@
+/**
+ * Personal Store Module
+ * Favorites, private notes and private labels, kept in localStorage and keyed by username.
+ * None of this is part of the member data; it only lives in this browser.
+ */
+
+class PersonalStore {
+    constructor(storageKey = 'nsocial-personal') {
+        this.storageKey = storageKey;
+        this.entries = this.read();
+    }
+
+    /**
+     * Read all entries from localStorage
+     */
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Could not read personal data:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Reload entries, e.g. after another tab changed them
+     */
+    reload() {
+        this.entries = this.read();
+        this.notify(null, ['favorite', 'note', 'labels']);
+    }
+
+    /**
+     * Entry for a member (empty defaults when nothing is stored)
+     */
+    get(username) {
+        const entry = this.entries[username] || {};
+        return {
+            favorite: !!entry.favorite,
+            note: entry.note || '',
+            labels: entry.labels || []
+        };
+    }
+
+    isFavorite(username) {
+        return !!this.entries[username]?.favorite;
+    }
+
+    toggleFavorite(username) {
+        this.update(username, { favorite: !this.isFavorite(username) });
+    }
+
+    setNote(username, note) {
+        this.update(username, { note: note.trim() ? note : '' });
+    }
+
+    addLabel(username, label) {
+        const trimmed = label.trim().replace(/\s+/g, ' ');
+        const labels = this.get(username).labels;
+        if (!trimmed || labels.some(existing => existing.toLowerCase() === trimmed.toLowerCase())) return;
+
+        // Reuse the spelling of a label that is already in use elsewhere
+        const value = this.getAllLabels().find(existing => existing.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+
+        this.update(username, { labels: [...labels, value] });
+    }
+
+    removeLabel(username, label) {
+        this.update(username, { labels: this.get(username).labels.filter(existing => existing !== label) });
+    }
+
+    /**
+     * All private labels in use, most used first
+     */
+    getAllLabels() {
+        const counts = new Map();
+        Object.values(this.entries).forEach(entry => {
+            (entry.labels || []).forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+        });
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([label]) => label);
+    }
+
+    /**
+     * Record this visit and return the time of the previous one (null on a first visit).
+     * Reloads within the same tab keep the same baseline, so members stay "new" for the whole visit.
+     */
+    startVisit() {
+        const visitKey = `${this.storageKey}-last-visit`;
+
+        try {
+            const baseline = sessionStorage.getItem(visitKey);
+            if (baseline !== null) return baseline ? Number(baseline) : null;
+
+            const previous = localStorage.getItem(visitKey);
+            sessionStorage.setItem(visitKey, previous || '');
+            localStorage.setItem(visitKey, String(Date.now()));
+            return previous ? Number(previous) : null;
+        } catch (error) {
+            console.warn('Could not read the last visit time:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Plain copy of all entries, for the search engine and the data worker
+     */
+    snapshot() {
+        return JSON.parse(JSON.stringify(this.entries));
+    }
+
+    /**
+     * Merge changes into a member's entry, dropping entries that end up empty
+     */
+    update(username, changes) {
+        const entry = { ...this.get(username), ...changes, updatedAt: Date.now() };
+
+        if (!entry.favorite && !entry.note && entry.labels.length === 0) {
+            delete this.entries[username];
+        } else {
+            this.entries[username] = entry;
+        }
+
+        this.write();
+        this.notify(username, Object.keys(changes));
+    }
+
+    write() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save personal data:', error);
+        }
+    }
+
+    notify(username, fields) {
+        document.dispatchEvent(new CustomEvent('personalDataChange', {
+            detail: { username, fields }
+        }));
+    }
+}
+
+// Export for use in other modules
+window.PersonalStore = PersonalStore;
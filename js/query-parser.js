@@ -0,0 +1,297 @@
+/**
+ * Query Parser Module
+ * Parses the search box query language into an expression tree
+ *
+ * Syntax:
+ *   solana rust            both terms (implicit AND)
+ *   "payment rails"        exact phrase
+ *   tag:solana             field-scoped term (tag, location, name, role)
+ *   location:"new york"    field-scoped phrase
+ *   has:linkedin           member has a field (linkedin, twitter, discord, ...)
+ *   label:intro            one of your private labels
+ *   is:favorite            members you starred
+ *   defi OR payments       either side
+ *   -recruiter             exclude a term
+ *   (a OR b) c             grouping
+ */
+
+class QueryParseError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'QueryParseError';
+        this.position = position;
+    }
+}
+
+class QueryParser {
+    constructor() {
+        this.fields = ['tag', 'location', 'name', 'role', 'has', 'label', 'is'];
+        this.fieldAliases = { tags: 'tag', loc: 'location', in: 'location', roles: 'role', labels: 'label' };
+        this.hasValues = ['linkedin', 'twitter', 'x', 'discord', 'social', 'location', 'summary', 'photo', 'tags', 'note', 'labels'];
+        this.isValues = { favorite: 'favorite', favourite: 'favorite', starred: 'favorite' };
+    }
+
+    /**
+     * Parse a query string. Returns null for an empty query, throws QueryParseError on bad syntax.
+     */
+    parse(input) {
+        this.tokens = this.lex(input || '');
+        this.position = 0;
+
+        if (this.tokens.length === 0) return null;
+
+        const expression = this.parseOr();
+
+        if (this.position < this.tokens.length) {
+            const token = this.tokens[this.position];
+            throw new QueryParseError(token.type === 'rparen' ? 'Unmatched ")"' : `Unexpected "${token.text}"`, token.start);
+        }
+
+        return expression;
+    }
+
+    /**
+     * Best-effort reading of a query that doesn't parse, word by word: "-word" stays excluded,
+     * field:value keeps its field and the rest are required words. Returns null when nothing is left.
+     */
+    parseLoose(input) {
+        const children = (input || '').replace(/[()"]/g, ' ').split(/\s+/)
+            .filter(word => word && !['OR', 'AND', '|', '-'].includes(word))
+            .map(word => {
+                try {
+                    return this.parse(word);
+                } catch (error) {
+                    // A broken exclusion or field ("tag:", "has:bogus") is left out rather than searched as text
+                    return /^-|^[a-z]+:/i.test(word) ? null : { type: 'term', field: null, value: word, phrase: false };
+                }
+            })
+            .filter(Boolean);
+
+        return children.length > 0 ? { type: 'and', children } : null;
+    }
+
+    /**
+     * Split the input into tokens
+     */
+    lex(input) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < input.length) {
+            const char = input[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, start: i });
+                i++;
+            } else if (char === '"') {
+                const end = input.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new QueryParseError('Missing closing quote', i);
+                }
+                tokens.push({ type: 'phrase', text: input.slice(i + 1, end), start: i });
+                i = end + 1;
+            } else if (char === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+                tokens.push({ type: 'not', text: '-', start: i });
+                i++;
+            } else {
+                let end = i;
+                while (end < input.length && !/[\s()"]/.test(input[end])) {
+                    // Stop after "field:" so the value can be a quoted phrase
+                    if (input[end] === ':' && /^[a-z]+$/i.test(input.slice(i, end))) {
+                        end++;
+                        break;
+                    }
+                    end++;
+                }
+
+                const text = input.slice(i, end);
+                const fieldMatch = text.match(/^([a-z]+):$/i);
+
+                if (fieldMatch) {
+                    tokens.push({ type: 'field', text: fieldMatch[1].toLowerCase(), start: i });
+                } else if (text === 'OR' || text === '|') {
+                    tokens.push({ type: 'or', text, start: i });
+                } else if (text === 'AND') {
+                    tokens.push({ type: 'and', text, start: i });
+                } else if (text !== '-') {
+                    tokens.push({ type: 'word', text, start: i });
+                }
+                i = end;
+            }
+        }
+
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    parseOr() {
+        const children = [this.parseAnd()];
+
+        while (this.peek()?.type === 'or') {
+            const orToken = this.next();
+            if (!this.peek() || this.peek().type === 'rparen' || this.peek().type === 'or') {
+                throw new QueryParseError('OR needs a term on both sides', orToken.start);
+            }
+            children.push(this.parseAnd());
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    parseAnd() {
+        const children = [];
+
+        while (this.peek() && this.peek().type !== 'or' && this.peek().type !== 'rparen') {
+            if (this.peek().type === 'and') {
+                const andToken = this.next();
+                if (children.length === 0 || !this.peek() || ['or', 'rparen', 'and'].includes(this.peek().type)) {
+                    throw new QueryParseError('AND needs a term on both sides', andToken.start);
+                }
+                continue;
+            }
+            children.push(this.parseUnary());
+        }
+
+        if (children.length === 0) {
+            const token = this.peek();
+            throw new QueryParseError(token ? `Expected a search term before "${token.text}"` : 'Expected a search term', token ? token.start : 0);
+        }
+
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    parseUnary() {
+        if (this.peek().type === 'not') {
+            this.next();
+            if (!this.peek() || ['or', 'and', 'rparen'].includes(this.peek().type)) {
+                throw new QueryParseError('"-" must be followed by a term', this.tokens[this.position - 1].start);
+            }
+            return { type: 'not', child: this.parseUnary() };
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'lparen': {
+                if (this.peek()?.type === 'rparen') {
+                    throw new QueryParseError('Empty parentheses', token.start);
+                }
+                const expression = this.parseOr();
+                if (this.peek()?.type !== 'rparen') {
+                    throw new QueryParseError('Missing closing ")"', token.start);
+                }
+                this.next();
+                return expression;
+            }
+
+            case 'field':
+                return this.parseField(token);
+
+            case 'phrase':
+                if (!token.text.trim()) {
+                    throw new QueryParseError('Empty quotes', token.start);
+                }
+                return { type: 'term', field: null, value: token.text.trim(), phrase: true };
+
+            case 'word':
+                return { type: 'term', field: null, value: token.text, phrase: false };
+
+            default:
+                throw new QueryParseError(`Unexpected "${token.text}"`, token.start);
+        }
+    }
+
+    parseField(token) {
+        const field = this.fieldAliases[token.text] || token.text;
+
+        if (!this.fields.includes(field)) {
+            throw new QueryParseError(`Unknown field "${token.text}:" (use ${this.fields.map(f => `${f}:`).join(', ')})`, token.start);
+        }
+
+        const valueToken = this.peek();
+        if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'phrase') || !valueToken.text.trim()) {
+            throw new QueryParseError(`"${token.text}:" needs a value`, token.start);
+        }
+        this.next();
+
+        const value = valueToken.text.trim();
+
+        if (field === 'has') {
+            const normalized = value.toLowerCase();
+            if (!this.hasValues.includes(normalized)) {
+                throw new QueryParseError(`Unknown "has:${value}" (use ${this.hasValues.join(', ')})`, valueToken.start);
+            }
+            return { type: 'has', value: normalized };
+        }
+
+        if (field === 'is') {
+            const normalized = this.isValues[value.toLowerCase()];
+            if (!normalized) {
+                throw new QueryParseError(`Unknown "is:${value}" (use is:favorite)`, valueToken.start);
+            }
+            return { type: 'is', value: normalized };
+        }
+
+        return { type: 'term', field, value, phrase: valueToken.type === 'phrase' };
+    }
+
+    /**
+     * Describe a parsed query in plain language
+     */
+    describe(node) {
+        if (!node) return '';
+
+        switch (node.type) {
+            case 'and':
+                return node.children.map(child => this.describeChild(child)).join(' and ');
+            case 'or':
+                return node.children.map(child => this.describeChild(child)).join(' or ');
+            case 'not':
+                return `not ${this.describeChild(node.child)}`;
+            case 'has': {
+                const labels = {
+                    linkedin: 'a LinkedIn profile', twitter: 'an X/Twitter account', x: 'an X/Twitter account',
+                    discord: 'a Discord handle', social: 'social links', location: 'a location',
+                    summary: 'a professional summary', photo: 'a profile photo', tags: 'tags',
+                    note: 'a private note', labels: 'private labels'
+                };
+                return `with ${labels[node.value]}`;
+            }
+            case 'is':
+                return 'in your favorites';
+            case 'term': {
+                const value = `"${node.value}"`;
+                if (node.field === 'tag') return `tagged ${value}`;
+                if (node.field === 'location') return `in ${value}`;
+                if (node.field === 'name') return `named ${value}`;
+                if (node.field === 'role') return `working in ${value}`;
+                if (node.field === 'label') return `labelled ${value}`;
+                return node.phrase ? `mentioning the phrase ${value}` : `mentioning ${value}`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    describeChild(node) {
+        const text = this.describe(node);
+        return node.type === 'and' || node.type === 'or' ? `(${text})` : text;
+    }
+}
+
+// Export for use in other modules
+window.QueryParseError = QueryParseError;
+window.QueryParser = QueryParser;
@@ -0,0 +1,262 @@
+/**
+ * Role Classifier Module
+ * Rule-based roles (engineering, design, product, founder, ...) and seniority for a member,
+ * read from the professional summary and tags, with the phrases that decided each one.
+ */
+
+class RoleClassifier {
+    constructor(roles = RoleClassifier.ROLES, seniority = RoleClassifier.SENIORITY) {
+        this.roles = Object.entries(roles).map(([id, role]) => ({
+            id,
+            label: role.label,
+            titles: role.titles.map(term => ({ term, pattern: this.termPattern(term) })),
+            fields: (role.fields || []).map(term => ({ term, pattern: this.termPattern(term) })),
+            tags: new Set((role.tags || []).map(tag => tag.toLowerCase()))
+        }));
+
+        this.seniority = Object.entries(seniority).map(([id, level]) => ({
+            id,
+            label: level.label,
+            terms: (level.terms || []).map(term => ({ term, pattern: this.termPattern(term) }))
+        }));
+    }
+
+    /**
+     * Roles in display order. Titles ("designer") decide a role on their own; fields ("design")
+     * and tags only count together. Plurals are not matched: "I hire engineers" is about others.
+     */
+    static get ROLES() {
+        return {
+            engineering: {
+                label: 'Engineering',
+                titles: ['engineer', 'developer', 'programmer', 'software engineer', 'swe', 'devops', 'sre', 'full-stack', 'fullstack', 'backend', 'frontend', 'smart contract developer', 'solidity developer', 'coder'],
+                fields: ['engineering', 'software development', 'programming', 'coding'],
+                tags: ['Engineering', 'Software Engineering', 'Development', 'Programming']
+            },
+            data: {
+                label: 'Data & ML',
+                titles: ['data scientist', 'data engineer', 'data analyst', 'ml engineer', 'machine learning engineer', 'ai engineer', 'ai researcher'],
+                fields: ['data science', 'machine learning', 'analytics', 'deep learning'],
+                tags: ['Data Science', 'Machine Learning', 'Analytics']
+            },
+            design: {
+                label: 'Design',
+                titles: ['designer', 'ux designer', 'ui designer', 'product designer', 'art director', 'creative director', 'illustrator'],
+                fields: ['design', 'ux', 'user experience', 'branding'],
+                tags: ['Design', 'UX Design', 'UI Design']
+            },
+            product: {
+                label: 'Product',
+                titles: ['product manager', 'product lead', 'product owner', 'head of product', 'pm', 'cpo'],
+                fields: ['product management', 'product strategy', 'product development'],
+                tags: ['Product', 'Product Management']
+            },
+            founder: {
+                label: 'Founder',
+                titles: ['founder', 'co-founder', 'cofounder', 'entrepreneur', 'serial entrepreneur'],
+                fields: ['startup', 'my company', 'my startup', 'bootstrapped'],
+                tags: ['Startups', 'Entrepreneurship']
+            },
+            research: {
+                label: 'Research',
+                titles: ['researcher', 'scientist', 'research scientist', 'professor', 'postdoc', 'phd candidate', 'phd student'],
+                fields: ['research', 'academia', 'phd'],
+                tags: ['Research', 'Science']
+            },
+            investing: {
+                label: 'Investing',
+                titles: ['investor', 'angel investor', 'venture capitalist', 'vc', 'general partner', 'fund manager', 'trader'],
+                fields: ['investing', 'venture capital', 'investment', 'portfolio'],
+                tags: ['Investing', 'Venture Capital', 'Trading']
+            },
+            marketing: {
+                label: 'Marketing & Growth',
+                titles: ['marketer', 'marketing manager', 'growth lead', 'growth marketer', 'cmo', 'brand strategist', 'head of marketing', 'head of growth'],
+                fields: ['marketing', 'growth', 'seo', 'go-to-market'],
+                tags: ['Marketing', 'Growth']
+            },
+            sales: {
+                label: 'Sales & BD',
+                titles: ['account executive', 'sales manager', 'head of sales', 'business developer', 'bd lead', 'head of partnerships'],
+                fields: ['sales', 'business development', 'partnerships'],
+                tags: ['Sales', 'Business Development']
+            },
+            operations: {
+                label: 'Operations',
+                titles: ['coo', 'chief of staff', 'operations manager', 'project manager', 'program manager', 'head of operations'],
+                fields: ['operations', 'project management'],
+                tags: ['Operations']
+            },
+            community: {
+                label: 'Community',
+                titles: ['community manager', 'community builder', 'community lead', 'organizer', 'event organizer', 'devrel', 'developer advocate'],
+                fields: ['community building', 'community', 'events'],
+                tags: ['Community']
+            },
+            content: {
+                label: 'Content & Media',
+                titles: ['writer', 'journalist', 'author', 'content creator', 'creator', 'podcaster', 'youtuber', 'blogger', 'editor', 'filmmaker', 'photographer'],
+                fields: ['writing', 'content', 'media', 'podcast', 'newsletter'],
+                tags: ['Writing', 'Content', 'Media']
+            },
+            education: {
+                label: 'Education',
+                titles: ['teacher', 'educator', 'lecturer', 'tutor', 'instructor'],
+                fields: ['education', 'teaching', 'edtech'],
+                tags: ['Education']
+            },
+            finance: {
+                label: 'Finance & Legal',
+                titles: ['cfo', 'accountant', 'financial analyst', 'banker', 'economist', 'lawyer', 'attorney', 'legal counsel'],
+                fields: ['finance', 'accounting', 'legal', 'law', 'compliance'],
+                tags: ['Finance', 'Legal', 'Law']
+            },
+            health: {
+                label: 'Health',
+                titles: ['doctor', 'physician', 'nurse', 'therapist', 'psychologist'],
+                fields: ['healthcare', 'medicine', 'biotech', 'longevity'],
+                tags: ['Health', 'Healthcare', 'Biotech', 'Longevity']
+            }
+        };
+    }
+
+    /**
+     * Seniority levels, most senior first; the first level with a match wins
+     */
+    static get SENIORITY() {
+        return {
+            executive: {
+                label: 'Executive / founder',
+                terms: ['ceo', 'cto', 'cfo', 'coo', 'cmo', 'cpo', 'chief', 'founder', 'co-founder', 'cofounder', 'president', 'vp', 'vice president', 'head of', 'director', 'managing partner', 'general partner']
+            },
+            senior: {
+                label: 'Senior',
+                terms: ['senior', 'sr', 'lead', 'principal', 'staff engineer', 'tech lead', 'team lead']
+            },
+            mid: {
+                label: 'Mid-level',
+                terms: []
+            },
+            junior: {
+                label: 'Junior / student',
+                terms: ['junior', 'jr', 'intern', 'internship', 'student', 'graduate', 'entry level', 'entry-level', 'aspiring', 'bootcamp']
+            }
+        };
+    }
+
+    /**
+     * Whole-word, case-insensitive pattern for a term ("ai" doesn't match "said")
+     */
+    termPattern(term) {
+        const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+    }
+
+    /**
+     * Classify a member: { roles: [id], seniority: id | null, evidence: { [role id | 'seniority']: [reason] } }.
+     * Roles are ordered by how strongly they were matched.
+     */
+    classify(member) {
+        const summary = member.professional_summary || '';
+        const lower = summary.toLowerCase();
+        const tags = (member.tags || []).map(tag => String(tag).toLowerCase());
+        const evidence = {};
+        const scores = [];
+
+        this.roles.forEach(role => {
+            const reasons = [];
+            let score = 0;
+
+            // Cheap substring check first; most terms don't occur at all
+            role.titles.forEach(({ term, pattern }) => {
+                if (lower.includes(term) && this.findAboutSelf(summary, pattern)) {
+                    score += 2;
+                    reasons.push(`"${term}" in their summary`);
+                }
+            });
+            role.fields.forEach(({ term, pattern }) => {
+                if (lower.includes(term) && this.findAboutSelf(summary, pattern)) {
+                    score += 1;
+                    reasons.push(`works in ${term}`);
+                }
+            });
+            (member.tags || []).forEach((tag, index) => {
+                if (role.tags.has(tags[index])) {
+                    score += 1;
+                    reasons.push(`tagged ${tag}`);
+                }
+            });
+
+            if (score >= 2) {
+                scores.push({ id: role.id, score });
+                evidence[role.id] = reasons;
+            }
+        });
+
+        const roles = scores
+            .sort((a, b) => b.score - a.score)
+            .map(entry => entry.id);
+
+        const seniority = this.classifySeniority(summary, lower, roles);
+        if (seniority) evidence.seniority = [seniority.reason];
+
+        return { roles, seniority: seniority ? seniority.id : null, evidence };
+    }
+
+    /**
+     * Seniority from titles, then years of experience; founders count as executives
+     */
+    classifySeniority(summary, lower, roles) {
+        for (const level of this.seniority) {
+            const term = level.terms.find(({ term, pattern }) => lower.includes(term) && this.findAboutSelf(summary, pattern));
+            if (term) return { id: level.id, reason: `"${term.term}" in their summary` };
+        }
+
+        const years = /(\d{1,2})\+?\s*(?:years|yrs)/i.exec(summary);
+        if (years) {
+            const count = Number(years[1]);
+            const id = count >= 10 ? 'senior' : count >= 3 ? 'mid' : 'junior';
+            return { id, reason: `${count} years of experience` };
+        }
+
+        if (roles.includes('founder')) {
+            return { id: 'executive', reason: 'founder' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether the pattern matches somewhere the summary talks about the member themselves.
+     * "I work with a designer" or "hiring a developer" are about other people.
+     */
+    findAboutSelf(text, pattern) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const before = text.slice(Math.max(0, match.index - 40), match.index).toLowerCase();
+            if (!/\b(?:with|hire|hiring|recruit(?:ing|er)?|help(?:ing)?|connect(?:ing)?|need(?:s|ing)?|seeking|looking for)\s+(?:(?:an?|the|other|our|your)\s+)?(?:[\w-]+\s+)?$/.test(before)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getRoleLabel(id) {
+        return this.roles.find(role => role.id === id)?.label || id;
+    }
+
+    getSeniorityLabel(id) {
+        return this.seniority.find(level => level.id === id)?.label || id;
+    }
+
+    /**
+     * Role options for the filter, in taxonomy order: [{ value, label }]
+     */
+    getRoleOptions() {
+        return this.roles.map(role => ({ value: role.id, label: role.label }));
+    }
+}
+
+// Export for use in other modules
+window.RoleClassifier = RoleClassifier;
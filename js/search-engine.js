@@ -10,12 +10,169 @@ class SearchEngine {
         this.activeFilters = {
             search: '',
             location: '',
-            profession: '',
-            cohort: '',
-            tags: []
+            roles: [],             // role ids from the RoleClassifier, any of them
+            cohort: '',            // cohort name, or the join-date window for members without one (DataLoader.getCohort)
+            tags: [],
+            tagMode: 'any',        // 'any' or 'all' selected tags
+            area: null,            // { label, polygon: [[lon, lat], ...] } from the map
+            joined: null,          // { label, from, to } join-date range in milliseconds (to exclusive)
+            favoritesOnly: false,
+            labels: []
+        };
+        
+        // Favorites, notes and private labels by username (from PersonalStore)
+        this.personalData = {};
+        
+        // Members per filter option for the last search
+        this.facetCounts = null;
+        
+        // Search-as-you-type keys for the loaded data (see getSuggestionSource)
+        this.suggestionSource = null;
+        
+        // Raw score of the best match for the current keyword query; relevanceScore is relative to it
+        this.scoreScale = 0;
+        
+        // Query terms to highlight in results (see collectHighlightTerms) and positions found per member
+        this.highlightTerms = [];
+        this.matchCache = new WeakMap();
+        
+        // 'keyword' (inverted index) or 'semantic' (LSA vectors)
+        this.searchMode = 'keyword';
+        this.semanticLimit = 100;
+        
+        // Query language for the search box
+        this.queryParser = new QueryParser();
+        this.parsedQuery = null;
+        this.queryError = null;
+        this.searchDescription = null;
+    }
+
+    /**
+     * Display names of the fields a score can come from
+     */
+    static get FIELD_LABELS() {
+        return {
+            name: 'Name',
+            tags: 'Tags',
+            tag: 'Tags',
+            professional_summary: 'Professional summary',
+            location: 'Location',
+            personal_summary: 'Personal summary',
+            philosophical_summary: 'Philosophy',
+            role: 'Role',
+            label: 'Your labels',
+            personal: 'Your labels or notes'
         };
     }
 
+    /**
+     * Data worker shared with the DataLoader, if any
+     */
+    get worker() {
+        return this.dataLoader.worker;
+    }
+
+    /**
+     * Perform search in the data worker when available. Superseded calls reject with WorkerCancelledError.
+     */
+    async searchAsync(filters = {}) {
+        if (!this.worker) return this.search(filters);
+        
+        this.activeFilters = { ...this.activeFilters, ...filters };
+        const results = await this.callWorker('search', [this.activeFilters], { channel: 'search' });
+        
+        this.currentResults = results;
+        return results;
+    }
+
+    /**
+     * Find similar members without blocking the main thread
+     */
+    async findSimilarMembersAsync(targetMember, count = 10) {
+        if (!this.worker) return this.findSimilarMembers(targetMember, count);
+        return this.callWorker('findSimilarMembers', [targetMember, count], { channel: 'similar' });
+    }
+
+    /**
+     * Plan groups without blocking the main thread, with members in place of usernames
+     */
+    async planGroupsAsync(usernames, options = {}) {
+        const plan = this.worker
+            ? await this.callWorker('planGroups', [usernames, options], { channel: 'plan' })
+            : this.planGroups(usernames, options);
+        
+        const byUsername = new Map((this.dataLoader.processedData || []).map(member => [member.username, member]));
+        const resolve = list => list.map(username => byUsername.get(username));
+        return {
+            ...plan,
+            groups: plan.groups.map(group => ({ ...group, members: resolve(group.members) })),
+            conflicts: plan.conflicts.map(conflict => ({ ...conflict, members: resolve(conflict.members) }))
+        };
+    }
+
+    /**
+     * Explain a result's score without blocking the main thread
+     */
+    async explainMatchAsync(member) {
+        if (!this.worker) return this.explainMatch(member);
+        return this.callWorker('explainMatch', [member], { channel: 'explain' });
+    }
+
+    /**
+     * Call an engine method in the worker and mirror the resulting engine state
+     */
+    async callWorker(method, args, options = {}) {
+        let response;
+        try {
+            response = await this.worker.call(method, args, {
+                ...options,
+                context: { searchMode: this.searchMode, personalData: this.personalData }
+            });
+        } catch (error) {
+            // The worker died during the call and the main thread has taken over its data
+            if (!this.worker && !(error instanceof WorkerCancelledError)) return this[method](...args);
+            throw error;
+        }
+        
+        const { result, state } = response;
+        this.activeFilters = state.activeFilters;
+        this.searchDescription = state.searchDescription;
+        this.facetCounts = state.facetCounts;
+        this.setHighlightTerms(state.highlightTerms);
+        this.queryError = state.queryError ? new QueryParseError(state.queryError.message, state.queryError.position) : null;
+        
+        return this.decodeMembers(result);
+    }
+
+    /**
+     * Turn [docId, extraFields] pairs from the worker back into member objects
+     */
+    decodeMembers(result) {
+        if (!result || result.type !== 'members') return result;
+        
+        const members = this.dataLoader.processedData;
+        return result.items.map(([docId, extras]) => 
+            Object.keys(extras).length > 0 ? { ...members[docId], ...extras } : members[docId]
+        );
+    }
+
+    /**
+     * Make sure semantic vectors exist before switching to semantic mode
+     */
+    async prepareSemanticSearch() {
+        if (this.worker) {
+            try {
+                await this.worker.call('prepareSemantic');
+                return;
+            } catch (error) {
+                // Build the vectors here instead if the worker died
+                if (this.worker) throw error;
+            }
+        }
+        
+        await this.dataLoader.getSemanticIndex();
+    }
+
     /**
      * Perform search with current filters
      */
@@ -31,217 +188,860 @@ class SearchEngine {
         let results = [...this.dataLoader.processedData];
 
         // Apply text search filter
+        this.parsedQuery = null;
+        this.queryError = null;
+        this.scoreScale = 0;
+        this.setHighlightTerms([]);
         if (this.activeFilters.search) {
-            results = this.applyTextSearch(results, this.activeFilters.search);
-        }
-
-        // Apply location filter
-        if (this.activeFilters.location) {
-            results = results.filter(member => 
-                member.location_normalized === this.activeFilters.location
-            );
-        }
-
-        // Apply profession filter
-        if (this.activeFilters.profession) {
-            results = results.filter(member => 
-                member.professional_summary && 
-                member.professional_summary.toLowerCase().includes(this.activeFilters.profession.toLowerCase())
-            );
+            results = this.isSemanticReady()
+                ? this.applySemanticSearch(results, this.activeFilters.search)
+                : this.applyTextSearch(results, this.activeFilters.search);
         }
 
-
-
-        // Apply tags filter
-        if (this.activeFilters.tags.length > 0) {
-            results = results.filter(member => 
-                member.tags && this.activeFilters.tags.some(tag => 
-                    member.tags.some(memberTag => 
-                        memberTag.toLowerCase().includes(tag.toLowerCase())
-                    )
-                )
-            );
-        }
+        // Apply the remaining filters, counting what each filter option would match
+        const predicates = this.getFilterPredicates();
+        this.facetCounts = this.countFacets(results, predicates);
+        results = results.filter(member => predicates.every(({ test }) => test(member)));
 
         this.currentResults = results;
         return results;
     }
 
     /**
-     * Apply text search across multiple fields
+     * Active filters as predicates, tagged with the facet they belong to
      */
-    applyTextSearch(data, searchTerm) {
-        if (!searchTerm.trim()) return data;
-
-        const terms = searchTerm.toLowerCase().split(' ').filter(term => term.length > 0);
+    getFilterPredicates() {
+        const filters = this.activeFilters;
+        const predicates = [];
+        
+        // Location filter (a continent, country or state includes everyone beneath it)
+        if (filters.location) {
+            predicates.push({
+                facet: 'location',
+                test: member => (member.location_keys || []).includes(filters.location)
+            });
+        }
+        
+        // Role filter (classified roles, not words in the summary)
+        if (filters.roles.length > 0) {
+            predicates.push({
+                facet: 'roles',
+                test: member => (member.roles || []).some(role => filters.roles.includes(role))
+            });
+        }
+        
+        // Cohort filter
+        if (filters.cohort) {
+            predicates.push({
+                facet: 'cohort',
+                test: member => member.cohort === filters.cohort
+            });
+        }
+        
+        // Map area filter (a clicked place or a lasso selection)
+        if (filters.area) {
+            const polygon = filters.area.polygon;
+            predicates.push({
+                facet: 'location',
+                test: member => !!member.geo && this.pointInPolygon(member.geo.lon, member.geo.lat, polygon)
+            });
+        }
+        
+        // Join-date range
+        if (filters.joined) {
+            const from = filters.joined.from ?? -Infinity;
+            const to = filters.joined.to ?? Infinity;
+            predicates.push({
+                facet: null,
+                test: member => member.joined_at !== null && member.joined_at >= from && member.joined_at < to
+            });
+        }
         
-        return data.filter(member => {
-            return terms.every(term => {
-                return member.searchable_text.includes(term) ||
-                       this.fuzzyMatch(member.searchable_text, term);
+        // Tags filter (exact match on canonical tags)
+        if (filters.tags.length > 0) {
+            const selected = this.dataLoader.tagNormalizer.normalizeTags(filters.tags);
+            const matchesTag = (member, tag) => (member.tags || []).includes(tag);
+            
+            predicates.push({
+                facet: 'tags',
+                test: filters.tagMode === 'all'
+                    ? member => selected.every(tag => matchesTag(member, tag))
+                    : member => selected.some(tag => matchesTag(member, tag))
+            });
+        }
+        
+        // Personal filters
+        if (filters.favoritesOnly) {
+            predicates.push({ facet: null, test: member => this.getPersonal(member).favorite });
+        }
+        
+        if (filters.labels.length > 0) {
+            predicates.push({
+                facet: null,
+                test: member => this.getPersonal(member).labels.some(label => filters.labels.includes(label))
             });
-        }).map(member => {
-            // Add relevance score
-            const relevanceScore = this.calculateRelevanceScore(member, terms);
-            return { ...member, relevanceScore };
+        }
+        
+        return predicates;
+    }
+
+    /**
+     * Ray-casting point-in-polygon test in longitude/latitude
+     */
+    pointInPolygon(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Count, for each location, role, cohort and tag option, how many members picking it would give.
+     * A facet's counts ignore that facet's own filter, so other options in the same dropdown still
+     * show their totals. In "all" tag mode a tag narrows the results, so tags count within the results.
+     */
+    countFacets(members, predicates) {
+        const counts = { locations: {}, roles: {}, cohorts: {}, tags: {} };
+        const tagsNarrow = this.activeFilters.tagMode === 'all';
+        const increment = (bucket, key) => {
+            bucket[key] = (bucket[key] || 0) + 1;
+        };
+        
+        members.forEach(member => {
+            let failedFacet;
+            let failures = 0;
+            for (const predicate of predicates) {
+                if (!predicate.test(member)) {
+                    failures++;
+                    failedFacet = predicate.facet;
+                    if (failures > 1) return;
+                }
+            }
+            
+            if (failures === 1 && !failedFacet) return;
+            
+            if (failures === 0 || failedFacet === 'location') {
+                (member.location_keys || []).forEach(key => increment(counts.locations, key));
+            }
+            
+            if (failures === 0 || failedFacet === 'roles') {
+                (member.roles || []).forEach(role => increment(counts.roles, role));
+            }
+            
+            if ((failures === 0 || failedFacet === 'cohort') && member.cohort) {
+                increment(counts.cohorts, member.cohort);
+            }
+            
+            if (failures === 0 || (failedFacet === 'tags' && !tagsNarrow)) {
+                (member.tags || []).forEach(tag => increment(counts.tags, tag));
+            }
         });
+        
+        return counts;
     }
 
     /**
-     * Simple fuzzy matching for typos
+     * Favorite flag, note and private labels for a member
      */
-    fuzzyMatch(text, term) {
-        // Simple implementation - could be enhanced with proper fuzzy search
-        if (term.length < 4) return false;
+    getPersonal(member) {
+        const entry = this.personalData[member.username];
+        return {
+            favorite: !!entry?.favorite,
+            note: entry?.note || '',
+            labels: entry?.labels || []
+        };
+    }
+
+    /**
+     * Score plain terms against the index and the user's own labels and notes.
+     * Every term must match somewhere; a label or note hit counts like a weak field match.
+     */
+    scorePlainTerms(tokens, index) {
+        const personal = [];
+        index.members.forEach((member, docId) => {
+            const { note, labels } = this.getPersonal(member);
+            if (note || labels.length > 0) {
+                personal.push([docId, index.tokenize(`${labels.join(' ')} ${note}`)]);
+            }
+        });
+        
+        if (personal.length === 0) return index.scoreTerms(tokens);
         
-        const words = text.split(' ');
-        return words.some(word => {
-            if (word.length < 3) return false;
-            const similarity = this.stringSimilarity(word, term);
-            return similarity > 0.7; // 70% similarity threshold
+        let scores = null;
+        tokens.forEach(token => {
+            const tokenScores = index.scoreTerms([token]);
+            personal.forEach(([docId, personalTokens]) => {
+                if (personalTokens.some(personalToken => personalToken.startsWith(token))) {
+                    tokenScores.set(docId, (tokenScores.get(docId) || 0) + 1);
+                }
+            });
+            
+            if (!scores) {
+                scores = tokenScores;
+                return;
+            }
+            
+            const intersected = new Map();
+            scores.forEach((score, docId) => {
+                if (tokenScores.has(docId)) {
+                    intersected.set(docId, score + tokenScores.get(docId));
+                }
+            });
+            scores = intersected;
         });
+        
+        return scores;
     }
 
     /**
-     * Calculate string similarity (simple implementation)
+     * Apply the parsed search query using the inverted index, returning members in ranked order.
+     * On a syntax error the query falls back to plain terms and the error is kept for display.
      */
-    stringSimilarity(a, b) {
-        if (a === b) return 1;
-        if (a.length === 0 || b.length === 0) return 0;
+    applyTextSearch(data, searchTerm) {
+        if (!searchTerm.trim()) return data;
+
+        const query = this.parseSearch(searchTerm);
+        if (!query) return data;
+
+        const index = this.getIndex();
+        const candidates = new Set(data);
+        this.setHighlightTerms(this.collectHighlightTerms(query, index));
         
-        const longer = a.length > b.length ? a : b;
-        const shorter = a.length > b.length ? b : a;
+        const scored = [...this.evaluateQuery(query, index).entries()]
+            .sort((a, b) => b[1] - a[1])
+            .filter(([docId]) => candidates.has(index.members[docId]));
         
-        if (longer.length === 0) return 1;
+        // BM25 sums have no upper bound, so scores are put on 0–100 with the best match at 100
+        this.scoreScale = scored.length > 0 ? scored[0][1] : 0;
+        const scale = this.scoreScale > 0 ? 100 / this.scoreScale : 0;
         
-        const editDistance = this.levenshteinDistance(longer, shorter);
-        return (longer.length - editDistance) / longer.length;
+        return scored.map(([docId, score]) => ({ ...index.members[docId], relevanceScore: score * scale }));
     }
 
     /**
-     * Calculate Levenshtein distance between two strings
+     * Parse the search box query, keeping it as parsedQuery. On a syntax error the query is read
+     * word by word (QueryParser.parseLoose) and the error is kept for display.
      */
-    levenshteinDistance(a, b) {
-        const matrix = [];
+    parseSearch(searchTerm) {
+        let query;
+        try {
+            query = this.queryParser.parse(searchTerm);
+        } catch (error) {
+            if (!(error instanceof QueryParseError)) throw error;
+            
+            this.queryError = error;
+            query = this.queryParser.parseLoose(searchTerm);
+        }
         
-        for (let i = 0; i <= b.length; i++) {
-            matrix[i] = [i];
+        this.parsedQuery = query;
+        return query;
+    }
+
+    /**
+     * Evaluate a query expression to a Map of docId → score
+     */
+    evaluateQuery(node, index) {
+        switch (node.type) {
+            case 'and': {
+                const positives = node.children.filter(child => child.type !== 'not');
+                const negatives = node.children.filter(child => child.type === 'not');
+                
+                let scores = positives.length > 0
+                    ? this.evaluateQuery(positives[0], index)
+                    : this.allDocs(index);
+                
+                positives.slice(1).forEach(child => {
+                    const childScores = this.evaluateQuery(child, index);
+                    const intersected = new Map();
+                    scores.forEach((score, docId) => {
+                        if (childScores.has(docId)) {
+                            intersected.set(docId, score + childScores.get(docId));
+                        }
+                    });
+                    scores = intersected;
+                });
+                
+                negatives.forEach(child => {
+                    this.evaluateQuery(child.child, index).forEach((score, docId) => scores.delete(docId));
+                });
+                
+                return scores;
+            }
+            
+            case 'or': {
+                const scores = new Map();
+                node.children.forEach(child => {
+                    this.evaluateQuery(child, index).forEach((score, docId) => {
+                        scores.set(docId, (scores.get(docId) || 0) + score);
+                    });
+                });
+                return scores;
+            }
+            
+            case 'not': {
+                const excluded = this.evaluateQuery(node.child, index);
+                const scores = this.allDocs(index);
+                excluded.forEach((score, docId) => scores.delete(docId));
+                return scores;
+            }
+            
+            case 'has':
+                return this.filterDocs(index, member => this.memberHas(member, node.value));
+            
+            case 'is':
+                return this.filterDocs(index, member => node.value === 'favorite' && this.getPersonal(member).favorite);
+            
+            case 'term':
+                return this.evaluateTerm(node, index);
+            
+            default:
+                return new Map();
         }
+    }
+
+    /**
+     * Evaluate a plain, phrase or field-scoped term
+     */
+    evaluateTerm(node, index) {
+        const tokens = index.tokenizeQuery(node.value);
+        if (tokens.length === 0) return this.allDocs(index);
+        
+        const normalizer = this.dataLoader.textNormalizer;
+        const phrase = normalizer.normalize(node.value);
         
-        for (let j = 0; j <= a.length; j++) {
-            matrix[0][j] = j;
+        if (!node.field) {
+            const scores = this.scorePlainTerms(tokens, index);
+            if (node.phrase) {
+                scores.forEach((score, docId) => {
+                    const member = index.members[docId];
+                    const { note, labels } = this.getPersonal(member);
+                    const personalText = normalizer.normalize(`${labels.join(' ')} ${note}`);
+                    if (!member.searchable_text.includes(phrase) && !personalText.includes(phrase)) {
+                        scores.delete(docId);
+                    }
+                });
+            }
+            return scores;
         }
         
-        for (let i = 1; i <= b.length; i++) {
-            for (let j = 1; j <= a.length; j++) {
-                if (b.charAt(i - 1) === a.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
-                }
+        const fieldValues = {
+            tag: member => member.tags || [],
+            location: member => [member.location, member.location_normalized, member.geo?.continent],
+            name: member => [member.name, member.username],
+            role: member => (member.roles || []).map(role => this.dataLoader.roleClassifier.getRoleLabel(role)),
+            label: member => this.getPersonal(member).labels
+        }[node.field];
+        
+        // tag:ml finds "Machine Learning"
+        const canonicalTag = node.field === 'tag' ? this.dataLoader.tagNormalizer.normalize(node.value) : null;
+        
+        const textScores = index.scoreTerms(tokens);
+        const matches = (text) => {
+            if (!text) return false;
+            if (canonicalTag && text === canonicalTag) return true;
+            if (node.phrase) return normalizer.normalize(text).includes(phrase);
+            
+            // Whole words only: tag:ai shouldn't find "Airdrop" (prefixes are for plain terms)
+            const textTokens = index.tokenize(text);
+            return tokens.every(token => textTokens.includes(token));
+        };
+        
+        const scores = this.filterDocs(index, member => fieldValues(member).some(matches));
+        scores.forEach((score, docId) => scores.set(docId, textScores.get(docId) || 1));
+        return scores;
+    }
+
+    /**
+     * Terms a query matches on, for highlighting: [{ token, fuzzy, fields, tag, exact }].
+     * Excluded terms aren't shown; fuzzy lists the index words a misspelled token was matched to.
+     * exact marks field terms, which match whole words only.
+     */
+    collectHighlightTerms(node, index, terms = []) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                node.children.forEach(child => this.collectHighlightTerms(child, index, terms));
+                break;
+            
+            case 'term': {
+                // role: and label: match on data that isn't shown as text
+                const fields = node.field ? { tag: ['tags'], location: ['location'], name: ['name'] }[node.field] : null;
+                if (node.field && !fields) break;
+                
+                const tag = node.field === 'tag' ? this.dataLoader.tagNormalizer.normalize(node.value) : null;
+                index.tokenizeQuery(node.value).forEach(token => {
+                    // Field terms match whole words, so only plain terms highlight prefixes and misspellings
+                    const fuzzy = fields ? [] : [...index.expandTerm(token).keys()].filter(term => !term.startsWith(token));
+                    terms.push({ token, fuzzy: fuzzy.slice(0, 20), fields, tag, exact: !!fields });
+                });
+                break;
             }
         }
         
-        return matrix[b.length][a.length];
+        return terms;
+    }
+
+    setHighlightTerms(terms) {
+        this.highlightTerms = terms || [];
+        this.matchCache = new WeakMap();
     }
 
     /**
-     * Calculate relevance score for search results
+     * Where the current query matches a member, per field:
+     * { name, location, professional_summary, ...: [{ start, end, term, fuzzy }], tags: [matched tag] }.
+     * Returns null without a text query. Computed on demand, only for members that are shown.
      */
-    calculateRelevanceScore(member, searchTerms) {
-        let score = 0;
+    getMatches(member) {
+        if (!member || this.highlightTerms.length === 0) return null;
+        if (this.matchCache.has(member)) return this.matchCache.get(member);
         
-        searchTerms.forEach(term => {
-            // Higher score for matches in name
-            if (member.name && member.name.toLowerCase().includes(term)) {
-                score += 10;
-            }
+        const normalizer = this.dataLoader.textNormalizer;
+        const termsFor = field => this.highlightTerms.filter(term => !term.fields || term.fields.includes(field));
+        
+        const findRanges = (text, terms) => {
+            const ranges = [];
+            normalizer.spans(text).forEach(({ start, end, token }) => {
+                for (const term of terms) {
+                    if (term.exact && token !== term.token) continue;
+                    const fuzzy = !token.startsWith(term.token);
+                    if (!fuzzy || term.fuzzy.includes(token)) {
+                        ranges.push({ start, end, term: term.token, fuzzy });
+                        break;
+                    }
+                }
+            });
+            return ranges;
+        };
+        
+        const matches = { tags: [] };
+        ['name', 'location', 'professional_summary', 'personal_summary', 'philosophical_summary'].forEach(field => {
+            const terms = termsFor(field);
+            if (!member[field] || terms.length === 0) return;
             
-            // Medium score for matches in professional summary
-            if (member.professional_summary && member.professional_summary.toLowerCase().includes(term)) {
-                score += 5;
-            }
+            const ranges = findRanges(member[field], terms);
+            if (ranges.length > 0) matches[field] = ranges;
+        });
+        
+        const tagTerms = termsFor('tags');
+        matches.tags = (member.tags || []).filter(tag =>
+            tagTerms.some(term => term.tag === tag) || findRanges(tag, tagTerms).length > 0
+        );
+        
+        this.matchCache.set(member, matches);
+        return matches;
+    }
+
+    /**
+     * Why a member matched the current query, for the score panel:
+     * { score, semantic, entries: [{ term, kind, matched, phrase, points, fields: [{ field, label, points }] }] }.
+     * kind is 'exact', 'prefix', 'fuzzy', 'field' (tag:, location:...) or 'filter' (has:, is:).
+     * Points are on the same 0–100 scale as relevanceScore. Returns null without a text query.
+     */
+    explainMatch(member) {
+        if (!member || !this.activeFilters.search) return null;
+        
+        if (this.isSemanticReady()) {
+            return { score: member.relevanceScore || 0, semantic: true, entries: [] };
+        }
+        if (!this.parsedQuery) return null;
+        
+        const index = this.getIndex();
+        const docId = index.members.findIndex(other => other.username === member.username);
+        if (docId === -1) return null;
+        
+        const scale = this.scoreScale > 0 ? 100 / this.scoreScale : 0;
+        const entries = this.explainNode(this.parsedQuery, index, docId).map(entry => ({
+            ...entry,
+            points: entry.points * scale,
+            fields: entry.fields.map(field => ({ ...field, points: field.points * scale }))
+        }));
+        
+        return {
+            score: Math.min(100, entries.reduce((sum, entry) => sum + entry.points, 0)),
+            semantic: false,
+            entries
+        };
+    }
+
+    /**
+     * Score entries for the parts of a query that matched a document (raw points, as in evaluateQuery)
+     */
+    explainNode(node, index, docId) {
+        const labels = SearchEngine.FIELD_LABELS;
+        
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                // Excluded terms didn't match, so they add nothing to explain
+                return node.children
+                    .filter(child => child.type !== 'not')
+                    .flatMap(child => this.explainNode(child, index, docId));
             
-            // Medium score for tag matches
-            if (member.tags && member.tags.some(tag => tag.toLowerCase().includes(term))) {
-                score += 5;
-            }
+            case 'has':
+            case 'is':
+                return this.evaluateQuery(node, index).has(docId)
+                    ? [{ term: `${node.type}:${node.value}`, kind: 'filter', matched: node.value, phrase: false, points: 0, fields: [] }]
+                    : [];
             
-            // Lower score for matches in other fields
-            if (member.personal_summary && member.personal_summary.toLowerCase().includes(term)) {
-                score += 2;
+            case 'term': {
+                if (node.field) {
+                    const points = this.evaluateTerm(node, index).get(docId);
+                    if (points === undefined) return [];
+                    return [{
+                        term: `${node.field}:${node.value}`,
+                        kind: 'field',
+                        matched: node.value,
+                        phrase: node.phrase,
+                        points,
+                        fields: [{ field: node.field, label: labels[node.field], points }]
+                    }];
+                }
+                
+                // Plain terms score per token, plus a point for a hit in the user's own labels or notes
+                const { note, labels: personalLabels } = this.getPersonal(index.members[docId]);
+                const personalTokens = note || personalLabels.length > 0
+                    ? index.tokenize(`${personalLabels.join(' ')} ${note}`)
+                    : [];
+                
+                return index.tokenizeQuery(node.value).map(token => {
+                    const explained = index.explain(token, docId);
+                    const personal = personalTokens.some(personalToken => personalToken.startsWith(token));
+                    if (!explained && !personal) return null;
+                    
+                    const fields = (explained?.fields || []).map(({ field, score }) => ({ field, label: labels[field], points: score }));
+                    if (personal) fields.push({ field: 'personal', label: labels.personal, points: 1 });
+                    
+                    return {
+                        term: token,
+                        kind: explained ? explained.kind : 'exact',
+                        matched: explained ? explained.indexTerm : token,
+                        phrase: node.phrase,
+                        points: fields.reduce((sum, field) => sum + field.points, 0),
+                        fields
+                    };
+                }).filter(entry => entry);
             }
             
-            if (member.location && member.location.toLowerCase().includes(term)) {
-                score += 3;
-            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Check has: conditions
+     */
+    memberHas(member, what) {
+        const links = member.social_links || {};
+        
+        switch (what) {
+            case 'linkedin': return !!links.linkedin;
+            case 'twitter':
+            case 'x': return !!links.twitter;
+            case 'discord': return !!links.discord;
+            case 'social': return member.has_social_links;
+            case 'location': return member.has_location;
+            case 'summary': return member.has_professional_summary;
+            case 'photo': return !!member.profile_image;
+            case 'tags': return (member.tags || []).length > 0;
+            case 'note': return !!this.getPersonal(member).note;
+            case 'labels': return this.getPersonal(member).labels.length > 0;
+            default: return false;
+        }
+    }
+
+    allDocs(index) {
+        return new Map(index.members.map((member, docId) => [docId, 0]));
+    }
+
+    filterDocs(index, predicate) {
+        const scores = new Map();
+        index.members.forEach((member, docId) => {
+            if (predicate(member)) scores.set(docId, 0);
         });
+        return scores;
+    }
+
+    /**
+     * Get the search index for the loaded data, building it if needed
+     */
+    getIndex() {
+        const data = this.dataLoader.processedData;
         
-        return score;
+        if (!this.dataLoader.searchIndex || this.dataLoader.searchIndex.members !== data) {
+            this.dataLoader.searchIndex = new SearchIndex(data, { normalizer: this.dataLoader.textNormalizer });
+        }
+        
+        return this.dataLoader.searchIndex;
+    }
+
+    /**
+     * Check whether semantic mode is selected and its vectors are built
+     */
+    isSemanticReady() {
+        const index = this.dataLoader.semanticIndex;
+        return this.searchMode === 'semantic' && !!index && index.members === this.dataLoader.processedData;
+    }
+
+    /**
+     * Apply concept-level search with the semantic index, returning members by similarity.
+     * Only the query's plain words are ranked by meaning; tag:, has:, -term, OR groups and the
+     * like filter the results as they do in keyword mode.
+     */
+    applySemanticSearch(data, searchTerm) {
+        if (!searchTerm.trim()) return data;
+        
+        const { text, filters } = this.splitSemanticQuery(this.parseSearch(searchTerm));
+        let candidates = new Set(data);
+        
+        // Concept matches have no positions; highlight the query's own words where they occur
+        const highlightTerms = this.dataLoader.textNormalizer.tokenizeQuery(text)
+            .map(token => ({ token, fuzzy: [], fields: null, tag: null }));
+        
+        if (filters) {
+            const keywordIndex = this.getIndex();
+            const matched = [...this.evaluateQuery(filters, keywordIndex).keys()].map(docId => keywordIndex.members[docId]);
+            candidates = new Set(matched.filter(member => candidates.has(member)));
+            highlightTerms.push(...this.collectHighlightTerms(filters, keywordIndex));
+        }
+        this.setHighlightTerms(highlightTerms);
+        
+        if (!text) return data.filter(member => candidates.has(member));
+        
+        const index = this.dataLoader.semanticIndex;
+        return index.query(text, this.semanticLimit)
+            .filter(({ docId }) => candidates.has(index.members[docId]))
+            .map(({ docId, score }) => ({ ...index.members[docId], relevanceScore: score * 100 }));
     }
 
     /**
-     * Advanced semantic search using embeddings (for future implementation)
+     * Split a parsed query for semantic mode: text is its plain words and phrases, filters an
+     * 'and' node of everything else (null when there is nothing else)
+     */
+    splitSemanticQuery(query) {
+        const parts = !query ? [] : query.type === 'and' ? query.children : [query];
+        const isText = node => node.type === 'term' && !node.field;
+        const filters = parts.filter(node => !isText(node));
+        
+        return {
+            text: parts.filter(isText).map(node => node.value).join(' '),
+            filters: filters.length > 0 ? { type: 'and', children: filters } : null
+        };
+    }
+
+    /**
+     * Semantic search using locally computed LSA vectors over member summaries
      */
     async semanticSearch(query, topK = 50) {
-        // This would require embedding the query and calculating cosine similarity
-        // For now, return empty array as placeholder
-        console.log('Semantic search not yet implemented');
-        return [];
+        if (!query || !this.dataLoader.processedData) return [];
+        if (this.worker) return this.callWorker('semanticSearch', [query, topK]);
+        
+        const index = await this.dataLoader.getSemanticIndex();
+        
+        return index.query(query, topK)
+            .map(({ docId, score }) => ({ ...index.members[docId], relevanceScore: score * 100 }));
     }
 
     /**
-     * Find similar members based on another member's profile
+     * Find members like another member: shared tags, similar summaries and the same place.
+     * Each result carries similarityScore (0–1) and similarityReasons ("both into ZK + Rust").
      */
     findSimilarMembers(targetMember, count = 10) {
         if (!targetMember || !this.dataLoader.processedData) return [];
         
-        const similarities = this.dataLoader.processedData
-            .filter(member => member.username !== targetMember.username)
-            .map(member => ({
-                ...member,
-                similarityScore: this.calculateProfileSimilarity(targetMember, member)
-            }))
-            .sort((a, b) => b.similarityScore - a.similarityScore)
-            .slice(0, count);
+        const index = this.getIndex();
+        const targetId = index.members.findIndex(member => member.username === targetMember.username);
+        const target = targetId === -1 ? targetMember : index.members[targetId];
+        
+        // Distinctive words of the target's summaries, matched against everyone else's text
+        const terms = targetId === -1
+            ? []
+            : index.keyTerms(targetId, ['professional_summary', 'personal_summary', 'philosophical_summary']);
+        const textScores = index.moreLikeThis(targetId, terms);
         
-        return similarities;
+        return index.members
+            .map((member, docId) => ({
+                member,
+                docId,
+                score: docId === targetId ? 0 : this.calculateProfileSimilarity(target, member, textScores.get(docId) || 0)
+            }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, count)
+            .map(({ member, docId, score }) => ({
+                ...member,
+                similarityScore: score,
+                similarityReasons: this.describeSimilarity(target, member, index.sharedTerms(terms, docId))
+            }));
     }
 
     /**
-     * Calculate profile similarity between two members
+     * Similarity from 0 to 1: tag overlap (40%), summary text similarity (45%) and place (15%)
      */
-    calculateProfileSimilarity(member1, member2) {
+    calculateProfileSimilarity(member1, member2, textScore = 0) {
         let score = 0;
         
-        // Location similarity
-        if (member1.location_normalized === member2.location_normalized) {
-            score += 0.3;
+        // Tag overlap
+        if (member1.tags?.length && member2.tags?.length) {
+            const commonTags = member1.tags.filter(tag => member2.tags.includes(tag));
+            score += (commonTags.length / Math.max(member1.tags.length, member2.tags.length)) * 0.4;
+        }
+        
+        // Summaries ("more like this" score from the search index)
+        score += textScore * 0.45;
+        
+        // Same city or state counts more than the same country
+        const place = this.getSharedPlace(member1, member2);
+        if (place) {
+            score += place.depth >= 3 ? 0.15 : 0.08;
         }
         
+        return score;
+    }
 
+    /**
+     * The most specific place two members share, at country level or below: { label, depth }
+     */
+    getSharedPlace(member1, member2) {
+        const keys = new Set(member1.location_keys || []);
+        const shared = (member2.location_keys || [])
+            .filter(key => keys.has(key))
+            .map(key => key.split('/'))
+            .filter(path => path.length >= 2)
+            .sort((a, b) => b.length - a.length)[0];
         
-        // Tag overlap
-        if (member1.tags && member2.tags) {
-            const commonTags = member1.tags.filter(tag => 
-                member2.tags.some(tag2 => tag2.toLowerCase() === tag.toLowerCase())
-            );
-            score += (commonTags.length / Math.max(member1.tags.length, member2.tags.length)) * 0.4;
+        return shared ? { label: shared[shared.length - 1], depth: shared.length } : null;
+    }
+
+    /**
+     * Short reasons two members are alike: shared tags, place and distinctive words
+     */
+    describeSimilarity(target, member, sharedTerms) {
+        const reasons = [];
+        
+        const commonTags = (member.tags || []).filter(tag => (target.tags || []).includes(tag));
+        if (commonTags.length > 0) {
+            reasons.push(`both into ${commonTags.slice(0, 2).join(' + ')}`);
         }
         
-        // Professional keywords overlap
-        if (member1.professional_keywords && member2.professional_keywords) {
-            const commonKeywords = member1.professional_keywords.filter(keyword => 
-                member2.professional_keywords.includes(keyword)
-            );
-            score += (commonKeywords.length / Math.max(member1.professional_keywords.length, member2.professional_keywords.length)) * 0.1;
+        const place = this.getSharedPlace(target, member);
+        if (place) {
+            reasons.push(`both in ${place.label}`);
         }
         
-        return score;
+        // Shared words as the target wrote them ("zero-knowledge", not "zero" and "knowledge");
+        // words already covered by a shared tag would just repeat it
+        const normalizer = this.dataLoader.textNormalizer;
+        const tagWords = new Set(commonTags.flatMap(tag => normalizer.tokenize(tag)));
+        const written = new Map();
+        [target.professional_summary, target.personal_summary, target.philosophical_summary].forEach(text => {
+            normalizer.spans(text).forEach(({ start, end, token }) => {
+                if (!written.has(token)) written.set(token, text.slice(start, end));
+            });
+        });
+        const surfaces = sharedTerms.filter(term => !tagWords.has(term)).map(term => written.get(term) || term);
+        const words = [...new Set(surfaces)]
+            .filter(word => !surfaces.some(other => other !== word && other.toLowerCase().includes(word.toLowerCase())))
+            .slice(0, 2);
+        if (words.length > 0) {
+            reasons.push(`both mention ${words.join(' and ')}`);
+        }
+        
+        return reasons;
+    }
+
+    /**
+     * Split members into groups of about size people (2 for 1:1 intros) that share the most
+     * (mode 'similar') or the least ('mix'), scored like calculateProfileSimilarity.
+     * pinned and excluded are [[username, username]] pairs to keep together or apart.
+     * Returns { size, mode, groups: [{ members, score, reasons }], conflicts: [{ type, members }] }
+     * with usernames for members, so the plan can come back from the worker as is.
+     */
+    planGroups(usernames, options = {}) {
+        const size = Math.max(2, Math.floor(options.size) || 2);
+        const mode = options.mode === 'mix' ? 'mix' : 'similar';
+        
+        const index = this.getIndex();
+        const docIds = new Map(index.members.map((member, docId) => [member.username, docId]));
+        const ids = [...new Set(usernames)].filter(username => docIds.has(username)).map(username => docIds.get(username));
+        const members = ids.map(docId => index.members[docId]);
+        const positions = new Map(members.map((member, i) => [member.username, i]));
+        const toPairs = pairs => (pairs || [])
+            .map(pair => pair.map(username => positions.get(username)))
+            .filter(([i, j]) => i !== undefined && j !== undefined && i !== j);
+        
+        // Distinctive summary words per member, compared as weighted vectors
+        const fields = ['professional_summary', 'personal_summary', 'philosophical_summary'];
+        const terms = ids.map(docId => index.keyTerms(docId, fields));
+        const vectors = terms.map(list => new Map(list.map(({ term, weight }) => [term, weight])));
+        const norms = vectors.map(vector => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0)));
+        const textSimilarity = (i, j) => {
+            if (!norms[i] || !norms[j]) return 0;
+            let dot = 0;
+            vectors[i].forEach((weight, term) => {
+                dot += weight * (vectors[j].get(term) || 0);
+            });
+            return dot / (norms[i] * norms[j]);
+        };
+        
+        const plan = new GroupPlanner().plan(members.length,
+            (i, j) => this.calculateProfileSimilarity(members[i], members[j], textSimilarity(i, j)),
+            { size, mode, pinned: toPairs(options.pinned), excluded: toPairs(options.excluded) });
+        
+        const usernamesOf = list => list.map(i => members[i].username);
+        return {
+            size,
+            mode,
+            groups: plan.groups.map(group => ({
+                members: usernamesOf(group.members),
+                score: group.score,
+                reasons: group.members.length === 2 && mode === 'similar'
+                    ? this.describeSimilarity(members[group.members[0]], members[group.members[1]],
+                        index.sharedTerms(terms[group.members[0]], ids[group.members[1]]))
+                    : this.describeGroup(group.members.map(i => members[i]), mode)
+            })),
+            conflicts: plan.conflicts.map(conflict => ({ type: conflict.type, members: usernamesOf(conflict.members) }))
+        };
+    }
+
+    /**
+     * Short reasons for a group: tags and places several members share, and when mixing,
+     * how many countries and roles are at the table
+     */
+    describeGroup(members, mode = 'similar') {
+        const reasons = [];
+        const countShared = (keysOf) => {
+            const counts = new Map();
+            members.forEach(member => new Set(keysOf(member)).forEach(key => counts.set(key, (counts.get(key) || 0) + 1)));
+            return [...counts.entries()].filter(([, count]) => count >= 2);
+        };
+        
+        countShared(member => member.tags || [])
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 2)
+            .forEach(([tag, count]) => reasons.push(`${count} into ${tag}`));
+        
+        // Most specific place at country level or below that several members share
+        const place = countShared(member => member.location_keys || [])
+            .map(([key, count]) => ({ path: key.split('/'), count }))
+            .filter(({ path }) => path.length >= 2)
+            .sort((a, b) => b.path.length - a.path.length || b.count - a.count)[0];
+        if (place) {
+            reasons.push(`${place.count} in ${place.path[place.path.length - 1]}`);
+        }
+        
+        if (mode === 'mix') {
+            const countries = new Set(members.filter(member => member.geo).map(member => member.location_keys[1]));
+            const roles = new Set(members.flatMap(member => member.roles || []));
+            if (countries.size > 1) reasons.push(`${countries.size} countries`);
+            if (roles.size > 1) reasons.push(`${roles.size} roles`);
+        }
+        
+        return reasons;
     }
 
     /**
@@ -255,13 +1055,29 @@ class SearchEngine {
                 return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
             
             case 'recent':
-                return sorted.sort((a, b) => (b.post_date || 0) - (a.post_date || 0));
+                return sorted.sort((a, b) => this.compareJoinDates(a, b));
+            
+            case 'relevance':
+                // Best match first; without a query nothing has a score and this is most recent first
+                return sorted.sort((a, b) =>
+                    (b.relevanceScore || 0) - (a.relevanceScore || 0) || this.compareJoinDates(a, b)
+                );
             
             default:
                 return sorted.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
         }
     }
 
+    /**
+     * Newest join date first, members without one last
+     */
+    compareJoinDates(a, b) {
+        if (a.joined_at == null || b.joined_at == null) {
+            return (a.joined_at == null) - (b.joined_at == null);
+        }
+        return b.joined_at - a.joined_at;
+    }
+
     /**
      * Get trending tags based on usage frequency
      */
@@ -288,14 +1104,26 @@ class SearchEngine {
      * Clear all filters
      */
     clearFilters() {
+        this.resetFilters();
+        return this.search();
+    }
+
+    /**
+     * Reset active filters without searching
+     */
+    resetFilters() {
         this.activeFilters = {
             search: '',
             location: '',
-            profession: '',
-            tags: []
+            roles: [],
+            cohort: '',
+            tags: [],
+            tagMode: 'any',
+            area: null,
+            joined: null,
+            favoritesOnly: false,
+            labels: []
         };
-        
-        return this.search();
     }
 
     /**
@@ -309,47 +1137,118 @@ class SearchEngine {
                 active[key] = value;
             } else if (typeof value === 'string' && value.trim()) {
                 active[key] = value;
+            } else if (value === true) {
+                active[key] = value;
+            } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                active[key] = value;
             }
         });
         
+        // The tag mode only matters once tags are selected
+        if (!active.tags) delete active.tagMode;
+        
+        // Plain-language description of the parsed query (mirrored from the worker when used)
+        if (active.search && this.worker) {
+            if (this.searchDescription) active.searchDescription = this.searchDescription;
+        } else if (active.search && this.isSemanticReady()) {
+            const { text, filters } = this.splitSemanticQuery(this.parsedQuery);
+            active.searchDescription = [
+                text ? `related to "${text}"` : '',
+                filters ? this.queryParser.describe(filters) : ''
+            ].filter(Boolean).join(' and ');
+        } else if (active.search && this.parsedQuery) {
+            active.searchDescription = this.queryParser.describe(this.parsedQuery);
+        }
+        
         return active;
     }
 
     /**
-     * Get search suggestions based on partial input
+     * Suggestions for what is being typed, grouped as members, tags, locations and roles:
+     * [{ type, value, label, detail }]. Names and labels match at the start of any word,
+     * ignoring case and accents ("sao" finds "São Paulo").
      */
-    getSearchSuggestions(partial) {
-        if (!partial || partial.length < 2) return [];
+    getSearchSuggestions(partial, limit = 4) {
+        // Structured queries (tag:x, "phrases", -terms) are left to the query parser
+        if (!partial || /[:"()]|^-/.test(partial.trim())) return [];
+        
+        const normalizer = this.dataLoader.textNormalizer;
+        const query = normalizer.normalize(partial);
+        if (query.length < 2) return [];
         
-        const suggestions = [];
-        const partialLower = partial.toLowerCase();
+        const source = this.getSuggestionSource();
+        if (!source) return [];
         
-        // Suggest locations
+        // Whole-key prefix matches first, then word-prefix matches, then by member count
+        const pick = (entries) => entries
+            .map(entry => ({ entry, rank: entry.key.startsWith(query) ? 0 : entry.key.includes(` ${query}`) ? 1 : -1 }))
+            .filter(({ rank }) => rank >= 0)
+            .sort((a, b) => a.rank - b.rank || b.entry.count - a.entry.count || a.entry.label.localeCompare(b.entry.label))
+            .slice(0, limit)
+            .map(({ entry }) => entry.suggestion);
+        
+        return [
+            ...pick(source.members),
+            ...pick(source.tags),
+            ...pick(source.locations),
+            ...pick(source.roles)
+        ];
+    }
+
+    /**
+     * Normalized suggestion keys, built once per dataset rather than on every keystroke
+     */
+    getSuggestionSource() {
+        const data = this.dataLoader.processedData;
+        if (!data) return null;
+        if (this.suggestionSource?.data === data) return this.suggestionSource;
+        
+        const normalizer = this.dataLoader.textNormalizer;
         const filterOptions = this.dataLoader.getFilterOptions();
-        if (filterOptions) {
-            filterOptions.locations.forEach(location => {
-                if (location.includes(partialLower)) {
-                    suggestions.push({
-                        type: 'location',
-                        text: location,
-                        display: `📍 ${location}`
-                    });
-                }
-            });
-            
-            // Suggest tags
-            filterOptions.tags.forEach(tag => {
-                if (tag.toLowerCase().includes(partialLower)) {
-                    suggestions.push({
-                        type: 'tag',
-                        text: tag,
-                        display: `🏷️ ${tag}`
-                    });
-                }
-            });
-        }
+        const plural = count => `${count.toLocaleString()} member${count === 1 ? '' : 's'}`;
+        
+        const counts = { tags: new Map(), locations: new Map(), roles: new Map() };
+        const add = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+        data.forEach(member => {
+            (member.tags || []).forEach(tag => add(counts.tags, tag));
+            (member.location_keys || []).forEach(key => add(counts.locations, key));
+            (member.roles || []).forEach(role => add(counts.roles, role));
+        });
+        
+        const entry = (type, value, label, count, detail, key = label) => ({
+            key: normalizer.normalize(key),
+            label,
+            count,
+            suggestion: { type, value, label, detail }
+        });
+        
+        this.suggestionSource = {
+            data,
+            members: data.map(member => entry(
+                'member',
+                member.username,
+                member.name || member.username,
+                0,
+                member.location_normalized || (member.roles || []).map(role => this.dataLoader.roleClassifier.getRoleLabel(role)).join(', '),
+                `${member.name || ''} ${member.username || ''}`
+            )),
+            tags: filterOptions.tags.map(tag => {
+                const count = counts.tags.get(tag) || 0;
+                return entry('tag', tag, tag, count, plural(count));
+            }),
+            // "Europe/Portugal/Lisbon" is shown as "Lisbon" with "Europe › Portugal" for context
+            locations: filterOptions.locations.map(location => {
+                const count = counts.locations.get(location.value) || 0;
+                const path = location.value.split('/').slice(0, -1).join(' › ');
+                return entry('location', location.value, location.label, count, path ? `${path} · ${plural(count)}` : plural(count));
+            }),
+            roles: filterOptions.roles.map(role => {
+                const count = counts.roles.get(role.value) || 0;
+                return entry('role', role.value, role.label, count, plural(count));
+            })
+        };
         
-        return suggestions.slice(0, 8); // Limit suggestions
+        return this.suggestionSource;
     }
 }
 
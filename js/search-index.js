@@ -0,0 +1,323 @@
+/**
+ * Search Index Module
+ * Inverted index over member fields with field-weighted BM25 (BM25F) ranking
+ */
+
+class SearchIndex {
+    constructor(members = [], options = {}) {
+        // Field weights: name, tags and professional summary rank above personal summary
+        this.fields = options.fields || {
+            name: { weight: 3.0, b: 0.5, extract: m => [m.name, m.username] },
+            tags: { weight: 2.5, b: 0.3, extract: m => m.tags || [] },
+            professional_summary: { weight: 2.0, b: 0.75, extract: m => [m.professional_summary] },
+            location: { weight: 1.5, b: 0.3, extract: m => [m.location, m.location_normalized, m.geo?.continent] },
+            personal_summary: { weight: 1.0, b: 0.75, extract: m => [m.personal_summary] },
+            philosophical_summary: { weight: 0.8, b: 0.75, extract: m => [m.philosophical_summary] }
+        };
+        this.k1 = options.k1 || 1.2;
+
+        // Shared with query tokenization so both sides fold and split text the same way
+        this.normalizer = options.normalizer || new TextNormalizer();
+
+        // Relative weight of expanded matches vs. exact token matches
+        this.prefixWeight = 0.8;
+        this.fuzzyWeight = 0.5;
+        this.fuzzyThreshold = 0.7;
+
+        this.build(members);
+    }
+
+    /**
+     * Split document text into folded word tokens
+     */
+    tokenize(text) {
+        return this.normalizer.tokenize(text);
+    }
+
+    /**
+     * Split query text into folded word tokens
+     */
+    tokenizeQuery(text) {
+        return this.normalizer.tokenizeQuery(text);
+    }
+
+    /**
+     * Build postings (term → doc → field-weighted tf)
+     */
+    build(members) {
+        this.members = members;
+        this.docCount = members.length;
+        this.postings = new Map();
+        this.expansionCache = new Map();
+
+        // First pass: per-field token counts and average field lengths
+        const fieldNames = Object.keys(this.fields);
+        const lengthTotals = Object.fromEntries(fieldNames.map(field => [field, 0]));
+        const docFields = members.map(member => {
+            const perField = {};
+            fieldNames.forEach(field => {
+                const tokens = this.fields[field].extract(member).flatMap(value => this.tokenize(value));
+                perField[field] = tokens;
+                lengthTotals[field] += tokens.length;
+            });
+            return perField;
+        });
+
+        const avgLength = {};
+        fieldNames.forEach(field => {
+            avgLength[field] = this.docCount ? lengthTotals[field] / this.docCount || 1 : 1;
+        });
+        this.avgLength = avgLength;
+
+        // Second pass: length-normalized, field-weighted term frequencies
+        docFields.forEach((perField, docId) => {
+            const weightedTf = new Map();
+
+            fieldNames.forEach(field => {
+                const tokens = perField[field];
+                if (tokens.length === 0) return;
+
+                const { weight, b } = this.fields[field];
+                const norm = 1 - b + b * (tokens.length / avgLength[field]);
+
+                const counts = new Map();
+                tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+                counts.forEach((count, token) => {
+                    weightedTf.set(token, (weightedTf.get(token) || 0) + weight * count / norm);
+                });
+            });
+
+            weightedTf.forEach((tf, token) => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                this.postings.get(token).set(docId, tf);
+            });
+        });
+
+        this.vocabulary = [...this.postings.keys()].sort();
+    }
+
+    /**
+     * Inverse document frequency (BM25 variant, always positive)
+     */
+    idf(term) {
+        const df = this.postings.get(term)?.size || 0;
+        return Math.log(1 + (this.docCount - df + 0.5) / (df + 0.5));
+    }
+
+    /**
+     * Expand a query term into index terms: exact, prefix and fuzzy matches with weights
+     */
+    expandTerm(term) {
+        if (this.expansionCache.has(term)) {
+            return this.expansionCache.get(term);
+        }
+
+        const expansions = new Map();
+
+        if (this.postings.has(term)) {
+            expansions.set(term, 1);
+        }
+
+        // Prefix matches via binary search on the sorted vocabulary
+        let low = 0;
+        let high = this.vocabulary.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.vocabulary[mid] < term) low = mid + 1;
+            else high = mid;
+        }
+        for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(term); i++) {
+            if (!expansions.has(this.vocabulary[i])) {
+                expansions.set(this.vocabulary[i], this.prefixWeight);
+            }
+        }
+
+        // Fuzzy matches for typos, compared against the vocabulary rather than every document
+        if (expansions.size === 0 && term.length >= 4) {
+            const maxEdits = Math.floor(term.length * (1 - this.fuzzyThreshold)) + 1;
+            this.vocabulary.forEach(word => {
+                if (word.length < 3 || Math.abs(word.length - term.length) > maxEdits) return;
+                const similarity = this.stringSimilarity(word, term);
+                if (similarity > this.fuzzyThreshold) {
+                    expansions.set(word, this.fuzzyWeight * similarity);
+                }
+            });
+        }
+
+        this.expansionCache.set(term, expansions);
+        return expansions;
+    }
+
+    /**
+     * Score all documents matching every query term.
+     * Returns [{ member, score }] in descending score order.
+     */
+    search(query) {
+        const terms = Array.isArray(query) ? query : this.tokenizeQuery(query);
+        if (terms.length === 0) return [];
+
+        return [...this.scoreTerms(terms).entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([docId, score]) => ({ member: this.members[docId], score }));
+    }
+
+    /**
+     * Score documents matching every term, as a Map of docId → score
+     */
+    scoreTerms(terms) {
+        let scores = null;
+
+        for (const term of terms) {
+            const termScores = new Map();
+
+            this.expandTerm(term).forEach((matchWeight, indexTerm) => {
+                const idf = this.idf(indexTerm);
+                this.postings.get(indexTerm).forEach((tf, docId) => {
+                    const score = matchWeight * idf * (tf * (this.k1 + 1)) / (tf + this.k1);
+                    termScores.set(docId, Math.max(termScores.get(docId) || 0, score));
+                });
+            });
+
+            // Every term must match somewhere
+            if (scores === null) {
+                scores = termScores;
+            } else {
+                const intersected = new Map();
+                scores.forEach((score, docId) => {
+                    if (termScores.has(docId)) {
+                        intersected.set(docId, score + termScores.get(docId));
+                    }
+                });
+                scores = intersected;
+            }
+
+            if (scores.size === 0) break;
+        }
+
+        return scores || new Map();
+    }
+
+    /**
+     * How one query term scored for a document: the best-scoring expansion (as in scoreTerms)
+     * with its share per field, or null if the term doesn't match the document.
+     * Returns { term, indexTerm, kind: 'exact' | 'prefix' | 'fuzzy', score, fields: [{ field, score }] }.
+     */
+    explain(term, docId) {
+        let best = null;
+        this.expandTerm(term).forEach((matchWeight, indexTerm) => {
+            const tf = this.postings.get(indexTerm).get(docId);
+            if (tf === undefined) return;
+
+            const score = matchWeight * this.idf(indexTerm) * (tf * (this.k1 + 1)) / (tf + this.k1);
+            if (!best || score > best.score) best = { indexTerm, score, tf };
+        });
+        if (!best) return null;
+
+        // Recompute the field-weighted term frequencies for this one document
+        const member = this.members[docId];
+        const fields = [];
+        Object.entries(this.fields).forEach(([field, { weight, b, extract }]) => {
+            const tokens = extract(member).flatMap(value => this.tokenize(value));
+            const count = tokens.filter(token => token === best.indexTerm).length;
+            if (count === 0) return;
+
+            const norm = 1 - b + b * (tokens.length / this.avgLength[field]);
+            fields.push({ field, score: best.score * (weight * count / norm) / best.tf });
+        });
+
+        const kind = best.indexTerm === term ? 'exact' : best.indexTerm.startsWith(term) ? 'prefix' : 'fuzzy';
+        return { term, indexTerm: best.indexTerm, kind, score: best.score, fields };
+    }
+
+    /**
+     * Most distinctive words of a document's text, by tf-idf: [{ term, weight }].
+     * Short words, numbers and words used by more than a tenth of all documents are skipped.
+     */
+    keyTerms(docId, fields = Object.keys(this.fields), limit = 25) {
+        const member = this.members[docId];
+        const counts = new Map();
+        fields.forEach(field => {
+            this.fields[field].extract(member).flatMap(value => this.tokenize(value)).forEach(token => {
+                if (token.length < 3 || /^\d+$/.test(token)) return;
+                counts.set(token, (counts.get(token) || 0) + 1);
+            });
+        });
+
+        const maxDf = Math.max(2, this.docCount * 0.1);
+        return [...counts.entries()]
+            .filter(([term]) => (this.postings.get(term)?.size || 0) <= maxDf)
+            .map(([term, count]) => ({ term, weight: Math.log(1 + count) * this.idf(term) }))
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, limit);
+    }
+
+    /**
+     * "More like this": documents sharing a document's distinctive words (from keyTerms), as a
+     * Map of docId → similarity where the document itself would score 1. Uses the BM25 term scores.
+     */
+    moreLikeThis(docId, terms) {
+        const scores = new Map();
+
+        terms.forEach(({ term, weight }) => {
+            const idf = this.idf(term);
+            this.postings.get(term).forEach((tf, otherId) => {
+                const score = weight * idf * (tf * (this.k1 + 1)) / (tf + this.k1);
+                scores.set(otherId, (scores.get(otherId) || 0) + score);
+            });
+        });
+
+        const self = scores.get(docId) || 0;
+        scores.delete(docId);
+        if (self > 0) {
+            scores.forEach((score, otherId) => scores.set(otherId, Math.min(1, score / self)));
+        }
+        return scores;
+    }
+
+    /**
+     * Which of the distinctive words (from keyTerms) another document also uses, most distinctive first
+     */
+    sharedTerms(terms, otherId) {
+        return terms
+            .filter(({ term }) => this.postings.get(term).has(otherId))
+            .map(({ term }) => term);
+    }
+
+    /**
+     * Calculate string similarity (1 - normalized edit distance)
+     */
+    stringSimilarity(a, b) {
+        if (a === b) return 1;
+        if (a.length === 0 || b.length === 0) return 0;
+
+        const longer = a.length > b.length ? a : b;
+        const shorter = a.length > b.length ? b : a;
+
+        return (longer.length - this.levenshteinDistance(longer, shorter)) / longer.length;
+    }
+
+    /**
+     * Levenshtein distance using two rolling rows
+     */
+    levenshteinDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = a[i - 1] === b[j - 1]
+                    ? previous[j - 1]
+                    : Math.min(previous[j - 1], previous[j], current[j - 1]) + 1;
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+// Export for use in other modules
+window.SearchIndex = SearchIndex;
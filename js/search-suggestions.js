@@ -0,0 +1,181 @@
+/**
+ * Search Suggestions Module
+ * Autocomplete popover under the search input: members, tags, locations and roles that
+ * match what is being typed. Arrow keys move through the list, Enter or a click picks one.
+ */
+
+class SearchSuggestions {
+    constructor(input, options = {}) {
+        this.input = input;
+        this.getSuggestions = options.getSuggestions || (() => []);  // (text) → [{ type, value, label, detail }]
+        this.onSelect = options.onSelect || (() => {});              // (suggestion)
+        this.escapeHtml = options.escapeHtml;                        // UIComponents.escapeHtml
+        this.suggestions = [];
+        this.activeIndex = -1;
+
+        this.groups = {
+            member: { title: 'Members', icon: 'fa-user' },
+            tag: { title: 'Tags', icon: 'fa-tag' },
+            location: { title: 'Locations', icon: 'fa-map-marker-alt' },
+            role: { title: 'Roles', icon: 'fa-briefcase' }
+        };
+
+        this.build();
+    }
+
+    build() {
+        this.popover = document.createElement('div');
+        this.popover.id = `${this.input.id}-suggestions`;
+        this.popover.className = 'hidden absolute left-0 right-0 mt-2 bg-white text-gray-900 rounded-xl shadow-lg border max-h-96 overflow-y-auto z-40 text-left';
+        this.popover.setAttribute('role', 'listbox');
+        this.input.insertAdjacentElement('afterend', this.popover);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.popover.id);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this.onInput = () => this.update();
+        this.onKeyDown = (e) => this.handleKey(e);
+        this.onBlur = () => this.close();
+
+        // mousedown rather than click, so the input keeps focus and doesn't close the list first
+        this.onMouseDown = (e) => {
+            const option = e.target.closest('[data-suggestion]');
+            if (!option) return;
+            e.preventDefault();
+            this.select(Number(option.dataset.suggestion));
+        };
+
+        this.input.addEventListener('input', this.onInput);
+        this.input.addEventListener('focus', this.onInput);
+        this.input.addEventListener('keydown', this.onKeyDown);
+        this.input.addEventListener('blur', this.onBlur);
+        this.popover.addEventListener('mousedown', this.onMouseDown);
+    }
+
+    /**
+     * Refresh the list for the current input text
+     */
+    update() {
+        this.suggestions = this.getSuggestions(this.input.value) || [];
+        this.activeIndex = -1;
+
+        if (this.suggestions.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.render();
+        this.popover.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    render() {
+        let html = '';
+        let currentType = null;
+
+        this.suggestions.forEach((suggestion, index) => {
+            const group = this.groups[suggestion.type] || { title: suggestion.type, icon: 'fa-search' };
+
+            if (suggestion.type !== currentType) {
+                currentType = suggestion.type;
+                html += `<div class="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-gray-500">${group.title}</div>`;
+            }
+
+            const active = index === this.activeIndex;
+            html += `
+                <div id="${this.popover.id}-${index}" data-suggestion="${index}" role="option" aria-selected="${active}"
+                     class="flex items-center gap-3 px-4 py-2 cursor-pointer ${active ? 'bg-gray-100' : 'hover:bg-gray-50'}">
+                    <i class="fas ${group.icon} w-4 text-center text-gray-400"></i>
+                    <span class="font-medium truncate">${this.escapeHtml(suggestion.label)}</span>
+                    ${suggestion.detail ? `<span class="ml-auto pl-3 text-sm text-gray-500 truncate">${this.escapeHtml(suggestion.detail)}</span>` : ''}
+                </div>
+            `;
+        });
+
+        this.popover.innerHTML = html;
+
+        if (this.activeIndex >= 0) {
+            this.input.setAttribute('aria-activedescendant', `${this.popover.id}-${this.activeIndex}`);
+            document.getElementById(`${this.popover.id}-${this.activeIndex}`)?.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Arrow keys move the highlight (wrapping around), Enter picks it, Escape closes the list.
+     * Without a highlighted suggestion Enter is left to the search box.
+     */
+    handleKey(e) {
+        if (!this.isOpen()) {
+            if (e.key === 'ArrowDown' && this.input.value) this.update();
+            return;
+        }
+
+        const count = this.suggestions.length;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.activeIndex = (this.activeIndex + 1) % count;
+                this.render();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.activeIndex = this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1;
+                this.render();
+                break;
+            case 'Enter':
+                if (this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                } else {
+                    this.close();
+                }
+                break;
+            case 'Escape':
+                // Only close the list; a second Escape reaches the document (e.g. closes the profile)
+                e.stopPropagation();
+                this.close();
+                break;
+            case 'Tab':
+                this.close();
+                break;
+        }
+    }
+
+    select(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        this.close();
+        this.onSelect(suggestion);
+    }
+
+    isOpen() {
+        return !this.popover.classList.contains('hidden');
+    }
+
+    close() {
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.popover.classList.add('hidden');
+        this.popover.innerHTML = '';
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    destroy() {
+        this.input.removeEventListener('input', this.onInput);
+        this.input.removeEventListener('focus', this.onInput);
+        this.input.removeEventListener('keydown', this.onKeyDown);
+        this.input.removeEventListener('blur', this.onBlur);
+        this.popover.remove();
+    }
+}
+
+// Export for use in other modules
+window.SearchSuggestions = SearchSuggestions;
@@ -0,0 +1,419 @@
+/**
+ * Semantic Index Module
+ * Concept-level search with TF-IDF vectors reduced by latent semantic analysis (LSA),
+ * computed entirely in the browser
+ */
+
+class SemanticIndex {
+    constructor(options = {}) {
+        this.dimensions = options.dimensions || 48;
+        this.maxVocabulary = options.maxVocabulary || 3000;
+        this.minDocFrequency = options.minDocFrequency || 2;
+        this.maxDocFrequencyRatio = options.maxDocFrequencyRatio || 0.5;
+        this.normalizer = options.normalizer || new TextNormalizer();
+
+        this.members = [];
+        this.vocabulary = new Map();   // term → column
+        this.idf = null;               // Float32Array per column
+        this.termVectors = null;       // Float32Array, vocabulary × dimensions
+        this.docVectors = null;        // Float32Array, members × dimensions (unit length)
+        this.rank = 0;
+        this.signature = null;
+    }
+
+    /**
+     * Common English words that carry no topical meaning
+     */
+    static get STOPWORDS() {
+        return new Set(('a about above after again against all also am an and any are as at be because been before being ' +
+            'below between both but by can could did do does doing down during each even ever every few for from further ' +
+            'get gets got had has have having he her here hers herself him himself his how i if in into is it its itself ' +
+            'just like lot lots love make many me more most much my myself new no nor not now of off on once one only or ' +
+            'other our ours ourselves out over own really same she should so some such than that the their theirs them ' +
+            'themselves then there these they this those through to too under until up us very want was we were what ' +
+            'when where which while who whom why will with would you your yours yourself yourselves ' +
+            'currently based someone people person passionate interested interest work working worked years year').split(' '));
+    }
+
+    /**
+     * Text the vectors are computed from
+     */
+    documentText(member) {
+        return [
+            member.professional_summary,
+            member.personal_summary,
+            member.philosophical_summary,
+            ...(member.tags || [])
+        ].filter(text => text).join(' ');
+    }
+
+    /**
+     * Tokenize, drop stopwords and strip common English suffixes
+     */
+    analyze(text) {
+        if (!text) return [];
+
+        const stopwords = this.stopwords || (this.stopwords = SemanticIndex.STOPWORDS);
+
+        return this.normalizer.tokenizeQuery(text)
+            .filter(word => word.length > 1 && !stopwords.has(word) && !/^\d+$/.test(word))
+            .map(word => this.stem(word));
+    }
+
+    stem(word) {
+        if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+        if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Fingerprint of the dataset's text, used to decide whether a cached index is still valid
+     */
+    computeSignature(members) {
+        let hash = 0x811c9dc5;
+        const mix = (text) => {
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+        };
+
+        members.forEach(member => {
+            mix(member.username || '');
+            mix(this.documentText(member));
+        });
+
+        return `${members.length}:${hash.toString(16)}:${this.dimensions}:${TextNormalizer.VERSION}`;
+    }
+
+    /**
+     * Build TF-IDF vectors and reduce them with a randomized truncated SVD
+     */
+    build(members) {
+        this.members = members;
+        this.signature = this.computeSignature(members);
+
+        const docTokens = members.map(member => this.analyze(this.documentText(member)));
+
+        // Vocabulary: informative terms by document frequency
+        const docFrequency = new Map();
+        docTokens.forEach(tokens => {
+            new Set(tokens).forEach(token => docFrequency.set(token, (docFrequency.get(token) || 0) + 1));
+        });
+
+        const maxDf = Math.max(this.minDocFrequency, members.length * this.maxDocFrequencyRatio);
+        const terms = [...docFrequency.entries()]
+            .filter(([, df]) => df >= this.minDocFrequency && df <= maxDf)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, this.maxVocabulary);
+
+        this.vocabulary = new Map(terms.map(([term], column) => [term, column]));
+        this.idf = Float32Array.from(terms, ([, df]) => Math.log((members.length + 1) / (df + 1)) + 1);
+
+        const matrix = this.buildTfIdfMatrix(docTokens);
+        const { termVectors, rank } = this.truncatedSvd(matrix, this.vocabulary.size);
+
+        this.termVectors = termVectors;
+        this.rank = rank;
+        this.docVectors = this.projectRows(matrix, members.length);
+
+        return this;
+    }
+
+    /**
+     * Sparse CSR matrix of L2-normalized TF-IDF rows
+     */
+    buildTfIdfMatrix(docTokens) {
+        const rowPtr = new Int32Array(docTokens.length + 1);
+        const columns = [];
+        const values = [];
+
+        docTokens.forEach((tokens, row) => {
+            const counts = new Map();
+            tokens.forEach(token => {
+                const column = this.vocabulary.get(token);
+                if (column !== undefined) counts.set(column, (counts.get(column) || 0) + 1);
+            });
+
+            const weights = [...counts.entries()].map(([column, count]) => [column, (1 + Math.log(count)) * this.idf[column]]);
+            const norm = Math.sqrt(weights.reduce((sum, [, w]) => sum + w * w, 0)) || 1;
+
+            weights.forEach(([column, weight]) => {
+                columns.push(column);
+                values.push(weight / norm);
+            });
+            rowPtr[row + 1] = columns.length;
+        });
+
+        return { rowPtr, columns: Int32Array.from(columns), values: Float32Array.from(values) };
+    }
+
+    /**
+     * Randomized SVD (Halko et al.) returning the right singular vectors scaled for projection
+     */
+    truncatedSvd(matrix, columnCount) {
+        const rows = matrix.rowPtr.length - 1;
+        const k = Math.min(this.dimensions, columnCount, rows);
+        if (k === 0) return { termVectors: new Float32Array(0), rank: 0 };
+
+        const l = Math.min(k + 10, columnCount, rows);
+
+        // Deterministic pseudo-random test matrix so rebuilding gives the same vectors
+        let seed = 42;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647 - 0.5;
+        };
+        const omega = new Float64Array(columnCount * l).map(random);
+
+        let y = this.multiply(matrix, omega, l);
+        this.orthonormalize(y, rows, l);
+
+        // One power iteration sharpens the spectrum for text data
+        const z = this.multiplyTransposed(matrix, y, columnCount, l);
+        this.orthonormalize(z, columnCount, l);
+        y = this.multiply(matrix, z, l);
+        this.orthonormalize(y, rows, l);
+
+        // B = Qᵀ A, kept transposed (columnCount × l)
+        const bt = this.multiplyTransposed(matrix, y, columnCount, l);
+
+        // Eigen-decompose the small Gram matrix B Bᵀ
+        const gram = new Float64Array(l * l);
+        for (let c = 0; c < columnCount; c++) {
+            for (let i = 0; i < l; i++) {
+                const bi = bt[c * l + i];
+                if (bi === 0) continue;
+                for (let j = i; j < l; j++) {
+                    gram[i * l + j] += bi * bt[c * l + j];
+                }
+            }
+        }
+        for (let i = 0; i < l; i++) {
+            for (let j = 0; j < i; j++) gram[i * l + j] = gram[j * l + i];
+        }
+
+        const { values, vectors } = this.symmetricEigen(gram, l);
+        const order = [...values.keys()].sort((a, b) => values[b] - values[a]).filter(i => values[i] > 1e-10);
+        const rank = Math.min(k, order.length);
+
+        // V_k = Bᵀ W Σ⁻¹
+        const termVectors = new Float32Array(columnCount * rank);
+        for (let d = 0; d < rank; d++) {
+            const e = order[d];
+            const sigma = Math.sqrt(values[e]);
+            for (let c = 0; c < columnCount; c++) {
+                let sum = 0;
+                for (let i = 0; i < l; i++) sum += bt[c * l + i] * vectors[i * l + e];
+                termVectors[c * rank + d] = sum / sigma;
+            }
+        }
+
+        return { termVectors, rank };
+    }
+
+    /**
+     * Sparse A (rows × columns) times dense M (columns × width)
+     */
+    multiply(matrix, dense, width) {
+        const rows = matrix.rowPtr.length - 1;
+        const out = new Float64Array(rows * width);
+
+        for (let r = 0; r < rows; r++) {
+            for (let p = matrix.rowPtr[r]; p < matrix.rowPtr[r + 1]; p++) {
+                const c = matrix.columns[p];
+                const v = matrix.values[p];
+                for (let j = 0; j < width; j++) out[r * width + j] += v * dense[c * width + j];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Sparse Aᵀ times dense M (rows × width)
+     */
+    multiplyTransposed(matrix, dense, columnCount, width) {
+        const rows = matrix.rowPtr.length - 1;
+        const out = new Float64Array(columnCount * width);
+
+        for (let r = 0; r < rows; r++) {
+            for (let p = matrix.rowPtr[r]; p < matrix.rowPtr[r + 1]; p++) {
+                const c = matrix.columns[p];
+                const v = matrix.values[p];
+                for (let j = 0; j < width; j++) out[c * width + j] += v * dense[r * width + j];
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Modified Gram-Schmidt on the columns of a row-major matrix, in place
+     */
+    orthonormalize(m, rows, width) {
+        for (let j = 0; j < width; j++) {
+            for (let prev = 0; prev < j; prev++) {
+                let dot = 0;
+                for (let r = 0; r < rows; r++) dot += m[r * width + j] * m[r * width + prev];
+                for (let r = 0; r < rows; r++) m[r * width + j] -= dot * m[r * width + prev];
+            }
+
+            let norm = 0;
+            for (let r = 0; r < rows; r++) norm += m[r * width + j] ** 2;
+            norm = Math.sqrt(norm);
+
+            for (let r = 0; r < rows; r++) m[r * width + j] = norm > 1e-12 ? m[r * width + j] / norm : 0;
+        }
+    }
+
+    /**
+     * Cyclic Jacobi eigen-decomposition of a small symmetric matrix
+     */
+    symmetricEigen(input, n) {
+        const a = Float64Array.from(input);
+        const vectors = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) vectors[i * n + i] = 1;
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let i = 0; i < n; i++) {
+                for (let j = i + 1; j < n; j++) offDiagonal += a[i * n + j] ** 2;
+            }
+            if (offDiagonal < 1e-18) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    const apq = a[p * n + q];
+                    if (Math.abs(apq) < 1e-15) continue;
+
+                    const theta = (a[q * n + q] - a[p * n + p]) / (2 * apq);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k * n + p];
+                        const akq = a[k * n + q];
+                        a[k * n + p] = c * akp - s * akq;
+                        a[k * n + q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p * n + k];
+                        const aqk = a[q * n + k];
+                        a[p * n + k] = c * apk - s * aqk;
+                        a[q * n + k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = vectors[k * n + p];
+                        const vkq = vectors[k * n + q];
+                        vectors[k * n + p] = c * vkp - s * vkq;
+                        vectors[k * n + q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: Array.from({ length: n }, (_, i) => a[i * n + i]), vectors };
+    }
+
+    /**
+     * Project every TF-IDF row into concept space, normalized to unit length
+     */
+    projectRows(matrix, rows) {
+        const out = new Float32Array(rows * this.rank);
+
+        for (let r = 0; r < rows; r++) {
+            const start = matrix.rowPtr[r];
+            const end = matrix.rowPtr[r + 1];
+            this.projectSparse(matrix.columns.subarray(start, end), matrix.values.subarray(start, end), out, r * this.rank);
+        }
+        return out;
+    }
+
+    projectSparse(columns, values, out, offset) {
+        for (let p = 0; p < columns.length; p++) {
+            const base = columns[p] * this.rank;
+            for (let d = 0; d < this.rank; d++) out[offset + d] += values[p] * this.termVectors[base + d];
+        }
+
+        let norm = 0;
+        for (let d = 0; d < this.rank; d++) norm += out[offset + d] ** 2;
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let d = 0; d < this.rank; d++) out[offset + d] /= norm;
+        }
+        return norm > 0;
+    }
+
+    /**
+     * Project free text into concept space; returns null when no term is known
+     */
+    embed(text) {
+        const counts = new Map();
+        this.analyze(text).forEach(token => {
+            const column = this.vocabulary.get(token);
+            if (column !== undefined) counts.set(column, (counts.get(column) || 0) + 1);
+        });
+        if (counts.size === 0 || this.rank === 0) return null;
+
+        const columns = Int32Array.from(counts.keys());
+        const values = Float32Array.from(columns, column => (1 + Math.log(counts.get(column))) * this.idf[column]);
+        const vector = new Float32Array(this.rank);
+
+        return this.projectSparse(columns, values, vector, 0) ? vector : null;
+    }
+
+    /**
+     * Rank members by cosine similarity to a query. Returns [{ docId, score }].
+     */
+    query(text, topK = 50, minScore = 0.2) {
+        const vector = this.embed(text);
+        if (!vector) return [];
+
+        const results = [];
+        for (let docId = 0; docId < this.members.length; docId++) {
+            let score = 0;
+            const offset = docId * this.rank;
+            for (let d = 0; d < this.rank; d++) score += vector[d] * this.docVectors[offset + d];
+            if (score >= minScore) results.push({ docId, score });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    /**
+     * Plain object for the IndexedDB cache
+     */
+    serialize() {
+        return {
+            signature: this.signature,
+            dimensions: this.dimensions,
+            rank: this.rank,
+            vocabulary: [...this.vocabulary.keys()],
+            idf: this.idf,
+            termVectors: this.termVectors,
+            docVectors: this.docVectors
+        };
+    }
+
+    /**
+     * Restore a cached index for the same dataset; returns null when the cache doesn't match
+     */
+    static restore(record, members, options = {}) {
+        const index = new SemanticIndex(options);
+        if (!record || record.signature !== index.computeSignature(members)) return null;
+
+        index.members = members;
+        index.signature = record.signature;
+        index.rank = record.rank;
+        index.vocabulary = new Map(record.vocabulary.map((term, column) => [term, column]));
+        index.idf = record.idf;
+        index.termVectors = record.termVectors;
+        index.docVectors = record.docVectors;
+        return index;
+    }
+}
+
+// Export for use in other modules
+window.SemanticIndex = SemanticIndex;
@@ -0,0 +1,100 @@
+/**
+ * Tag Normalizer Module
+ * Merges tag variants into one canonical tag: case and punctuation variants ("web3", "WEB3", "Web-3")
+ * and known synonyms ("ML" → "Machine Learning").
+ */
+
+class TagNormalizer {
+    constructor(synonyms = TagNormalizer.SYNONYMS) {
+        // Comparison key → canonical spelling
+        this.synonyms = new Map();
+        Object.entries(synonyms).forEach(([canonical, variants]) => {
+            [canonical, ...variants].forEach(variant => this.synonyms.set(this.key(variant), canonical));
+        });
+
+        this.canonical = new Map();
+    }
+
+    /**
+     * Known synonyms, by canonical tag
+     */
+    static get SYNONYMS() {
+        return {
+            'AI': ['artificial intelligence', 'a.i.'],
+            'Machine Learning': ['ml', 'machine-learning'],
+            'Crypto': ['cryptocurrency', 'cryptocurrencies', 'crypto currency'],
+            'Web3': ['web 3', 'web 3.0', 'web3.0'],
+            'Blockchain': ['block chain', 'blockchains'],
+            'DeFi': ['decentralized finance', 'decentralised finance'],
+            'NFT': ['nfts'],
+            'DAO': ['daos'],
+            'Startups': ['startup', 'start-ups', 'start-up'],
+            'Open Source': ['opensource', 'oss'],
+            'JavaScript': ['js'],
+            'UX Design': ['ux', 'user experience'],
+            'Product Management': ['product manager']
+        };
+    }
+
+    /**
+     * Comparison key: case, width and separators don't matter ("Web-3" and "web 3" are the same)
+     */
+    key(tag) {
+        return String(tag).normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}+#]+/gu, '');
+    }
+
+    /**
+     * Learn the canonical spelling of every tag in the dataset.
+     * Synonyms use their canonical name; other tags use their most common spelling.
+     */
+    build(members) {
+        const spellings = new Map();
+
+        members.forEach(member => {
+            (Array.isArray(member.tags) ? member.tags : []).forEach(tag => {
+                const text = String(tag ?? '').trim().replace(/\s+/g, ' ');
+                const key = this.key(text);
+                if (!key || this.synonyms.has(key)) return;
+
+                if (!spellings.has(key)) spellings.set(key, new Map());
+                const counts = spellings.get(key);
+                counts.set(text, (counts.get(text) || 0) + 1);
+            });
+        });
+
+        this.canonical = new Map();
+        spellings.forEach((counts, key) => {
+            // Most used spelling; on a tie prefer one that isn't all lower case ("Web3" over "web3")
+            const [best] = [...counts.entries()].sort((a, b) =>
+                b[1] - a[1] ||
+                (a[0] === a[0].toLowerCase()) - (b[0] === b[0].toLowerCase()) ||
+                a[0].localeCompare(b[0])
+            )[0];
+            this.canonical.set(key, best);
+        });
+
+        return this;
+    }
+
+    /**
+     * Canonical form of a single tag ('' for blank tags)
+     */
+    normalize(tag) {
+        const text = String(tag ?? '').trim().replace(/\s+/g, ' ');
+        const key = this.key(text);
+        if (!key) return '';
+
+        return this.synonyms.get(key) || this.canonical.get(key) || text;
+    }
+
+    /**
+     * Canonical, de-duplicated tag list
+     */
+    normalizeTags(tags) {
+        if (!Array.isArray(tags)) return [];
+        return [...new Set(tags.map(tag => this.normalize(tag)).filter(Boolean))];
+    }
+}
+
+// Export for use in other modules
+window.TagNormalizer = TagNormalizer;
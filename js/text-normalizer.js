@@ -0,0 +1,169 @@
+/**
+ * Text Normalizer Module
+ * The one normalization and tokenization pipeline shared by indexing and querying:
+ * accents and width are folded ("José" → "jose"), dotted and hyphenated words are kept
+ * whole as well as split ("Node.js" → "node", "js", "nodejs") and Chinese, Japanese and
+ * Korean text, which has no spaces between words, is cut into overlapping character pairs.
+ */
+
+class TextNormalizer {
+    constructor() {
+        // A word: letters, numbers and their combining marks (Devanagari vowel signs are part of
+        // the word), joined by dots, hyphens, apostrophes or underscores, with an optional "++" or "#"
+        this.wordPattern = /[\p{L}\p{N}\p{M}]+(?:[.'\u2019_\u2010-\u2015-][\p{L}\p{N}\p{M}]+)*(?:[+#]+(?![\p{L}\p{N}]))?/gu;
+        this.connectorPattern = /[.'\u2019_\u2010-\u2015-]+/u;
+        this.partPattern = /[^.'\u2019_\u2010-\u2015-]+/gu;
+        this.cjkPattern = /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u30fc]+)/u;
+    }
+
+    /**
+     * Bump when tokens change, so vectors cached with the old tokens are rebuilt
+     */
+    static get VERSION() {
+        return 2;
+    }
+
+    /**
+     * Letters that don't decompose under NFKD but are commonly typed without their stroke
+     */
+    static get LETTERS() {
+        return { 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'ł': 'l', 'þ': 'th', 'ı': 'i' };
+    }
+
+    /**
+     * Lower case with accents, width variants and ligatures folded ("São Paulo" → "sao paulo").
+     * Only diacritics are dropped; marks that carry meaning (kana voicing, Indic vowels) are kept.
+     */
+    fold(text) {
+        if (!text) return '';
+
+        const letters = TextNormalizer.LETTERS;
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f\u0591-\u05c7\u064b-\u065f\u0670\u0640]/g, '')
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[ßæœøđðłþı]/g, letter => letters[letter]);
+    }
+
+    /**
+     * Folded text with punctuation collapsed to single spaces, for phrase matching
+     */
+    normalize(text) {
+        return this.fold(text)
+            .replace(/[^\p{L}\p{N}\p{M}+#]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Tokens for indexing: every part of a compound word plus the compound itself,
+     * so "node js", "node.js" and "nodejs" all find it
+     */
+    tokenize(text) {
+        return this.tokens(text, false);
+    }
+
+    /**
+     * Tokens for a query: compounds are looked up whole ("full-stack" → "fullstack"),
+     * since every query token has to match
+     */
+    tokenizeQuery(text) {
+        return this.tokens(text, true);
+    }
+
+    tokens(text, query) {
+        const folded = this.fold(text);
+        if (!folded) return [];
+
+        const tokens = [];
+        for (const [word] of folded.matchAll(this.wordPattern)) {
+            const parts = word.split(this.connectorPattern).filter(part => part);
+
+            if (parts.length === 1 || this.cjkPattern.test(word)) {
+                parts.forEach(part => this.segment(part, tokens));
+                continue;
+            }
+
+            // Dates and version numbers ("2020-2023", "3.5") are only useful as parts
+            const joined = /\p{L}/u.test(word) ? parts.join('') : null;
+            if (!query || !joined) parts.forEach(part => this.segment(part, tokens));
+            if (joined) tokens.push(joined);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Where each index token comes from in the original text: [{ start, end, token }].
+     * "Node.js" gives spans for "Node", "js" and the whole word (token "nodejs"); a CJK run
+     * gives one span per character pair. Used to highlight matches.
+     */
+    spans(text) {
+        if (!text) return [];
+
+        const source = String(text);
+        const spans = [];
+        for (const match of source.matchAll(this.wordPattern)) {
+            const [word] = match;
+            const parts = [...word.matchAll(this.partPattern)];
+
+            parts.forEach(part => this.partSpans(part[0], match.index + part.index, spans));
+
+            if (parts.length > 1 && !this.cjkPattern.test(word) && /\p{L}/u.test(word)) {
+                const joined = this.fold(parts.map(part => part[0]).join(''));
+                spans.push({ start: match.index, end: match.index + word.length, token: joined });
+            }
+        }
+
+        return spans;
+    }
+
+    partSpans(part, start, spans) {
+        if (!this.cjkPattern.test(part)) {
+            spans.push({ start, end: start + part.length, token: this.fold(part) });
+            return;
+        }
+
+        let offset = start;
+        part.split(this.cjkPattern).forEach((run, index) => {
+            const chars = [...run];
+            if (index % 2 === 0 || chars.length === 1) {
+                if (run) spans.push({ start: offset, end: offset + run.length, token: this.fold(run) });
+            } else {
+                let charStart = offset;
+                for (let i = 0; i < chars.length - 1; i++) {
+                    const end = charStart + chars[i].length + chars[i + 1].length;
+                    spans.push({ start: charStart, end, token: chars[i] + chars[i + 1] });
+                    charStart += chars[i].length;
+                }
+            }
+            offset += run.length;
+        });
+    }
+
+    /**
+     * Push a word, cutting CJK runs into overlapping bigrams ("東京大学" → "東京", "京大", "大学")
+     */
+    segment(word, tokens) {
+        if (!this.cjkPattern.test(word)) {
+            tokens.push(word);
+            return;
+        }
+
+        word.split(this.cjkPattern).forEach((run, index) => {
+            if (!run) return;
+            // split() with a capturing group puts the CJK runs at odd positions
+            const chars = [...run];
+            if (index % 2 === 0 || chars.length === 1) {
+                tokens.push(run);
+                return;
+            }
+            for (let i = 0; i < chars.length - 1; i++) {
+                tokens.push(chars[i] + chars[i + 1]);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.TextNormalizer = TextNormalizer;
@@ -4,56 +4,410 @@
  */
 
 class UIComponents {
-    constructor() {
-        this.currentView = 'grid'; // 'grid' or 'list'
+    constructor(options = {}) {
+        this.currentView = 'grid'; // 'grid', 'list' or 'map'
         this.selectedTags = [];
+        this.selectedRoles = [];
+        this.roleOptions = [];
+        this.tagMode = 'any'; // 'any' or 'all' selected tags
+        this.tagSort = 'name'; // 'name' or 'count'
+        this.tagOptions = null;
+        this.facetCounts = null;
+        this.openProfileUsername = null;
+        
+        // Favorites, notes and private labels
+        this.personalStore = options.personalStore || null;
+        this.selectedLabels = [];
+        this.favoritesOnly = false;
+        
+        // Members picked for export (usernames)
+        this.selectedMembers = new Set();
+        
+        // Map area filter: { label, polygon } in [lon, lat] pairs
+        this.selectedArea = null;
+        
+        // Join-date filter: { spec, label, from, to } in milliseconds (see createJoinedRange)
+        this.joinedRange = null;
+        this.joinedCustom = false;
+        
+        // Previous visit (ms); members who joined after it get a "New" badge
+        this.lastVisit = null;
+        this.newMemberCount = 0;
+        
+        // Where the current query matches a member (SearchEngine.getMatches, wired up by the app)
+        this.getMatches = () => null;
+        
+        // Why a member scored as it did (SearchEngine.explainMatchAsync, wired up by the app)
+        this.explainMatch = async () => null;
+        
+        // Members like the open profile (NSocialApp.getRecommendations), by username once shown
+        this.getSimilarMembers = async () => [];
+        this.similarMembers = new Map();
+    }
+
+    /**
+     * Whether a member joined since the previous visit
+     */
+    isNewMember(member) {
+        return this.lastVisit !== null && member.joined_at !== null && member.joined_at > this.lastVisit;
+    }
+
+    createNewBadge(member) {
+        return this.isNewMember(member)
+            ? '<span class="text-xs font-semibold bg-green-100 text-green-800 px-2 py-0.5 rounded-full mr-2 align-middle" title="Joined since your last visit">New</span>'
+            : '';
+    }
+
+    /**
+     * Join-date filter from its URL form: '7d', '30d', '90d', 'new' (since the last visit)
+     * or 'YYYY-MM-DD..YYYY-MM-DD' with either end optional and both ends inclusive
+     */
+    createJoinedRange(spec) {
+        if (!spec) return null;
+        
+        const day = 24 * 60 * 60 * 1000;
+        const presets = { '7d': 7, '30d': 30, '90d': 90 };
+        
+        if (presets[spec]) {
+            return { spec, label: `in the last ${presets[spec]} days`, from: Date.now() - presets[spec] * day, to: null };
+        }
+        
+        if (spec === 'new') {
+            return this.lastVisit !== null
+                ? { spec, label: 'since your last visit', from: this.lastVisit + 1, to: null }
+                : null;
+        }
+        
+        const match = /^(\d{4}-\d{2}-\d{2})?\.\.(\d{4}-\d{2}-\d{2})?$/.exec(spec);
+        if (!match || (!match[1] && !match[2])) return null;
+        
+        // Local midnights, so a day means the day on the user's calendar
+        const first = match[1] ? new Date(`${match[1]}T00:00`) : null;
+        const last = match[2] ? new Date(`${match[2]}T00:00`) : null;
+        if ((first && isNaN(first)) || (last && isNaN(last))) return null;
+        
+        const from = first ? first.getTime() : null;
+        const to = last ? new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1).getTime() : null;
+        
+        const format = date => date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+        const label = first && last
+            ? `between ${format(first)} and ${format(last)}`
+            : first ? `since ${format(first)}` : `by ${format(last)}`;
+        
+        return { spec, label, from, to };
+    }
+
+    /**
+     * Local calendar date as YYYY-MM-DD (the value format of date inputs)
+     */
+    toDateInput(time) {
+        const date = new Date(time);
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
     }
 
     /**
-     * Render member cards in grid or list view
+     * Wire the join-date presets, custom range and "new since your last visit" toggle
      */
-    renderMemberCards(members, container, viewMode = 'grid') {
+    setupJoinedFilter(newMemberCount) {
+        this.newMemberCount = newMemberCount;
+        
+        const select = document.getElementById('joined-filter');
+        const fromInput = document.getElementById('joined-from');
+        const toInput = document.getElementById('joined-to');
+        const newButton = document.getElementById('new-only-filter');
+        
+        const customSpec = () => fromInput.value || toInput.value ? `${fromInput.value}..${toInput.value}` : '';
+        
+        if (select) {
+            select.onchange = () => {
+                this.joinedCustom = select.value === 'custom';
+                this.applyJoinedSpec(this.joinedCustom ? customSpec() : select.value);
+            };
+        }
+        
+        if (fromInput && toInput) {
+            fromInput.onchange = toInput.onchange = () => this.applyJoinedSpec(customSpec());
+        }
+        
+        if (newButton) {
+            newButton.onclick = () => {
+                this.joinedCustom = false;
+                this.applyJoinedSpec(this.joinedRange?.spec === 'new' ? '' : 'new');
+            };
+        }
+        
+        this.renderJoinedFilter();
+    }
+
+    applyJoinedSpec(spec) {
+        this.joinedRange = this.createJoinedRange(spec);
+        this.renderJoinedFilter();
+        
+        document.dispatchEvent(new CustomEvent('filterChange', {
+            detail: { joined: this.joinedRange }
+        }));
+    }
+
+    /**
+     * Replace the join-date filter (URL state, clear all) and update its controls
+     */
+    setJoinedRange(range) {
+        this.joinedRange = range;
+        this.joinedCustom = false;
+        this.renderJoinedFilter();
+    }
+
+    renderJoinedFilter() {
+        const spec = this.joinedRange?.spec || '';
+        const isPreset = ['', '7d', '30d', '90d', 'new'].includes(spec);
+        const showCustom = this.joinedCustom || !isPreset;
+        
+        const select = document.getElementById('joined-filter');
+        if (select) {
+            const newOption = select.querySelector('option[value="new"]');
+            if (newOption) newOption.hidden = this.lastVisit === null;
+            select.value = showCustom ? 'custom' : spec;
+        }
+        
+        document.getElementById('joined-custom')?.classList.toggle('hidden', !showCustom);
+        if (!isPreset) {
+            const [from, to] = spec.split('..');
+            const fromInput = document.getElementById('joined-from');
+            const toInput = document.getElementById('joined-to');
+            if (fromInput) fromInput.value = from;
+            if (toInput) toInput.value = to;
+        }
+        
+        const newButton = document.getElementById('new-only-filter');
+        if (newButton) {
+            newButton.disabled = this.newMemberCount === 0;
+            newButton.className = `${this.lastVisit === null ? 'hidden ' : ''}w-full text-sm px-3 py-2 rounded-lg border transition-colors mt-3 ${
+                spec === 'new'
+                    ? 'bg-green-600 text-white border-green-600'
+                    : this.newMemberCount === 0
+                        ? 'bg-white text-gray-500 border-gray-200 opacity-50'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`;
+            newButton.innerHTML = this.newMemberCount === 0
+                ? 'Nothing new since your last visit'
+                : `<span class="text-xs font-semibold ${spec === 'new' ? 'bg-white text-green-700' : 'bg-green-100 text-green-800'} px-2 py-0.5 rounded-full mr-2">New</span>Only new since your last visit (${this.newMemberCount.toLocaleString()})`;
+        }
+    }
+
+    /**
+     * Render the analytics dashboard for the current results
+     */
+    renderAnalytics(analytics, container, activeFilters) {
         if (!container) return;
         
-        if (members.length === 0) {
-            container.innerHTML = '';
-            return;
+        if (!this.analyticsView || this.analyticsView.container !== container) {
+            this.analyticsView?.destroy();
+            this.analyticsView = new AnalyticsView(container, {
+                onSelect: entry => this.applyAnalyticsFilter(entry),
+                escapeHtml: text => this.escapeHtml(text)
+            });
+        }
+        
+        this.analyticsView.render(analytics, activeFilters);
+    }
+
+    /**
+     * Apply (or, when already applied, remove) the filter behind a clicked chart entry
+     */
+    applyAnalyticsFilter({ type, value, label, from, to, active }) {
+        let detail;
+        
+        switch (type) {
+            case 'location': {
+                const select = document.getElementById('location-filter');
+                const selected = active ? '' : value;
+                if (select) select.value = selected;
+                detail = { location: selected };
+                break;
+            }
+            case 'role':
+                this.toggleRole(value);
+                detail = { roles: this.selectedRoles };
+                break;
+            case 'cohort':
+                this.setCohort(active ? '' : value);
+                detail = { cohort: active ? '' : value };
+                break;
+            case 'tag':
+                this.toggleTag(value);
+                detail = { tags: this.selectedTags };
+                break;
+            case 'has': {
+                const input = document.getElementById('search-input');
+                if (!input) return;
+                const term = `has:${value}`;
+                const terms = input.value.split(/\s+/).filter(part => part && part !== term);
+                input.value = (active ? terms : [...terms, term]).join(' ');
+                detail = { search: input.value };
+                break;
+            }
+            case 'joined':
+                // Keep the chart's own label ("Mar 2024") for the range it stands for
+                this.setJoinedRange(active ? null : {
+                    ...this.createJoinedRange(`${this.toDateInput(from)}..${this.toDateInput(to - 1)}`),
+                    label
+                });
+                detail = { joined: this.joinedRange };
+                break;
+            default:
+                return;
         }
+        
+        document.dispatchEvent(new CustomEvent('filterChange', { detail }));
+    }
 
-        if (viewMode === 'list') {
-            this.renderMemberList(members, container);
-        } else {
-            this.renderMemberGrid(members, container);
+    /**
+     * Apply a tag, location or role picked from the search suggestions.
+     * The typed text only served to find it, so the search box is cleared.
+     */
+    applySuggestion({ type, value }) {
+        const detail = { search: '' };
+        
+        switch (type) {
+            case 'location': {
+                const select = document.getElementById('location-filter');
+                if (select) select.value = value;
+                detail.location = value;
+                break;
+            }
+            case 'role':
+                if (!this.selectedRoles.includes(value)) this.toggleRole(value);
+                detail.roles = this.selectedRoles;
+                break;
+            case 'tag':
+                if (!this.selectedTags.includes(value)) this.toggleTag(value);
+                detail.tags = this.selectedTags;
+                break;
+            default:
+                return;
         }
         
-        // Add click listeners to cards
-        container.querySelectorAll('.member-card, .member-list-item').forEach(card => {
-            card.addEventListener('click', () => {
-                const username = card.dataset.username;
-                const member = members.find(m => m.username === username);
-                if (member) {
-                    this.showMemberProfile(member);
-                }
+        const input = document.getElementById('search-input');
+        if (input) input.value = '';
+        
+        document.dispatchEvent(new CustomEvent('filterChange', { detail }));
+    }
+
+    /**
+     * Render members on the map view. Clicking a place or drawing a region sets the area filter.
+     */
+    renderMap(members, container) {
+        if (!container) return;
+        
+        if (!this.mapView || this.mapView.container !== container) {
+            this.mapView?.destroy();
+            const selectArea = (area) => {
+                this.selectedArea = area;
+                document.dispatchEvent(new CustomEvent('filterChange', {
+                    detail: { area }
+                }));
+            };
+            this.mapView = new MapView(container, {
+                onPlaceSelect: selectArea,
+                onAreaSelect: selectArea,
+                onAreaClear: () => selectArea(null),
+                escapeHtml: text => this.escapeHtml(text)
+            });
+        }
+        
+        this.mapView.render(members, this.selectedArea);
+    }
+
+    /**
+     * Render member cards in grid or list view.
+     * Only rows near the viewport are kept in the DOM; pass preserveScroll to keep the position (re-sorts).
+     */
+    renderMemberCards(members, container, viewMode = 'grid', options = {}) {
+        if (!container) return;
+        
+        if (!this.virtualList || this.virtualList.container !== container) {
+            this.virtualList?.destroy();
+            this.virtualList = new VirtualList(container, {
+                renderItem: member => this.currentView === 'list'
+                    ? this.createMemberListItem(member)
+                    : this.createMemberCard(member)
             });
+            this.bindCardClicks(container);
+            this.renderedView = null;
+        }
+        
+        this.renderedMembers = new Map(members.map(member => [member.username, member]));
+        
+        // Keep the same members in view when switching between grid and list
+        let anchorIndex = null;
+        if (this.renderedView !== viewMode) {
+            if (this.renderedView) {
+                anchorIndex = this.virtualList.getFirstVisibleIndex();
+            }
+            this.currentView = viewMode;
+            this.renderedView = viewMode;
+            this.virtualList.setLayout(viewMode === 'list' ? this.getListLayout() : this.getGridLayout());
+        }
+        
+        this.virtualList.setItems(members, options);
+        
+        if (anchorIndex !== null && options.preserveScroll) {
+            this.virtualList.scrollToIndex(anchorIndex);
+        }
+    }
+
+    /**
+     * Open the profile when a card is clicked (one delegated listener for all cards)
+     */
+    bindCardClicks(container) {
+        container.addEventListener('click', (e) => {
+            const card = e.target.closest('.member-card, .member-list-item');
+            if (!card || e.target.closest('a')) return;
+            
+            if (e.target.closest('[data-select-member]')) {
+                this.toggleMemberSelection(card.dataset.username);
+                return;
+            }
+            
+            if (e.target.closest('[data-explain]')) {
+                this.toggleExplanation(card);
+                return;
+            }
+            if (e.target.closest('[data-explanation]')) return;
+            
+            const member = this.renderedMembers.get(card.dataset.username);
+            if (member) {
+                this.showMemberProfile(member);
+            }
         });
     }
 
     /**
-     * Render member cards in grid view
+     * Layout for grid view (columns follow the responsive grid classes)
      */
-    renderMemberGrid(members, container) {
-        const cardsHtml = members.map(member => this.createMemberCard(member)).join('');
-        container.innerHTML = cardsHtml;
-        container.className = 'grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6';
+    getGridLayout() {
+        return {
+            className: 'grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6',
+            gap: 24,
+            estimatedRowHeight: 260,
+            columns: () => {
+                const template = getComputedStyle(this.virtualList.window).gridTemplateColumns;
+                return template && template !== 'none' ? template.split(' ').length : 1;
+            }
+        };
     }
 
     /**
-     * Render member cards in list view
+     * Layout for list view
      */
-    renderMemberList(members, container) {
-        const listHtml = members.map(member => this.createMemberListItem(member)).join('');
-        container.innerHTML = listHtml;
-        container.className = 'space-y-4';
+    getListLayout() {
+        return {
+            className: 'space-y-4',
+            gap: 16,
+            estimatedRowHeight: 150,
+            columns: () => 1
+        };
     }
 
     /**
@@ -63,42 +417,46 @@ class UIComponents {
         const name = member.name || member.username || 'Anonymous';
         const location = member.location || '';
         const profileImage = member.profile_image || this.getDefaultAvatar(name);
-        const tags = (member.tags || []).slice(0, 5); // Show max 5 tags in list view
-        const professionalSummary = this.truncateText(member.professional_summary || '', 200);
+        const matches = this.getMatches(member);
+        const tags = this.orderTags(member.tags, matches).slice(0, 5); // Show max 5 tags in list view
+        const snippet = this.createSnippet(member, matches, 200);
         
         return `
-            <div class="member-list-item bg-white rounded-lg shadow-sm border hover:shadow-md transition-all duration-300 cursor-pointer p-4" 
-                 data-username="${member.username}">
+            <div class="member-list-item relative bg-white rounded-lg shadow-sm border hover:shadow-md transition-all duration-300 cursor-pointer p-4 pr-8 ${this.isSelected(member) ? 'ring-2 ring-black' : ''}" 
+                 data-username="${this.escapeHtml(member.username)}">
+                ${this.createSelectToggle(member)}
                 <div class="flex items-start gap-4">
-                    <img src="${profileImage}" 
-                         alt="${name}" 
+                    <img src="${this.escapeHtml(profileImage)}" 
+                         alt="${this.escapeHtml(name)}" 
+                         loading="lazy" decoding="async"
                          class="w-12 h-12 rounded-full object-cover bg-gray-200 flex-shrink-0"
-                         onerror="this.src='${this.getDefaultAvatar(name)}'">
+                         onerror="this.src='${this.escapeHtml(this.getDefaultAvatar(name))}'">
                     
                     <div class="flex-1 min-w-0">
                         <div class="flex items-center justify-between mb-1">
-                            <h3 class="text-lg font-semibold text-gray-900 truncate">${name}</h3>
-                            ${member.relevanceScore ? `<span class="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full">Match: ${Math.round(member.relevanceScore)}%</span>` : ''}
+                            <h3 class="text-lg font-semibold text-gray-900 truncate">${this.createFavoriteMark(member)}${this.createNewBadge(member)}${this.highlightText(name, matches?.name)}</h3>
+                            ${this.createScoreBadge(member)}
                         </div>
                         
                         ${location ? `
                             <div class="flex items-center text-gray-600 text-sm mb-2">
                                 <i class="fas fa-map-marker-alt mr-1 text-gray-400"></i>
-                                <span class="truncate">${location}</span>
+                                <span class="truncate">${this.highlightText(location, matches?.location)}</span>
                             </div>
                         ` : ''}
                         
-                        ${professionalSummary ? `
-                            <p class="text-gray-700 text-sm mb-2 line-clamp-2">${professionalSummary}</p>
+                        ${snippet ? `
+                            <p class="text-gray-700 text-sm mb-2 line-clamp-2">${snippet}</p>
                         ` : ''}
                         
                         <div class="flex flex-wrap gap-2">
                             ${tags.map(tag => `
-                                <span class="tag-chip text-white text-xs px-2 py-1 rounded-full">${tag}</span>
+                                <span class="tag-chip text-white text-xs px-2 py-1 rounded-full ${this.getTagMatchClass(tag, matches)}">${this.escapeHtml(tag)}</span>
                             `).join('')}
                             ${member.tags && member.tags.length > 5 ? `
                                 <span class="text-xs text-gray-500 px-2 py-1">+${member.tags.length - 5} more</span>
                             ` : ''}
+                            ${this.createPrivateLabels(member)}
                         </div>
                     </div>
                     
@@ -117,42 +475,46 @@ class UIComponents {
         const name = member.name || member.username || 'Anonymous';
         const location = member.location || '';
         const profileImage = member.profile_image || this.getDefaultAvatar(name);
-        const tags = (member.tags || []).slice(0, 3); // Show max 3 tags
-        const professionalSummary = this.truncateText(member.professional_summary || '', 120);
+        const matches = this.getMatches(member);
+        const tags = this.orderTags(member.tags, matches).slice(0, 3); // Show max 3 tags
+        const snippet = this.createSnippet(member, matches, 120);
         
         return `
-            <div class="member-card bg-white rounded-xl shadow-sm border hover:shadow-lg transition-all duration-300 cursor-pointer p-6" 
-                 data-username="${member.username}">
+            <div class="member-card relative bg-white rounded-xl shadow-sm border hover:shadow-lg transition-all duration-300 cursor-pointer p-6 ${this.isSelected(member) ? 'ring-2 ring-black' : ''}" 
+                 data-username="${this.escapeHtml(member.username)}">
+                ${this.createSelectToggle(member)}
                 <div class="flex items-start gap-4">
-                    <img src="${profileImage}" 
-                         alt="${name}" 
+                    <img src="${this.escapeHtml(profileImage)}" 
+                         alt="${this.escapeHtml(name)}" 
+                         loading="lazy" decoding="async"
                          class="w-16 h-16 rounded-full object-cover bg-gray-200"
-                         onerror="this.src='${this.getDefaultAvatar(name)}'">
+                         onerror="this.src='${this.escapeHtml(this.getDefaultAvatar(name))}'">
                     
                     <div class="flex-1 min-w-0">
                         <div class="flex items-center justify-between mb-2">
-                            <h3 class="text-lg font-semibold text-gray-900 truncate">${name}</h3>
-                            ${member.relevanceScore ? `<span class="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full">Match: ${Math.round(member.relevanceScore)}%</span>` : ''}
+                            <h3 class="text-lg font-semibold text-gray-900 truncate">${this.createFavoriteMark(member)}${this.createNewBadge(member)}${this.highlightText(name, matches?.name)}</h3>
+                            ${this.createScoreBadge(member)}
                         </div>
                         
                         ${location ? `
                             <div class="flex items-center text-gray-600 text-sm mb-2">
                                 <i class="fas fa-map-marker-alt mr-1 text-gray-400"></i>
-                                <span class="truncate">${location}</span>
+                                <span class="truncate">${this.highlightText(location, matches?.location)}</span>
                             </div>
                         ` : ''}
                         
-                        ${professionalSummary ? `
-                            <p class="text-gray-700 text-sm mb-3 line-clamp-3">${professionalSummary}</p>
+                        ${snippet ? `
+                            <p class="text-gray-700 text-sm mb-3 line-clamp-3">${snippet}</p>
                         ` : ''}
                         
                         <div class="flex flex-wrap gap-2">
                             ${tags.map(tag => `
-                                <span class="tag-chip text-white text-xs px-2 py-1 rounded-full">${tag}</span>
+                                <span class="tag-chip text-white text-xs px-2 py-1 rounded-full ${this.getTagMatchClass(tag, matches)}">${this.escapeHtml(tag)}</span>
                             `).join('')}
                             ${member.tags && member.tags.length > 3 ? `
                                 <span class="text-xs text-gray-500 px-2 py-1">+${member.tags.length - 3} more</span>
                             ` : ''}
+                            ${this.createPrivateLabels(member)}
                         </div>
                         
                         ${this.createSocialLinks(member.social_links)}
@@ -162,6 +524,290 @@ class UIComponents {
         `;
     }
 
+    /**
+     * "Match: N%" on a 0–100 scale for the current query; opens the score breakdown
+     */
+    createScoreBadge(member) {
+        if (!member.relevanceScore) return '';
+        
+        return `
+            <button type="button" data-explain class="flex-shrink-0 text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded-full hover:bg-gray-200" title="Why this match?">
+                Match: ${Math.max(1, Math.round(member.relevanceScore))}%
+            </button>
+        `;
+    }
+
+    /**
+     * Show or hide the score breakdown under a card's badge
+     */
+    async toggleExplanation(card) {
+        const open = card.querySelector('[data-explanation]');
+        if (open) {
+            open.remove();
+            card.classList.remove('z-10');
+            return;
+        }
+        
+        const member = this.renderedMembers.get(card.dataset.username);
+        if (!member) return;
+        
+        const panel = document.createElement('div');
+        panel.dataset.explanation = '';
+        panel.className = 'absolute right-4 top-14 z-20 w-72 bg-white border rounded-lg shadow-lg p-4 text-sm text-left cursor-default';
+        panel.innerHTML = '<p class="text-gray-500">Working out the score...</p>';
+        card.appendChild(panel);
+        
+        // Above the neighbouring cards the panel overhangs
+        card.classList.add('z-10');
+        
+        try {
+            panel.innerHTML = this.renderExplanation(await this.explainMatch(member));
+        } catch (error) {
+            // A newer request replaced this one, or the worker failed
+            panel.innerHTML = '<p class="text-gray-500">The score breakdown is unavailable right now.</p>';
+        }
+    }
+
+    /**
+     * Score breakdown: each matched term, how it matched and the points each field gave
+     */
+    renderExplanation(explanation) {
+        if (!explanation) {
+            return '<p class="text-gray-500">This result no longer matches the current search.</p>';
+        }
+        
+        if (explanation.semantic) {
+            return `
+                <p class="font-semibold text-gray-900 mb-1">Match: ${Math.max(1, Math.round(explanation.score))}%</p>
+                <p class="text-gray-600">Related in meaning to your search (semantic similarity), so it doesn't depend on exact words.</p>
+            `;
+        }
+        
+        const kinds = {
+            exact: () => 'exact',
+            prefix: entry => `start of "${this.escapeHtml(entry.matched)}"`,
+            fuzzy: entry => `close spelling: "${this.escapeHtml(entry.matched)}"`,
+            field: () => 'field filter',
+            filter: () => 'condition'
+        };
+        const points = value => value >= 0.5 ? `+${Math.round(value)}` : value > 0 ? '+<1' : '';
+        
+        const entries = explanation.entries.map((entry, index) => `
+            <li class="py-2 ${index > 0 ? 'border-t' : ''}">
+                <div class="flex items-baseline justify-between gap-2">
+                    <span class="font-medium text-gray-900">${entry.phrase ? '"' : ''}${this.escapeHtml(entry.term)}${entry.phrase ? '"' : ''}</span>
+                    <span class="text-gray-700">${points(entry.points)}</span>
+                </div>
+                <div class="text-xs ${entry.kind === 'fuzzy' ? 'text-yellow-700' : 'text-gray-500'}">${kinds[entry.kind](entry)}</div>
+                ${entry.fields.length > 0 ? `
+                    <ul class="mt-1 text-xs text-gray-600">
+                        ${entry.fields.map(field => `
+                            <li class="flex justify-between"><span>${this.escapeHtml(field.label || field.field)}</span><span>${points(field.points)}</span></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `).join('');
+        
+        return `
+            <div class="flex items-center justify-between mb-2">
+                <span class="font-semibold text-gray-900">Match: ${Math.max(1, Math.round(explanation.score))}%</span>
+                <button type="button" data-explain class="text-gray-400 hover:text-gray-600" title="Close"><i class="fas fa-times"></i></button>
+            </div>
+            <ul>${entries || '<li class="text-gray-500">Matched on filters only</li>'}</ul>
+            <p class="text-xs text-gray-500 mt-2">The best match for this search scores 100%.</p>
+        `;
+    }
+
+    /**
+     * Escape text and mark the matched ranges. Fuzzy matches (a misspelled query word)
+     * get a dashed underline and say which word they stand for.
+     */
+    highlightText(text, ranges) {
+        if (!text) return '';
+        if (!ranges || ranges.length === 0) return this.escapeHtml(text);
+        
+        // Merge overlapping ranges ("Node", "js" and "Node.js" can all match)
+        const merged = [];
+        [...ranges].sort((a, b) => a.start - b.start || b.end - a.end).forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start < last.end) {
+                last.end = Math.max(last.end, range.end);
+                last.fuzzy = last.fuzzy && range.fuzzy;
+            } else {
+                merged.push({ ...range });
+            }
+        });
+        
+        let html = '';
+        let position = 0;
+        merged.forEach(({ start, end, term, fuzzy }) => {
+            html += this.escapeHtml(text.slice(position, start));
+            html += fuzzy
+                ? `<mark class="bg-yellow-100 text-gray-900 rounded-sm border-b border-dashed border-yellow-600" title="Close to &quot;${this.escapeHtml(term)}&quot;">${this.escapeHtml(text.slice(start, end))}</mark>`
+                : `<mark class="bg-yellow-200 text-gray-900 rounded-sm">${this.escapeHtml(text.slice(start, end))}</mark>`;
+            position = end;
+        });
+        
+        return html + this.escapeHtml(text.slice(position));
+    }
+
+    /**
+     * Summary excerpt for a card: the part of whichever summary matched the most query
+     * words, centered on the densest run of matches. Without matches it is the start of
+     * the professional summary, as before.
+     */
+    createSnippet(member, matches, maxLength) {
+        const fields = [
+            ['professional_summary', ''],
+            ['personal_summary', 'Personal'],
+            ['philosophical_summary', 'Philosophy']
+        ];
+        
+        let best = null;
+        fields.forEach(([field, label]) => {
+            const ranges = matches?.[field];
+            if (!ranges) return;
+            const terms = new Set(ranges.map(range => range.term)).size;
+            if (!best || terms > best.terms) best = { field, label, ranges, terms };
+        });
+        
+        if (!best) {
+            return this.escapeHtml(this.truncateText(member.professional_summary || '', maxLength));
+        }
+        
+        const text = member[best.field];
+        let start = 0;
+        let end = text.length;
+        
+        if (text.length > maxLength) {
+            // The match whose window covers the most distinct query words
+            let anchor = null;
+            best.ranges.forEach(range => {
+                const inWindow = best.ranges.filter(other => other.start >= range.start && other.end <= range.start + maxLength);
+                const terms = new Set(inWindow.map(other => other.term)).size;
+                if (!anchor || terms > anchor.terms) {
+                    anchor = { start: range.start, end: Math.max(...inWindow.map(other => other.end), range.end), terms };
+                }
+            });
+            
+            const center = (anchor.start + anchor.end) / 2;
+            start = Math.max(0, Math.min(Math.round(center - maxLength / 2), text.length - maxLength));
+            end = start + maxLength;
+            
+            // Don't cut words in half
+            const wordStart = text.indexOf(' ', start);
+            if (start > 0 && wordStart !== -1 && wordStart < anchor.start) start = wordStart + 1;
+            const wordEnd = text.lastIndexOf(' ', end);
+            if (end < text.length && wordEnd >= anchor.end) end = wordEnd;
+        }
+        
+        const ranges = best.ranges
+            .filter(range => range.start >= start && range.end <= end)
+            .map(range => ({ ...range, start: range.start - start, end: range.end - start }));
+        
+        return `${best.label ? `<span class="text-gray-500">${best.label}: </span>` : ''}` +
+            `${start > 0 ? '…' : ''}${this.highlightText(text.slice(start, end), ranges)}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * Tags with the ones the query matched first, so they are among those shown
+     */
+    orderTags(tags, matches) {
+        const matched = matches?.tags || [];
+        if (matched.length === 0) return tags || [];
+        return [...matched, ...(tags || []).filter(tag => !matched.includes(tag))];
+    }
+
+    getTagMatchClass(tag, matches) {
+        return matches?.tags.includes(tag) ? 'ring-2 ring-yellow-300' : '';
+    }
+
+    /**
+     * Checkbox in the card corner for picking members to export
+     */
+    createSelectToggle(member) {
+        const selected = this.isSelected(member);
+        return `
+            <button data-select-member class="absolute top-1 right-1 w-5 h-5 flex items-center justify-center rounded text-sm ${selected ? 'text-black' : 'text-gray-300 hover:text-gray-500'}" 
+                    title="${selected ? 'Deselect' : 'Select for export'}">
+                <i class="${selected ? 'fas fa-check-square' : 'far fa-square'}"></i>
+            </button>
+        `;
+    }
+
+    isSelected(member) {
+        return this.selectedMembers.has(member.username);
+    }
+
+    /**
+     * Add or remove a member from the export selection
+     */
+    toggleMemberSelection(username) {
+        if (this.selectedMembers.has(username)) {
+            this.selectedMembers.delete(username);
+        } else {
+            this.selectedMembers.add(username);
+        }
+        this.onSelectionChange();
+    }
+
+    /**
+     * Replace the export selection
+     */
+    setMemberSelection(usernames) {
+        this.selectedMembers = new Set(usernames);
+        this.onSelectionChange();
+    }
+
+    onSelectionChange() {
+        this.virtualList?.refresh();
+        this.updateSelectionInfo();
+        
+        document.dispatchEvent(new CustomEvent('selectionChange', {
+            detail: { count: this.selectedMembers.size }
+        }));
+    }
+
+    /**
+     * Selected count and clear link in the results header
+     */
+    updateSelectionInfo() {
+        const element = document.getElementById('selection-info');
+        if (!element) return;
+        
+        const count = this.selectedMembers.size;
+        element.classList.toggle('hidden', count === 0);
+        element.innerHTML = count > 0 ? `
+            <i class="fas fa-check-square mr-1"></i>${count.toLocaleString()} selected
+            <button id="selection-clear" class="ml-2 underline hover:text-black">Clear</button>
+        ` : '';
+        
+        element.querySelector('#selection-clear')?.addEventListener('click', () => this.setMemberSelection([]));
+    }
+
+    /**
+     * Star shown before the name of favorited members
+     */
+    createFavoriteMark(member) {
+        return this.personalStore?.isFavorite(member.username)
+            ? '<i class="fas fa-star text-yellow-400 text-sm mr-1" title="Favorite"></i>'
+            : '';
+    }
+
+    /**
+     * Private label chips, styled apart from the public tags
+     */
+    createPrivateLabels(member) {
+        if (!this.personalStore) return '';
+        
+        return this.personalStore.get(member.username).labels.map(label => `
+            <span class="text-xs px-2 py-1 rounded-full border border-dashed border-yellow-500 text-yellow-800 bg-yellow-50" title="Private label">
+                <i class="fas fa-lock mr-1 opacity-50"></i>${this.escapeHtml(label)}
+            </span>
+        `).join('');
+    }
+
     /**
      * Create social links HTML
      */
@@ -170,13 +816,13 @@ class UIComponents {
         
         const links = [];
         if (socialLinks.twitter) {
-            links.push(`<a href="${socialLinks.twitter}" target="_blank" class="text-blue-500 hover:text-blue-600"><i class="fab fa-twitter"></i></a>`);
+            links.push(`<a href="${this.escapeHtml(socialLinks.twitter)}" target="_blank" class="text-blue-500 hover:text-blue-600"><i class="fab fa-twitter"></i></a>`);
         }
         if (socialLinks.linkedin) {
-            links.push(`<a href="${socialLinks.linkedin}" target="_blank" class="text-blue-700 hover:text-blue-800"><i class="fab fa-linkedin"></i></a>`);
+            links.push(`<a href="${this.escapeHtml(socialLinks.linkedin)}" target="_blank" class="text-blue-700 hover:text-blue-800"><i class="fab fa-linkedin"></i></a>`);
         }
         if (socialLinks.discord) {
-            links.push(`<span class="text-indigo-600" title="Discord: ${socialLinks.discord}"><i class="fab fa-discord"></i></span>`);
+            links.push(`<span class="text-indigo-600" title="Discord: ${this.escapeHtml(socialLinks.discord)}"><i class="fab fa-discord"></i></span>`);
         }
         
         return links.length > 0 ? `
@@ -194,13 +840,13 @@ class UIComponents {
         
         const links = [];
         if (socialLinks.twitter) {
-            links.push(`<a href="${socialLinks.twitter}" target="_blank" class="text-blue-500 hover:text-blue-600 p-1"><i class="fab fa-twitter"></i></a>`);
+            links.push(`<a href="${this.escapeHtml(socialLinks.twitter)}" target="_blank" class="text-blue-500 hover:text-blue-600 p-1"><i class="fab fa-twitter"></i></a>`);
         }
         if (socialLinks.linkedin) {
-            links.push(`<a href="${socialLinks.linkedin}" target="_blank" class="text-blue-700 hover:text-blue-800 p-1"><i class="fab fa-linkedin"></i></a>`);
+            links.push(`<a href="${this.escapeHtml(socialLinks.linkedin)}" target="_blank" class="text-blue-700 hover:text-blue-800 p-1"><i class="fab fa-linkedin"></i></a>`);
         }
         if (socialLinks.discord) {
-            links.push(`<span class="text-indigo-600 p-1" title="Discord: ${socialLinks.discord}"><i class="fab fa-discord"></i></span>`);
+            links.push(`<span class="text-indigo-600 p-1" title="Discord: ${this.escapeHtml(socialLinks.discord)}"><i class="fab fa-discord"></i></span>`);
         }
         
         return `<div class="flex gap-1">${links.join('')}</div>`;
@@ -220,24 +866,30 @@ class UIComponents {
         const profileImage = member.profile_image || this.getDefaultAvatar(name);
         const tags = member.tags || [];
         
+        // Same highlights as in the results, fuzzy matches included
+        const matches = this.getMatches(member);
+        
         content.innerHTML = `
             <div class="relative">
                 <!-- Header -->
                 <div class="bg-gradient-to-r from-black to-gray-800 text-white p-6 rounded-t-2xl">
-                    <button class="absolute top-4 right-4 text-white hover:text-gray-200 text-xl" onclick="this.closest('#profile-modal').classList.add('hidden')">
+                    <button class="absolute top-4 right-4 text-white hover:text-gray-200 text-xl" data-close-profile>
                         <i class="fas fa-times"></i>
                     </button>
+                    ${this.personalStore ? `
+                        <button id="profile-favorite" class="absolute top-4 right-14 text-xl"></button>
+                    ` : ''}
                     
                     <div class="flex items-center gap-4">
-                        <img src="${profileImage}" 
-                             alt="${name}" 
+                        <img src="${this.escapeHtml(profileImage)}" 
+                             alt="${this.escapeHtml(name)}" 
                              class="w-20 h-20 rounded-full object-cover border-4 border-white shadow-lg"
-                             onerror="this.src='${this.getDefaultAvatar(name)}'">
+                             onerror="this.src='${this.escapeHtml(this.getDefaultAvatar(name))}'">
                         <div>
-                            <h2 class="text-2xl font-bold mb-1">${name}</h2>
+                            <h2 class="text-2xl font-bold mb-1">${this.highlightText(name, matches?.name)}</h2>
                             <div class="flex items-center text-gray-200">
                                 <i class="fas fa-map-marker-alt mr-2"></i>
-                                <span>${location}</span>
+                                <span>${this.highlightText(location, matches?.location)}</span>
                             </div>
 
                         </div>
@@ -246,6 +898,12 @@ class UIComponents {
                 
                 <!-- Content -->
                 <div class="p-6">
+                    <!-- Private notes and labels -->
+                    ${this.personalStore ? '<div id="profile-personal" class="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4"></div>' : ''}
+                    
+                    <!-- Roles -->
+                    ${this.createRoleSection(member)}
+                    
                     <!-- Professional Summary -->
                     ${member.professional_summary ? `
                         <div class="mb-6">
@@ -253,7 +911,7 @@ class UIComponents {
                                 <i class="fas fa-briefcase text-black mr-2"></i>
                                 Professional Background
                             </h3>
-                            <p class="text-gray-700 leading-relaxed">${member.professional_summary}</p>
+                            <p class="text-gray-700 leading-relaxed">${this.highlightText(member.professional_summary, matches?.professional_summary)}</p>
                         </div>
                     ` : ''}
                     
@@ -264,7 +922,7 @@ class UIComponents {
                                 <i class="fas fa-user text-black mr-2"></i>
                                 Personal Interests
                             </h3>
-                            <p class="text-gray-700 leading-relaxed">${member.personal_summary}</p>
+                            <p class="text-gray-700 leading-relaxed">${this.highlightText(member.personal_summary, matches?.personal_summary)}</p>
                         </div>
                     ` : ''}
                     
@@ -275,7 +933,7 @@ class UIComponents {
                                 <i class="fas fa-lightbulb text-black mr-2"></i>
                                 Philosophy & Values
                             </h3>
-                            <p class="text-gray-700 leading-relaxed">${member.philosophical_summary}</p>
+                            <p class="text-gray-700 leading-relaxed">${this.highlightText(member.philosophical_summary, matches?.philosophical_summary)}</p>
                         </div>
                     ` : ''}
                     
@@ -287,11 +945,14 @@ class UIComponents {
                                 Skills & Interests
                             </h3>
                             <div class="flex flex-wrap gap-2">
-                                ${tags.map(tag => `<span class="tag-chip text-white text-sm px-3 py-1 rounded-full">${tag}</span>`).join('')}
+                                ${tags.map(tag => `<span class="tag-chip text-white text-sm px-3 py-1 rounded-full ${this.getTagMatchClass(tag, matches)}">${this.escapeHtml(tag)}</span>`).join('')}
                             </div>
                         </div>
                     ` : ''}
                     
+                    <!-- People like this member (filled in once computed) -->
+                    <div id="profile-similar"></div>
+                    
                     <!-- Social Links -->
                     ${Object.keys(member.social_links || {}).length > 0 ? `
                         <div class="mb-6">
@@ -301,14 +962,14 @@ class UIComponents {
                             </h3>
                             <div class="flex gap-4">
                                 ${member.social_links.twitter ? `
-                                    <a href="${member.social_links.twitter}" target="_blank" 
+                                    <a href="${this.escapeHtml(member.social_links.twitter)}" target="_blank" 
                                        class="flex items-center gap-2 bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors">
                                         <i class="fab fa-twitter"></i>
                                         Twitter
                                     </a>
                                 ` : ''}
                                 ${member.social_links.linkedin ? `
-                                    <a href="${member.social_links.linkedin}" target="_blank" 
+                                    <a href="${this.escapeHtml(member.social_links.linkedin)}" target="_blank" 
                                        class="flex items-center gap-2 bg-blue-700 text-white px-4 py-2 rounded-lg hover:bg-blue-800 transition-colors">
                                         <i class="fab fa-linkedin"></i>
                                         LinkedIn
@@ -317,7 +978,7 @@ class UIComponents {
                                 ${member.social_links.discord ? `
                                     <div class="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg">
                                         <i class="fab fa-discord"></i>
-                                        ${member.social_links.discord}
+                                        ${this.escapeHtml(member.social_links.discord)}
                                     </div>
                                 ` : ''}
                             </div>
@@ -332,7 +993,7 @@ class UIComponents {
                                 Original Introduction
                             </h3>
                             <div class="bg-gray-50 p-4 rounded-lg">
-                                <p class="text-gray-700 leading-relaxed italic">"${member.original_text}"</p>
+                                <p class="text-gray-700 leading-relaxed italic">"${this.escapeHtml(member.original_text)}"</p>
                             </div>
                         </div>
                     ` : ''}
@@ -341,84 +1002,508 @@ class UIComponents {
         `;
         
         modal.classList.remove('hidden');
+        content.parentElement.scrollTop = 0;
+        this.openProfileUsername = member.username;
+        this.renderPersonalSection(member.username);
+        this.renderSimilarMembers(member);
         
-        // Close modal on background click
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modal.classList.add('hidden');
+        // Close modal on background click or the close button; a similar member opens their profile
+        modal.onclick = (e) => {
+            if (e.target === modal || e.target.closest('[data-close-profile]')) {
+                this.closeMemberProfile();
+                return;
             }
-        });
+            
+            const similar = e.target.closest('[data-similar-member]');
+            const next = similar && this.similarMembers.get(similar.dataset.similarMember);
+            if (next) this.showMemberProfile(next);
+        };
+        
+        document.dispatchEvent(new CustomEvent('profileChange', {
+            detail: { username: member.username }
+        }));
     }
 
     /**
-     * Populate filter dropdowns
+     * "People like X" strip in the open profile, with why each one is similar
      */
-    populateFilters(filterOptions) {
-        if (!filterOptions) return;
+    async renderSimilarMembers(member) {
+        const container = document.getElementById('profile-similar');
+        if (!container) return;
         
-        // Populate location filter
-        const locationSelect = document.getElementById('location-filter');
-        if (locationSelect) {
-            locationSelect.innerHTML = '<option value="">All Locations</option>';
-            filterOptions.locations.forEach(location => {
-                const option = document.createElement('option');
-                option.value = location;
-                option.textContent = this.capitalizeWords(location);
-                locationSelect.appendChild(option);
-            });
+        let similar;
+        try {
+            similar = await this.getSimilarMembers(member);
+        } catch (error) {
+            // Superseded by a newer profile, or the worker failed; the strip is optional either way
+            if (!(error instanceof WorkerCancelledError)) console.warn('Could not find similar members:', error);
+            return;
         }
         
-        // Populate profession filter
-        const professionSelect = document.getElementById('profession-filter');
-        if (professionSelect) {
-            professionSelect.innerHTML = '<option value="">All Professions</option>';
-            filterOptions.professions.forEach(profession => {
-                const option = document.createElement('option');
-                option.value = profession;
-                option.textContent = this.capitalizeWords(profession);
-                professionSelect.appendChild(option);
-            });
-        }
+        // Another profile may have been opened in the meantime
+        if (this.openProfileUsername !== member.username || !similar || similar.length === 0) return;
         
-
+        this.similarMembers = new Map(similar.map(other => [other.username, other]));
+        const firstName = (member.name || member.username || '').split(' ')[0];
         
-        // Populate tags
-        this.populateTagsFilter(filterOptions.tags);
+        container.className = 'mb-6';
+        container.innerHTML = `
+            <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                <i class="fas fa-user-friends text-black mr-2"></i>
+                People like ${this.escapeHtml(firstName)}
+            </h3>
+            <div class="flex gap-3 overflow-x-auto pb-2">
+                ${similar.map(other => {
+                    const name = other.name || other.username || 'Anonymous';
+                    return `
+                        <button type="button" data-similar-member="${this.escapeHtml(other.username)}"
+                                class="flex-shrink-0 w-44 text-left bg-gray-50 hover:bg-gray-100 border rounded-lg p-3 transition-colors">
+                            <div class="flex items-center gap-2 mb-2">
+                                <img src="${this.escapeHtml(other.profile_image || this.getDefaultAvatar(name))}" alt="${this.escapeHtml(name)}"
+                                     class="w-8 h-8 rounded-full object-cover bg-gray-200 flex-shrink-0"
+                                     onerror="this.src='${this.escapeHtml(this.getDefaultAvatar(name))}'">
+                                <span class="font-medium text-gray-900 text-sm truncate">${this.escapeHtml(name)}</span>
+                            </div>
+                            <p class="text-xs text-gray-600 line-clamp-3">${this.escapeHtml((other.similarityReasons || []).join(', '))}</p>
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
     }
 
     /**
-     * Populate tags filter with clickable chips
+     * Render the favorite star, private labels and note editor in the open profile
      */
-    populateTagsFilter(tags) {
-        const container = document.getElementById('tags-container');
-        if (!container) return;
+    renderPersonalSection(username) {
+        const section = document.getElementById('profile-personal');
+        const favoriteBtn = document.getElementById('profile-favorite');
+        if (!this.personalStore || !section || !favoriteBtn) return;
+        
+        const { favorite, note, labels } = this.personalStore.get(username);
+        const knownLabels = this.personalStore.getAllLabels().filter(label => !labels.includes(label));
+        
+        favoriteBtn.className = `absolute top-4 right-14 text-xl ${favorite ? 'text-yellow-400 hover:text-yellow-300' : 'text-white hover:text-gray-200'}`;
+        favoriteBtn.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+        favoriteBtn.innerHTML = `<i class="${favorite ? 'fas' : 'far'} fa-star"></i>`;
+        favoriteBtn.onclick = () => this.personalStore.toggleFavorite(username);
+        
+        section.innerHTML = `
+            <h3 class="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+                <i class="fas fa-lock text-yellow-600 mr-2"></i>
+                Only visible to you
+            </h3>
+            <div class="flex flex-wrap items-center gap-2 mb-3">
+                ${labels.map(label => `
+                    <span class="text-xs px-2 py-1 rounded-full border border-dashed border-yellow-500 text-yellow-800 bg-white">
+                        ${this.escapeHtml(label)}
+                        <button class="ml-1 text-yellow-600 hover:text-yellow-900" data-remove-label="${this.escapeHtml(label)}" title="Remove label">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                `).join('')}
+                <input id="profile-label-input" list="profile-label-options" placeholder="Add label..." 
+                       class="text-xs px-2 py-1 border border-yellow-300 rounded-full focus:ring-1 focus:ring-yellow-500 w-32">
+                <datalist id="profile-label-options">
+                    ${knownLabels.map(label => `<option value="${this.escapeHtml(label)}"></option>`).join('')}
+                </datalist>
+            </div>
+            <textarea id="profile-note" rows="3" placeholder="Private notes, e.g. how you met or what to follow up on"
+                      class="w-full text-sm px-3 py-2 border border-yellow-300 rounded-lg focus:ring-1 focus:ring-yellow-500">${this.escapeHtml(note)}</textarea>
+        `;
+        
+        section.querySelectorAll('[data-remove-label]').forEach(button => {
+            button.addEventListener('click', () => this.personalStore.removeLabel(username, button.dataset.removeLabel));
+        });
+        
+        const labelInput = section.querySelector('#profile-label-input');
+        labelInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && labelInput.value.trim()) {
+                this.personalStore.addLabel(username, labelInput.value);
+                document.getElementById('profile-label-input')?.focus();
+            }
+        });
+        
+        // Notes save as you type; the section isn't re-rendered for note edits so the caret stays put
+        const noteInput = section.querySelector('#profile-note');
+        let noteTimeout;
+        noteInput.addEventListener('input', () => {
+            clearTimeout(noteTimeout);
+            noteTimeout = setTimeout(() => this.personalStore.setNote(username, noteInput.value), 400);
+        });
+        noteInput.addEventListener('blur', () => {
+            clearTimeout(noteTimeout);
+            if (noteInput.value !== this.personalStore.get(username).note) {
+                this.personalStore.setNote(username, noteInput.value);
+            }
+        });
+    }
+
+    /**
+     * Close the member profile modal
+     */
+    closeMemberProfile() {
+        const modal = document.getElementById('profile-modal');
+        if (!modal || modal.classList.contains('hidden')) return;
+        
+        modal.classList.add('hidden');
+        this.openProfileUsername = null;
+        
+        document.dispatchEvent(new CustomEvent('profileChange', {
+            detail: { username: null }
+        }));
+    }
+
+    /**
+     * Populate filter dropdowns
+     */
+    populateFilters(filterOptions) {
+        if (!filterOptions) return;
+        
+        // Populate location filter
+        const locationSelect = document.getElementById('location-filter');
+        if (locationSelect) {
+            const previousLocation = locationSelect.value;
+            locationSelect.innerHTML = '<option value="">All Locations</option>';
+            // Indented by level: continent > country > state > city
+            filterOptions.locations.forEach(location => {
+                const option = document.createElement('option');
+                option.value = location.value;
+                option.textContent = '\u00a0\u00a0\u00a0'.repeat(location.level) + location.label;
+                option.dataset.label = option.textContent;
+                if (location.level === 0) option.style.fontWeight = '600';
+                locationSelect.appendChild(option);
+            });
+            locationSelect.value = previousLocation;
+        }
+        
+        // Populate cohorts, newest first; hidden when no member has a cohort or a join date
+        const cohortSelect = document.getElementById('cohort-filter');
+        if (cohortSelect) {
+            const previousCohort = cohortSelect.value;
+            this.cohortOptions = filterOptions.cohorts || [];
+            cohortSelect.innerHTML = '<option value="">All cohorts</option>';
+            this.cohortOptions.forEach(cohort => {
+                const option = document.createElement('option');
+                option.value = cohort.value;
+                option.textContent = cohort.label;
+                option.dataset.label = cohort.label;
+                cohortSelect.appendChild(option);
+            });
+            document.getElementById('cohort-section')?.classList.toggle('hidden', this.cohortOptions.length === 0);
+            this.setCohort(previousCohort);
+        }
+        
+        // Counts from the previous search no longer match the options
+        this.facetCounts = null;
+        
+        // Populate roles
+        this.populateRolesFilter(filterOptions.roles);
+        
+        // Populate tags
+        this.populateTagsFilter(filterOptions.tags);
+    }
+
+    /**
+     * Show how many members each filter option would match, dimming options that match none
+     */
+    updateFacetCounts(counts) {
+        this.facetCounts = counts;
+        if (!counts) return;
+        
+        const selects = {
+            'location-filter': counts.locations,
+            'cohort-filter': counts.cohorts
+        };
+        
+        Object.entries(selects).forEach(([id, bucket]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            [...select.options].forEach(option => {
+                if (!option.value) return;
+                const count = bucket[option.value] || 0;
+                option.textContent = `${option.dataset.label} (${count.toLocaleString()})`;
+                option.style.color = count === 0 ? '#9ca3af' : '';
+            });
+        });
+        
+        this.renderRoleChips();
+        this.renderTagChips();
+    }
+
+    /**
+     * Select a cohort ('' for all); the roster button is there while one is selected
+     */
+    setCohort(cohort) {
+        const select = document.getElementById('cohort-filter');
+        if (!select) return;
+        
+        select.value = cohort || '';
+        document.getElementById('cohort-roster-btn')?.classList.toggle('hidden', !select.value);
+    }
+
+    getCohortLabel(cohort) {
+        return (this.cohortOptions || []).find(option => option.value === cohort)?.label || cohort;
+    }
+
+    /**
+     * Populate the role filter; any number of roles can be picked
+     */
+    populateRolesFilter(roles) {
+        const container = document.getElementById('roles-container');
+        if (!container) return;
+        
+        this.roleOptions = roles;
+        this.selectedRoles = this.selectedRoles.filter(role => roles.some(option => option.value === role));
+        this.renderRoleChips();
+        
+        container.onclick = (e) => {
+            const chip = e.target.closest('.role-filter-chip');
+            if (!chip) return;
+            
+            e.preventDefault();
+            this.toggleRole(chip.dataset.role);
+            
+            document.dispatchEvent(new CustomEvent('filterChange', {
+                detail: { roles: this.selectedRoles }
+            }));
+        };
+    }
+
+    renderRoleChips() {
+        const container = document.getElementById('roles-container');
+        if (!container) return;
+        
+        const counts = this.facetCounts?.roles;
+        container.innerHTML = this.roleOptions.map(role => {
+            const selected = this.selectedRoles.includes(role.value);
+            const empty = counts && !counts[role.value];
+            return `
+                <button class="role-filter-chip text-xs px-3 py-1 rounded-full border transition-all duration-200 ${
+                    selected
+                        ? 'bg-black text-white border-black'
+                        : empty
+                            ? 'bg-white text-gray-400 border-gray-200 opacity-60 hover:opacity-100'
+                            : 'bg-white text-gray-700 border-gray-300 hover:border-gray-400 hover:bg-gray-50'
+                }" data-role="${role.value}">
+                    ${this.escapeHtml(role.label)}${counts ? ` <span class="opacity-60">${(counts[role.value] || 0).toLocaleString()}</span>` : ''}
+                </button>
+            `;
+        }).join('');
+    }
+
+    toggleRole(role) {
+        this.setSelectedRoles(this.selectedRoles.includes(role)
+            ? this.selectedRoles.filter(selected => selected !== role)
+            : [...this.selectedRoles, role]);
+    }
+
+    /**
+     * Replace the role selection and update chip states
+     */
+    setSelectedRoles(roles) {
+        this.selectedRoles = [...roles];
+        this.renderRoleChips();
+    }
+
+    /**
+     * Classified roles and seniority for the profile, with the reasons behind each
+     */
+    createRoleSection(member) {
+        const roles = member.roles || [];
+        if (roles.length === 0 && !member.seniority) return '';
+        
+        const evidence = member.role_evidence || {};
+        const seniorityLabel = member.seniority ? RoleClassifier.SENIORITY[member.seniority]?.label || member.seniority : null;
+        const reasons = [
+            ...roles.map(role => `${this.getRoleLabel(role)}: ${(evidence[role] || []).join(', ')}`),
+            seniorityLabel ? `${seniorityLabel}: ${(evidence.seniority || []).join(', ')}` : null
+        ].filter(Boolean);
+        
+        return `
+            <div class="mb-6">
+                <h3 class="text-lg font-semibold text-gray-900 mb-3 flex items-center">
+                    <i class="fas fa-id-badge text-black mr-2"></i>
+                    Role
+                </h3>
+                <div class="flex flex-wrap gap-2 mb-2">
+                    ${roles.map(role => `<span class="text-sm px-3 py-1 rounded-full border border-gray-800 text-gray-900">${this.escapeHtml(this.getRoleLabel(role))}</span>`).join('')}
+                    ${seniorityLabel ? `<span class="text-sm px-3 py-1 rounded-full bg-gray-100 text-gray-700">${this.escapeHtml(seniorityLabel)}</span>` : ''}
+                </div>
+                <details class="text-sm text-gray-600">
+                    <summary class="cursor-pointer hover:text-gray-900">Why?</summary>
+                    <ul class="list-disc ml-5 mt-2 space-y-1">
+                        ${reasons.map(reason => `<li>${this.escapeHtml(reason)}</li>`).join('')}
+                    </ul>
+                </details>
+            </div>
+        `;
+    }
+
+    getRoleLabel(role) {
+        return this.roleOptions.find(option => option.value === role)?.label || RoleClassifier.ROLES[role]?.label || role;
+    }
+
+    /**
+     * Populate tags filter with clickable chips
+     */
+    populateTagsFilter(tags) {
+        const container = document.getElementById('tags-container');
+        if (!container) return;
+        
+        this.tagOptions = tags;
+        this.renderTagChips();
+        
+        // One delegated listener for all chips
+        container.onclick = (e) => {
+            const chip = e.target.closest('.tag-filter-chip');
+            if (!chip) return;
+            
+            e.preventDefault();
+            this.toggleTag(chip.dataset.tag);
+            
+            // Trigger search with updated tags
+            const event = new CustomEvent('filterChange', {
+                detail: { tags: this.selectedTags }
+            });
+            document.dispatchEvent(event);
+        };
+    }
+
+    /**
+     * Render tag chips in the chosen order, with live counts once a search has run
+     */
+    renderTagChips() {
+        const container = document.getElementById('tags-container');
+        if (!container || !this.tagOptions) return;
+        
+        const counts = this.facetCounts?.tags;
+        const tags = [...this.tagOptions];
+        if (this.tagSort === 'count' && counts) {
+            tags.sort((a, b) => (counts[b] || 0) - (counts[a] || 0) || a.localeCompare(b));
+        }
         
         container.innerHTML = tags.map(tag => `
-            <button class="tag-filter-chip text-xs px-3 py-1 rounded-full border transition-all duration-200 ${
-                this.selectedTags.includes(tag) 
-                    ? 'bg-black text-white border-black' 
-                    : 'bg-white text-gray-700 border-gray-300 hover:border-gray-400 hover:bg-gray-50'
-            }" data-tag="${tag}">
-                ${tag}
+            <button class="${this.getTagChipClass(tag)}" data-tag="${this.escapeHtml(tag)}">
+                ${this.escapeHtml(tag)}${counts ? ` <span class="opacity-60">${(counts[tag] || 0).toLocaleString()}</span>` : ''}
             </button>
         `).join('');
+    }
+
+    /**
+     * Chip classes for a tag: selected, matching nothing in the current results, or normal
+     */
+    getTagChipClass(tag) {
+        const base = 'tag-filter-chip text-xs px-3 py-1 rounded-full border transition-all duration-200';
+        
+        if (this.selectedTags.includes(tag)) {
+            return `${base} bg-black text-white border-black`;
+        }
+        if (this.facetCounts && !this.facetCounts.tags[tag]) {
+            return `${base} bg-white text-gray-400 border-gray-200 opacity-60 hover:opacity-100`;
+        }
+        return `${base} bg-white text-gray-700 border-gray-300 hover:border-gray-400 hover:bg-gray-50`;
+    }
+
+    /**
+     * Order tag chips alphabetically ('name') or by live count ('count')
+     */
+    setTagSort(sort) {
+        this.tagSort = sort;
         
-        // Add click listeners to tag chips
-        container.querySelectorAll('.tag-filter-chip').forEach(chip => {
+        const button = document.getElementById('tag-sort');
+        if (button) {
+            button.innerHTML = sort === 'count'
+                ? '<i class="fas fa-sort-amount-down"></i>'
+                : '<i class="fas fa-sort-alpha-down"></i>';
+            button.title = sort === 'count' ? 'Sorted by count (click for A-Z)' : 'Sorted A-Z (click to sort by count)';
+        }
+        
+        this.renderTagChips();
+    }
+
+    /**
+     * Populate the favorites toggle and private label chips
+     */
+    populatePersonalFilters(labels) {
+        this.selectedLabels = this.selectedLabels.filter(label => labels.includes(label));
+        
+        const favoritesBtn = document.getElementById('favorites-filter');
+        if (favoritesBtn) {
+            favoritesBtn.className = `w-full text-sm px-3 py-2 rounded-lg border transition-colors mb-3 ${
+                this.favoritesOnly
+                    ? 'bg-yellow-400 text-gray-900 border-yellow-400'
+                    : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+            }`;
+            favoritesBtn.onclick = () => {
+                this.favoritesOnly = !this.favoritesOnly;
+                this.populatePersonalFilters(labels);
+                document.dispatchEvent(new CustomEvent('filterChange', {
+                    detail: { favoritesOnly: this.favoritesOnly }
+                }));
+            };
+        }
+        
+        const container = document.getElementById('labels-container');
+        if (!container) return;
+        
+        container.innerHTML = labels.length > 0 
+            ? labels.map(label => `
+                <button class="label-filter-chip text-xs px-3 py-1 rounded-full border border-dashed transition-all duration-200 ${
+                    this.selectedLabels.includes(label)
+                        ? 'bg-yellow-400 text-gray-900 border-yellow-500'
+                        : 'bg-white text-yellow-800 border-yellow-500 hover:bg-yellow-50'
+                }" data-label="${this.escapeHtml(label)}">
+                    ${this.escapeHtml(label)}
+                </button>
+            `).join('')
+            : '<p class="text-xs text-gray-500">Add private labels from a member\'s profile</p>';
+        
+        container.querySelectorAll('.label-filter-chip').forEach(chip => {
             chip.addEventListener('click', (e) => {
                 e.preventDefault();
-                const tag = chip.dataset.tag;
-                this.toggleTag(tag);
+                const label = chip.dataset.label;
+                this.selectedLabels = this.selectedLabels.includes(label)
+                    ? this.selectedLabels.filter(selected => selected !== label)
+                    : [...this.selectedLabels, label];
+                this.populatePersonalFilters(labels);
                 
-                // Trigger search with updated tags
-                const event = new CustomEvent('filterChange', {
-                    detail: { tags: this.selectedTags }
-                });
-                document.dispatchEvent(event);
+                document.dispatchEvent(new CustomEvent('filterChange', {
+                    detail: { labels: this.selectedLabels }
+                }));
             });
         });
     }
 
+    /**
+     * Replace the tag selection and update chip states
+     */
+    setSelectedTags(tags) {
+        this.selectedTags = [...tags];
+        
+        document.querySelectorAll('#tags-container .tag-filter-chip').forEach(chip => {
+            chip.className = this.getTagChipClass(chip.dataset.tag);
+        });
+    }
+
+    /**
+     * Switch between matching any or all selected tags
+     */
+    setTagMode(mode) {
+        this.tagMode = mode;
+        
+        const anyBtn = document.getElementById('tag-mode-any');
+        const allBtn = document.getElementById('tag-mode-all');
+        const active = 'px-2 py-0.5 rounded bg-white text-gray-900 shadow-sm';
+        const inactive = 'px-2 py-0.5 rounded text-gray-600 hover:text-gray-900';
+        
+        if (anyBtn && allBtn) {
+            anyBtn.className = mode === 'any' ? active : inactive;
+            allBtn.className = mode === 'all' ? active : inactive;
+        }
+    }
+
     /**
      * Toggle tag selection
      */
@@ -431,14 +1516,11 @@ class UIComponents {
         }
         
         // Update UI
-        const chip = document.querySelector(`[data-tag="${tag}"]`);
-        if (chip) {
-            if (this.selectedTags.includes(tag)) {
-                chip.className = 'tag-filter-chip text-xs px-3 py-1 rounded-full border transition-all duration-200 bg-black text-white border-black';
-            } else {
-                chip.className = 'tag-filter-chip text-xs px-3 py-1 rounded-full border transition-all duration-200 bg-white text-gray-700 border-gray-300 hover:border-gray-400 hover:bg-gray-50';
+        document.querySelectorAll('#tags-container .tag-filter-chip').forEach(chip => {
+            if (chip.dataset.tag === tag) {
+                chip.className = this.getTagChipClass(tag);
             }
-        }
+        });
     }
 
     /**
@@ -449,7 +1531,8 @@ class UIComponents {
         
         const elements = {
             'total-members': stats.totalMembers,
-            'total-locations': stats.totalLocations
+            'total-locations': stats.totalLocations,
+            'total-cohorts': stats.cohorts.length
         };
         
         Object.entries(elements).forEach(([id, value]) => {
@@ -466,6 +1549,701 @@ class UIComponents {
         }
     }
 
+    /**
+     * Show cache freshness and offline badges in the header
+     */
+    updateDataStatus(status) {
+        const container = document.getElementById('data-status');
+        if (!container || !status) return;
+
+        const badges = [];
+        const fetchedAgo = status.fetchedAt ? this.formatRelativeTime(status.fetchedAt) : '';
+
+        if (status.source === 'file') {
+            badges.push(`
+                <span class="bg-blue-100 text-blue-800 px-2 py-1 rounded-full" title="Exploring an imported file">
+                    <i class="fas fa-file-alt mr-1"></i>${this.escapeHtml(status.sourceLabel)}
+                    <button id="data-source-reset" class="ml-1 text-blue-600 hover:text-blue-900" title="Back to community data">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </span>
+            `);
+        }
+
+        if (status.isOffline) {
+            badges.push(`
+                <span class="bg-red-100 text-red-700 px-2 py-1 rounded-full" title="Showing the last saved snapshot${fetchedAgo ? ` from ${fetchedAgo}` : ''}">
+                    <i class="fas fa-wifi mr-1"></i>Offline
+                </span>
+            `);
+        }
+
+        if (status.isStale) {
+            badges.push(`
+                <span class="bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full" title="Data last updated ${fetchedAgo || 'a while ago'}">
+                    <i class="fas fa-history mr-1"></i>Stale data
+                </span>
+            `);
+        } else if (status.source === 'cache' && fetchedAgo) {
+            badges.push(`
+                <span class="bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                    <i class="fas fa-database mr-1"></i>Cached ${fetchedAgo}
+                </span>
+            `);
+        }
+
+        if (status.isRevalidating) {
+            badges.push(`
+                <span class="text-gray-500" title="Checking for updated data">
+                    <i class="fas fa-sync-alt fa-spin"></i>
+                </span>
+            `);
+        }
+
+        container.innerHTML = badges.join('');
+        container.classList.toggle('hidden', badges.length === 0);
+    }
+
+    /**
+     * Update the data quality button with the number of problems found
+     */
+    updateQualityBadge(report) {
+        const button = document.getElementById('quality-btn');
+        const count = document.getElementById('quality-issue-count');
+        if (!button || !report) return;
+
+        const problems = Object.entries(report.issues)
+            .filter(([type]) => QUALITY_ISSUES[type].severity !== 'info')
+            .reduce((sum, [, entries]) => sum + entries.length, 0);
+
+        button.classList.remove('hidden');
+        if (count) {
+            count.textContent = problems.toLocaleString();
+            count.classList.toggle('hidden', problems === 0);
+        }
+    }
+
+    /**
+     * Show the data quality report in a modal
+     */
+    showQualityReport(report) {
+        const modal = document.getElementById('quality-modal');
+        const content = document.getElementById('quality-content');
+
+        if (!modal || !content || !report) return;
+
+        const severityStyles = {
+            error: 'bg-red-100 text-red-700',
+            warning: 'bg-yellow-100 text-yellow-800',
+            info: 'bg-gray-100 text-gray-700'
+        };
+        const maxExamples = 10;
+
+        const sections = Object.entries(report.issues)
+            .filter(([, entries]) => entries.length > 0)
+            .map(([type, entries]) => {
+                const { label, severity } = QUALITY_ISSUES[type];
+                return `
+                    <details class="mb-3 border rounded-lg">
+                        <summary class="flex items-center justify-between cursor-pointer px-4 py-3">
+                            <span class="font-medium text-gray-900">${label}</span>
+                            <span class="text-xs px-2 py-1 rounded-full ${severityStyles[severity]}">${entries.length.toLocaleString()}</span>
+                        </summary>
+                        <ul class="px-4 pb-3 space-y-1 text-sm text-gray-700">
+                            ${entries.slice(0, maxExamples).map(entry => `
+                                <li>
+                                    ${entry.username ? `<span class="font-medium">@${this.escapeHtml(entry.username)}</span> — ` : ''}${this.escapeHtml(entry.message)}
+                                </li>
+                            `).join('')}
+                            ${entries.length > maxExamples ? `<li class="text-gray-500">…and ${entries.length - maxExamples} more</li>` : ''}
+                        </ul>
+                    </details>
+                `;
+            }).join('');
+
+        content.innerHTML = `
+            <div class="relative p-6">
+                <button class="absolute top-4 right-4 text-gray-500 hover:text-gray-800 text-xl" onclick="this.closest('#quality-modal').classList.add('hidden')">
+                    <i class="fas fa-times"></i>
+                </button>
+                <h2 class="text-2xl font-bold text-gray-900 mb-1">
+                    <i class="fas fa-clipboard-check text-black mr-2"></i>Data quality
+                </h2>
+                <p class="text-sm text-gray-500 mb-6">Checked ${this.formatRelativeTime(report.generatedAt)}</p>
+
+                <div class="grid grid-cols-4 gap-3 mb-6 text-center">
+                    <div class="bg-gray-50 rounded-lg p-3">
+                        <div class="text-xl font-bold">${report.total.toLocaleString()}</div>
+                        <div class="text-xs text-gray-600">Records</div>
+                    </div>
+                    <div class="bg-gray-50 rounded-lg p-3">
+                        <div class="text-xl font-bold">${report.valid.toLocaleString()}</div>
+                        <div class="text-xs text-gray-600">Loaded</div>
+                    </div>
+                    <div class="bg-gray-50 rounded-lg p-3">
+                        <div class="text-xl font-bold">${report.coerced.toLocaleString()}</div>
+                        <div class="text-xs text-gray-600">Repaired</div>
+                    </div>
+                    <div class="bg-gray-50 rounded-lg p-3">
+                        <div class="text-xl font-bold">${report.quarantined.toLocaleString()}</div>
+                        <div class="text-xs text-gray-600">Quarantined</div>
+                    </div>
+                </div>
+
+                ${sections || '<p class="text-gray-600">No problems found in this dataset.</p>'}
+            </div>
+        `;
+
+        modal.classList.remove('hidden');
+
+        modal.onclick = (e) => {
+            if (e.target === modal) {
+                modal.classList.add('hidden');
+            }
+        };
+    }
+
+    /**
+     * Show the CSV column mapping form and report the chosen mapping
+     */
+    showColumnMapping(fileName, headers, fields, mapping, onConfirm) {
+        const modal = document.getElementById('import-modal');
+        const content = document.getElementById('import-content');
+
+        if (!modal || !content) return;
+
+        content.innerHTML = `
+            <form id="column-mapping-form" class="p-6">
+                <h2 class="text-xl font-bold text-gray-900 mb-1">Map CSV columns</h2>
+                <p class="text-sm text-gray-600 mb-6">Choose which column of <strong>${this.escapeHtml(fileName)}</strong> fills each member field.</p>
+
+                <div class="space-y-3 mb-6">
+                    ${Object.entries(fields).map(([field, { label }]) => `
+                        <div class="flex items-center justify-between gap-4">
+                            <label for="map-${field}" class="text-sm font-medium text-gray-700">${label}</label>
+                            <select id="map-${field}" data-field="${field}" class="w-1/2 px-3 py-1 border border-gray-300 rounded-lg text-sm">
+                                <option value="">— Not mapped —</option>
+                                ${headers.map(header => `
+                                    <option value="${this.escapeHtml(header)}" ${mapping[field] === header ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="flex justify-end gap-3">
+                    <button type="button" id="column-mapping-cancel" class="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200">Cancel</button>
+                    <button type="submit" class="px-4 py-2 rounded-lg bg-black text-white hover:bg-gray-800">Import</button>
+                </div>
+            </form>
+        `;
+
+        const close = () => modal.classList.add('hidden');
+
+        content.querySelector('#column-mapping-cancel').addEventListener('click', close);
+        content.querySelector('#column-mapping-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const chosen = {};
+            content.querySelectorAll('select[data-field]').forEach(select => {
+                if (select.value) chosen[select.dataset.field] = select.value;
+            });
+
+            close();
+            onConfirm(chosen);
+        });
+
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * Export dialog: what to export (results, selection, favorites), the format and CSV/JSON columns
+     */
+    showExportDialog(counts, columns, formats, onExport) {
+        const modal = document.getElementById('export-modal');
+        const content = document.getElementById('export-content');
+
+        if (!modal || !content) return;
+
+        const scopes = [
+            { value: 'results', label: 'Current results', count: counts.results },
+            { value: 'selected', label: 'Selected members', count: counts.selected },
+            { value: 'favorites', label: 'Favorites', count: counts.favorites }
+        ];
+        const defaultScope = counts.selected > 0 ? 'selected' : 'results';
+
+        content.innerHTML = `
+            <form id="export-form" class="p-6">
+                <h2 class="text-xl font-bold text-gray-900 mb-6">Export members</h2>
+
+                <h3 class="text-sm font-semibold text-gray-900 mb-2">Members</h3>
+                <div class="space-y-2 mb-6">
+                    ${scopes.map(scope => `
+                        <label class="flex items-center gap-2 text-sm ${scope.count === 0 ? 'text-gray-400' : 'text-gray-700'}">
+                            <input type="radio" name="export-scope" value="${scope.value}" 
+                                   ${scope.value === defaultScope ? 'checked' : ''} ${scope.count === 0 ? 'disabled' : ''}>
+                            ${scope.label} <span class="text-gray-500">(${scope.count.toLocaleString()})</span>
+                        </label>
+                    `).join('')}
+                </div>
+
+                <h3 class="text-sm font-semibold text-gray-900 mb-2">Format</h3>
+                <div class="space-y-2 mb-6">
+                    ${Object.entries(formats).map(([format, { label }], index) => `
+                        <label class="flex items-center gap-2 text-sm text-gray-700">
+                            <input type="radio" name="export-format" value="${format}" ${index === 0 ? 'checked' : ''}>
+                            ${label}
+                        </label>
+                    `).join('')}
+                </div>
+
+                <div id="export-columns" class="mb-6">
+                    <h3 class="text-sm font-semibold text-gray-900 mb-2">Columns</h3>
+                    <div class="grid grid-cols-2 gap-2">
+                        ${Object.entries(columns).map(([key, column]) => `
+                            <label class="flex items-center gap-2 text-sm text-gray-700">
+                                <input type="checkbox" data-column="${key}" ${column.selected ? 'checked' : ''}>
+                                ${column.label}
+                                ${column.personal ? '<i class="fas fa-lock text-gray-400 text-xs" title="Only in your exports"></i>' : ''}
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="flex justify-end gap-3">
+                    <button type="button" id="export-cancel" class="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200">Cancel</button>
+                    <button type="submit" class="px-4 py-2 rounded-lg bg-black text-white hover:bg-gray-800">
+                        <i class="fas fa-download mr-2"></i>Download
+                    </button>
+                </div>
+            </form>
+        `;
+
+        const close = () => modal.classList.add('hidden');
+        const form = content.querySelector('#export-form');
+        const columnsSection = content.querySelector('#export-columns');
+
+        // Columns apply to the tabular formats only
+        const updateColumns = () => {
+            const format = form.querySelector('input[name="export-format"]:checked').value;
+            columnsSection.classList.toggle('hidden', format !== 'csv' && format !== 'json');
+        };
+        form.querySelectorAll('input[name="export-format"]').forEach(input => input.addEventListener('change', updateColumns));
+        updateColumns();
+
+        content.querySelector('#export-cancel').addEventListener('click', close);
+        modal.onclick = (e) => {
+            if (e.target === modal) close();
+        };
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const chosenColumns = [...form.querySelectorAll('input[data-column]:checked')].map(input => input.dataset.column);
+            const format = form.querySelector('input[name="export-format"]:checked').value;
+            const scope = form.querySelector('input[name="export-scope"]:checked')?.value;
+
+            if (!scope) return;
+            if ((format === 'csv' || format === 'json') && chosenColumns.length === 0) {
+                this.showNotice('Choose at least one column', 'error');
+                return;
+            }
+
+            close();
+            onExport({ scope, format, columns: chosenColumns });
+        });
+
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * Everyone in a cohort grouped by role (DataLoader.getCohortRoster); a name opens the profile
+     */
+    showCohortRoster(roster) {
+        const modal = document.getElementById('roster-modal');
+        const content = document.getElementById('roster-content');
+
+        if (!modal || !content || !roster) return;
+
+        const members = new Map(roster.groups.flatMap(group => group.members).map(member => [member.username, member]));
+
+        content.innerHTML = `
+            <div class="relative p-6">
+                <button class="absolute top-4 right-4 text-gray-500 hover:text-gray-800 text-xl" data-close-roster>
+                    <i class="fas fa-times"></i>
+                </button>
+                <h2 class="text-2xl font-bold text-gray-900 mb-1">
+                    <i class="fas fa-users text-black mr-2"></i>${this.escapeHtml(roster.label)} cohort
+                </h2>
+                <p class="text-sm text-gray-500 mb-6">${roster.count.toLocaleString()} members by role</p>
+
+                ${roster.groups.map(group => `
+                    <section class="mb-6">
+                        <h3 class="text-sm font-semibold text-gray-900 mb-2">
+                            ${this.escapeHtml(group.label)} <span class="text-gray-500 font-normal">(${group.members.length.toLocaleString()})</span>
+                        </h3>
+                        <div class="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            ${group.members.map(member => {
+                                const name = member.name || member.username || 'Anonymous';
+                                return `
+                                    <button type="button" data-roster-member="${this.escapeHtml(member.username)}" 
+                                            class="flex items-center gap-3 p-2 rounded-lg text-left hover:bg-gray-50">
+                                        <img src="${this.escapeHtml(member.profile_image || this.getDefaultAvatar(name))}" alt="${this.escapeHtml(name)}"
+                                             class="w-8 h-8 rounded-full object-cover bg-gray-200 flex-shrink-0"
+                                             onerror="this.src='${this.escapeHtml(this.getDefaultAvatar(name))}'">
+                                        <span class="min-w-0">
+                                            <span class="block font-medium text-gray-900 text-sm truncate">${this.escapeHtml(name)}</span>
+                                            ${member.location ? `<span class="block text-xs text-gray-500 truncate">${this.escapeHtml(member.location)}</span>` : ''}
+                                        </span>
+                                    </button>
+                                `;
+                            }).join('')}
+                        </div>
+                    </section>
+                `).join('')}
+            </div>
+        `;
+
+        modal.onclick = (e) => {
+            if (e.target === modal || e.target.closest('[data-close-roster]')) {
+                modal.classList.add('hidden');
+                return;
+            }
+
+            const button = e.target.closest('[data-roster-member]');
+            const member = button && members.get(button.dataset.rosterMember);
+            if (member) this.showMemberProfile(member);
+        };
+
+        modal.classList.remove('hidden');
+        content.parentElement.scrollTop = 0;
+    }
+
+    /**
+     * Group planner settings: who to plan for, group size, shared interests or mixed
+     * backgrounds, and pairs to keep together or apart (usernames, one set per line)
+     */
+    showGroupPlanner(counts, onPlan) {
+        const modal = document.getElementById('planner-modal');
+        const content = document.getElementById('planner-content');
+
+        if (!modal || !content) return;
+
+        const scopes = [
+            { value: 'results', label: 'Current results', count: counts.results },
+            { value: 'selected', label: 'Selected members', count: counts.selected },
+            { value: 'favorites', label: 'Favorites', count: counts.favorites }
+        ];
+        const presets = [
+            { size: 2, label: '1:1 intros' },
+            { size: 4, label: 'Pods of 4' },
+            { size: 6, label: 'Dinner tables of 6' }
+        ];
+        const modes = [
+            { value: 'similar', label: 'Shared interests', hint: 'People with the most in common sit together' },
+            { value: 'mix', label: 'Mix backgrounds', hint: 'Each group gets as many different backgrounds as possible' }
+        ];
+
+        // Planning compares every pair of people, so larger scopes can't be chosen
+        const limit = GroupPlanner.MAX_MEMBERS;
+        const usable = scope => scope.count > 0 && scope.count <= limit;
+
+        // Keep the last settings when coming back from a plan
+        const previous = this.plannerSettings || {};
+        const chosenScope = (scopes.find(scope => scope.value === previous.scope && usable(scope))
+            || scopes.find(scope => scope.value === 'selected' && usable(scope))
+            || scopes.find(usable)
+            || scopes[0]).value;
+        const chosenMode = previous.mode || 'similar';
+        const pairText = pairs => (pairs || []).map(pair => pair.join(', ')).join('\n');
+
+        content.innerHTML = `
+            <form id="planner-form" class="p-6">
+                <h2 class="text-xl font-bold text-gray-900 mb-1">Plan groups</h2>
+                <p class="text-sm text-gray-500 mb-6">Split members into tables, pods or 1:1 intro pairs</p>
+
+                <h3 class="text-sm font-semibold text-gray-900 mb-2">Members</h3>
+                <div class="space-y-2 mb-6">
+                    ${scopes.map(scope => `
+                        <label class="flex items-center gap-2 text-sm ${usable(scope) ? 'text-gray-700' : 'text-gray-400'}">
+                            <input type="radio" name="planner-scope" value="${scope.value}" 
+                                   ${scope.value === chosenScope ? 'checked' : ''} ${usable(scope) ? '' : 'disabled'}>
+                            ${scope.label} <span class="text-gray-500">(${scope.count.toLocaleString()})</span>
+                        </label>
+                    `).join('')}
+                    ${scopes.some(scope => scope.count > limit) ? `
+                        <p class="text-xs text-gray-500">Up to ${limit} members per plan; narrow your results or select fewer</p>
+                    ` : ''}
+                </div>
+
+                <h3 class="text-sm font-semibold text-gray-900 mb-2">People per group</h3>
+                <div class="flex flex-wrap items-center gap-2 mb-6">
+                    <input type="number" id="planner-size" min="2" max="50" value="${previous.size || 4}" required
+                           class="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black text-sm">
+                    ${presets.map(preset => `
+                        <button type="button" data-size="${preset.size}" class="px-3 py-1 rounded-full border text-sm text-gray-700 hover:bg-gray-100">${preset.label}</button>
+                    `).join('')}
+                </div>
+
+                <h3 class="text-sm font-semibold text-gray-900 mb-2">Group by</h3>
+                <div class="space-y-2 mb-6">
+                    ${modes.map(mode => `
+                        <label class="flex items-start gap-2 text-sm text-gray-700">
+                            <input type="radio" name="planner-mode" value="${mode.value}" class="mt-1" ${mode.value === chosenMode ? 'checked' : ''}>
+                            <span>${mode.label} <span class="block text-gray-500">${mode.hint}</span></span>
+                        </label>
+                    `).join('')}
+                </div>
+
+                <div class="grid grid-cols-2 gap-4 mb-6">
+                    <label class="text-sm font-semibold text-gray-900">
+                        Keep together
+                        <textarea id="planner-pinned" rows="3" placeholder="alice, bob" 
+                                  class="mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal focus:ring-2 focus:ring-black">${this.escapeHtml(pairText(previous.pinned))}</textarea>
+                    </label>
+                    <label class="text-sm font-semibold text-gray-900">
+                        Keep apart
+                        <textarea id="planner-excluded" rows="3" placeholder="carol, dave" 
+                                  class="mt-2 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal focus:ring-2 focus:ring-black">${this.escapeHtml(pairText(previous.excluded))}</textarea>
+                    </label>
+                </div>
+                <p class="text-xs text-gray-500 -mt-4 mb-6">Usernames separated by commas, one set of people per line</p>
+
+                <div class="flex justify-end gap-3">
+                    <button type="button" id="planner-cancel" class="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200">Cancel</button>
+                    <button type="submit" id="planner-submit" class="px-4 py-2 rounded-lg bg-black text-white hover:bg-gray-800">
+                        <i class="fas fa-users mr-2"></i>Plan groups
+                    </button>
+                </div>
+            </form>
+        `;
+
+        const close = () => modal.classList.add('hidden');
+        const form = content.querySelector('#planner-form');
+        const sizeInput = content.querySelector('#planner-size');
+
+        form.querySelectorAll('[data-size]').forEach(button => {
+            button.addEventListener('click', () => {
+                sizeInput.value = button.dataset.size;
+            });
+        });
+
+        content.querySelector('#planner-cancel').addEventListener('click', close);
+        modal.onclick = (e) => {
+            if (e.target === modal) close();
+        };
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const scope = form.querySelector('input[name="planner-scope"]:checked')?.value;
+            const pinned = this.parseUsernameLines(content.querySelector('#planner-pinned').value);
+            const excluded = this.parseUsernameLines(content.querySelector('#planner-excluded').value);
+
+            if (!scope) return;
+            if (!pinned || !excluded) {
+                this.showNotice('Each line needs at least two usernames', 'error');
+                return;
+            }
+
+            this.plannerSettings = {
+                scope,
+                size: Number(sizeInput.value),
+                mode: form.querySelector('input[name="planner-mode"]:checked').value,
+                pinned,
+                excluded
+            };
+
+            const submit = content.querySelector('#planner-submit');
+            submit.disabled = true;
+            submit.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Planning…';
+            try {
+                // Everyone on a "together" line shares a group; everyone on an "apart" line is split up
+                await onPlan({
+                    ...this.plannerSettings,
+                    pinned: pinned.flatMap(names => names.slice(1).map((name, i) => [names[i], name])),
+                    excluded: excluded.flatMap(names => names.flatMap((name, i) => names.slice(i + 1).map(other => [name, other])))
+                });
+            } finally {
+                submit.disabled = false;
+                submit.innerHTML = '<i class="fas fa-users mr-2"></i>Plan groups';
+            }
+        });
+
+        modal.classList.remove('hidden');
+    }
+
+    /**
+     * "alice, @bob" lines → [['alice', 'bob']]; null when a line names fewer than two people
+     */
+    parseUsernameLines(text) {
+        const lines = text.split('\n')
+            .map(line => line.split(/[,\s]+/).map(name => name.replace(/^@/, '')).filter(Boolean))
+            .filter(names => names.length > 0);
+
+        return lines.every(names => names.length >= 2) ? lines : null;
+    }
+
+    /**
+     * A planned set of groups with why each goes together, plus Markdown/CSV downloads
+     */
+    renderGroupPlan(plan, { onExport, onBack }) {
+        const modal = document.getElementById('planner-modal');
+        const content = document.getElementById('planner-content');
+
+        if (!modal || !content) return;
+
+        const memberCount = plan.groups.reduce((sum, group) => sum + group.members.length, 0);
+        const conflicts = plan.conflicts.map(conflict => {
+            const names = conflict.members.map(member => this.escapeHtml(member.name || member.username)).join(', ');
+            return conflict.type === 'pinned'
+                ? `${names} don't fit in one group, so they were kept together in smaller sets`
+                : `${names} had to share a group to keep the people pinned to them together`;
+        });
+
+        content.innerHTML = `
+            <div class="relative p-6">
+                <button class="absolute top-4 right-4 text-gray-500 hover:text-gray-800 text-xl" data-close-planner>
+                    <i class="fas fa-times"></i>
+                </button>
+                <h2 class="text-xl font-bold text-gray-900 mb-1">
+                    ${plan.size === 2 ? '1:1 intros' : `Groups of ${plan.size}`}
+                </h2>
+                <p class="text-sm text-gray-500 mb-6">
+                    ${memberCount.toLocaleString()} members in ${plan.groups.length.toLocaleString()} groups ·
+                    ${plan.mode === 'mix' ? 'mixed backgrounds' : 'grouped by shared interests'}
+                </p>
+
+                ${conflicts.length > 0 ? `
+                    <div class="mb-4 p-3 rounded-lg bg-yellow-50 text-yellow-800 text-sm space-y-1">
+                        ${conflicts.map(text => `<p><i class="fas fa-exclamation-triangle mr-1"></i>${text}</p>`).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6">
+                    ${plan.groups.map((group, index) => `
+                        <div class="border rounded-lg p-3">
+                            <div class="flex items-center justify-between mb-1">
+                                <span class="font-semibold text-gray-900">Group ${index + 1}</span>
+                                <span class="text-xs text-gray-500" title="Average similarity within the group">${Math.round(group.score * 100)}% alike</span>
+                            </div>
+                            ${group.reasons.length > 0 ? `<p class="text-xs text-gray-600 mb-2">${this.escapeHtml(group.reasons.join(' · '))}</p>` : ''}
+                            <ul class="space-y-1">
+                                ${group.members.map(member => {
+                                    const name = member.name || member.username || 'Anonymous';
+                                    return `
+                                        <li class="flex items-center gap-2 text-sm">
+                                            <img src="${this.escapeHtml(member.profile_image || this.getDefaultAvatar(name))}" alt="${this.escapeHtml(name)}"
+                                                 class="w-6 h-6 rounded-full object-cover bg-gray-200 flex-shrink-0"
+                                                 onerror="this.src='${this.escapeHtml(this.getDefaultAvatar(name))}'">
+                                            <span class="font-medium text-gray-900 truncate">${this.escapeHtml(name)}</span>
+                                            ${member.location ? `<span class="ml-auto text-xs text-gray-500 truncate">${this.escapeHtml(member.location)}</span>` : ''}
+                                        </li>
+                                    `;
+                                }).join('')}
+                            </ul>
+                        </div>
+                    `).join('')}
+                </div>
+
+                <div class="flex flex-wrap justify-end gap-3">
+                    <button type="button" data-planner-back class="px-4 py-2 rounded-lg bg-gray-100 text-gray-700 hover:bg-gray-200">
+                        <i class="fas fa-sliders-h mr-2"></i>Change settings
+                    </button>
+                    <button type="button" data-plan-export="markdown" class="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50">
+                        <i class="fas fa-download mr-2"></i>Markdown
+                    </button>
+                    <button type="button" data-plan-export="csv" class="px-4 py-2 rounded-lg bg-black text-white hover:bg-gray-800">
+                        <i class="fas fa-download mr-2"></i>CSV
+                    </button>
+                </div>
+            </div>
+        `;
+
+        modal.onclick = (e) => {
+            if (e.target === modal || e.target.closest('[data-close-planner]')) {
+                modal.classList.add('hidden');
+            } else if (e.target.closest('[data-planner-back]')) {
+                onBack();
+            } else if (e.target.closest('[data-plan-export]')) {
+                onExport(e.target.closest('[data-plan-export]').dataset.planExport);
+            }
+        };
+
+        modal.classList.remove('hidden');
+        content.parentElement.scrollTop = 0;
+    }
+
+    /**
+     * Show/hide the drag & drop overlay
+     */
+    setDropOverlay(isVisible) {
+        document.getElementById('drop-overlay')?.classList.toggle('hidden', !isVisible);
+    }
+
+    /**
+     * Show a short-lived notice in the corner of the page
+     */
+    showNotice(message, type = 'info') {
+        const notice = document.getElementById('notice');
+        if (!notice) return;
+
+        const styles = {
+            info: 'bg-gray-900 text-white',
+            error: 'bg-red-600 text-white'
+        };
+
+        notice.className = `fixed bottom-6 right-6 z-50 px-4 py-3 rounded-lg shadow-lg text-sm ${styles[type] || styles.info}`;
+        notice.textContent = message;
+
+        clearTimeout(this.noticeTimeout);
+        this.noticeTimeout = setTimeout(() => notice.classList.add('hidden'), 5000);
+    }
+
+    /**
+     * Update the keyword/semantic toggle
+     */
+    setSearchMode(mode, isPreparing = false) {
+        const keywordBtn = document.getElementById('mode-keyword');
+        const semanticBtn = document.getElementById('mode-semantic');
+        const hint = document.getElementById('search-mode-hint');
+
+        const active = 'px-3 py-1 rounded-md font-medium bg-white text-gray-900';
+        const inactive = 'px-3 py-1 rounded-md font-medium text-white';
+
+        if (keywordBtn && semanticBtn) {
+            keywordBtn.className = mode === 'keyword' ? active : inactive;
+            semanticBtn.className = mode === 'semantic' ? active : inactive;
+        }
+
+        if (hint) {
+            if (isPreparing) {
+                hint.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>Preparing concept vectors...';
+            } else {
+                hint.textContent = mode === 'semantic'
+                    ? 'Finds related concepts, e.g. "people building payment rails"'
+                    : 'Exact words, filters like tag:solana';
+            }
+        }
+    }
+
+    /**
+     * Show or clear the query syntax error under the search input
+     */
+    showQueryError(error) {
+        const element = document.getElementById('search-error');
+        if (!element) return;
+
+        if (!error) {
+            element.classList.add('hidden');
+            element.textContent = '';
+            return;
+        }
+
+        element.innerHTML = `<i class="fas fa-exclamation-circle mr-1"></i>${this.escapeHtml(error.message)} — searching for the plain words instead`;
+        element.classList.remove('hidden');
+    }
+
     /**
      * Update results count and description
      */
@@ -482,18 +2260,38 @@ class UIComponents {
                 descElement.textContent = 'Showing all Network School members';
             } else {
                 const filterDescriptions = [];
-                if (activeFilters.search) {
+                if (activeFilters.searchDescription) {
+                    filterDescriptions.push(activeFilters.searchDescription);
+                } else if (activeFilters.search) {
                     filterDescriptions.push(`matching "${activeFilters.search}"`);
                 }
                 if (activeFilters.location) {
-                    filterDescriptions.push(`in ${this.capitalizeWords(activeFilters.location)}`);
+                    filterDescriptions.push(`in ${activeFilters.location.split('/').pop()}`);
+                }
+                if (activeFilters.roles && activeFilters.roles.length > 0) {
+                    filterDescriptions.push(`working in ${activeFilters.roles.map(role => this.getRoleLabel(role)).join(' or ')}`);
+                }
+                if (activeFilters.cohort) {
+                    filterDescriptions.push(`from the ${this.getCohortLabel(activeFilters.cohort)} cohort`);
                 }
-                if (activeFilters.profession) {
-                    filterDescriptions.push(`working in ${activeFilters.profession}`);
+                if (activeFilters.area) {
+                    filterDescriptions.push(`in ${activeFilters.area.label}`);
+                }
+                if (activeFilters.joined) {
+                    filterDescriptions.push(`joined ${activeFilters.joined.label}`);
                 }
 
                 if (activeFilters.tags && activeFilters.tags.length > 0) {
-                    filterDescriptions.push(`with skills: ${activeFilters.tags.join(', ')}`);
+                    const mode = activeFilters.tags.length > 1 && activeFilters.tagMode === 'all' ? 'all of' : 'any of';
+                    filterDescriptions.push(activeFilters.tags.length > 1
+                        ? `with ${mode}: ${activeFilters.tags.join(', ')}`
+                        : `with skill: ${activeFilters.tags[0]}`);
+                }
+                if (activeFilters.favoritesOnly) {
+                    filterDescriptions.push('in your favorites');
+                }
+                if (activeFilters.labels && activeFilters.labels.length > 0) {
+                    filterDescriptions.push(`labelled: ${activeFilters.labels.join(', ')}`);
                 }
                 
                 descElement.textContent = `Filtered by: ${filterDescriptions.join(', ')}`;
@@ -513,6 +2311,26 @@ class UIComponents {
         return str.replace(/\b\w/g, l => l.toUpperCase());
     }
 
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    formatRelativeTime(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+
+        return `${Math.round(hours / 24)}d ago`;
+    }
+
     getDefaultAvatar(name) {
         // Generate a simple color-based avatar
         const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8'];
@@ -523,7 +2341,7 @@ class UIComponents {
             <svg xmlns="http://www.w3.org/2000/svg" width="80" height="80" viewBox="0 0 80 80">
                 <rect width="80" height="80" fill="${colors[colorIndex]}"/>
                 <text x="40" y="45" font-family="Arial, sans-serif" font-size="24" font-weight="bold" 
-                      text-anchor="middle" fill="white">${initials}</text>
+                      text-anchor="middle" fill="white">${this.escapeHtml(initials)}</text>
             </svg>
         `)}`;
     }
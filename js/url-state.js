@@ -0,0 +1,129 @@
+/**
+ * URL State Module
+ * Two-way mapping between app state and the query string / hash
+ *
+ * ?q=solana&location=Europe%2FPortugal&role=engineering&cohort=2024-09&tag=AI&tag=Rust&match=all&joined=30d&sort=name&view=list#member=alice
+ * ?view=map&area=-9.19,38.67;-9.09,38.67;-9.09,38.77;-9.19,38.77&place=Lisbon%2C+Portugal
+ */
+
+class UrlState {
+    constructor() {
+        // State key → query parameter, with the default that is left out of the URL
+        this.params = {
+            search: { name: 'q', default: '' },
+            location: { name: 'location', default: '' },
+            cohort: { name: 'cohort', default: '' },
+            sort: { name: 'sort', default: 'recent' },
+            view: { name: 'view', default: 'grid' },
+            mode: { name: 'mode', default: 'keyword' },
+            tagMode: { name: 'match', default: 'any' },
+            joined: { name: 'joined', default: '' },  // '7d', '30d', '90d', 'new' or 'YYYY-MM-DD..YYYY-MM-DD'
+            area: { name: 'area', default: '' },      // map area polygon, see formatArea
+            areaLabel: { name: 'place', default: '' },
+            favoritesOnly: { name: 'favorites', default: '' }  // '1' when on
+        };
+
+        // Repeated parameters for multi-value state
+        this.listParams = {
+            tags: { name: 'tag' },
+            roles: { name: 'role' },
+            labels: { name: 'label' }     // private labels, which only mean something in this browser
+        };
+    }
+
+    /**
+     * Read state from the current (or given) location
+     */
+    read(location = window.location) {
+        const query = new URLSearchParams(location.search);
+        const state = {};
+
+        Object.entries(this.params).forEach(([key, { name, default: fallback }]) => {
+            state[key] = query.get(name) ?? fallback;
+        });
+
+        Object.entries(this.listParams).forEach(([key, { name }]) => {
+            state[key] = query.getAll(name).filter(value => value);
+        });
+
+        const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+        state.member = hash.get('member') || null;
+
+        return state;
+    }
+
+    /**
+     * Check whether the URL carries anything beyond the defaults
+     */
+    hasState(state) {
+        return Object.entries(this.params).some(([key, param]) => state[key] !== param.default) ||
+               Object.keys(this.listParams).some(key => state[key].length > 0) ||
+               !!state.member;
+    }
+
+    /**
+     * Map area ({ label, polygon }) as URL text: "lon,lat;lon,lat;..." rounded to 0.01° (about 1 km)
+     */
+    formatArea(area) {
+        if (!area) return '';
+        return area.polygon.map(point => point.map(value => Math.round(value * 100) / 100).join(',')).join(';');
+    }
+
+    /**
+     * Map area from URL text, or null when it isn't a polygon
+     */
+    parseArea(text, label) {
+        const polygon = (text || '').split(';').map(point => point.split(',').map(Number));
+        if (polygon.length < 3 || polygon.some(point => point.length !== 2 || !point.every(Number.isFinite))) {
+            return null;
+        }
+        return { label: label || 'the drawn region', polygon };
+    }
+
+    /**
+     * Build a relative URL for the given state
+     */
+    toUrl(state) {
+        const query = new URLSearchParams();
+
+        Object.entries(this.params).forEach(([key, { name, default: fallback }]) => {
+            const value = state[key];
+            if (value !== undefined && value !== null && value !== fallback) {
+                query.set(name, value);
+            }
+        });
+
+        Object.entries(this.listParams).forEach(([key, { name }]) => {
+            (state[key] || []).forEach(value => query.append(name, value));
+        });
+
+        const search = query.toString();
+        const hash = state.member ? `#member=${encodeURIComponent(state.member)}` : '';
+
+        return `${window.location.pathname}${search ? `?${search}` : ''}${hash}`;
+    }
+
+    /**
+     * Write state to the URL. Typing in the search box only replaces the entry;
+     * any other change pushes a new history entry so back/forward steps through it.
+     */
+    write(state) {
+        const url = this.toUrl(state);
+        const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url === current) return;
+
+        const previous = this.read();
+        const onlySearchChanged = Object.keys(this.params).every(key => key === 'search' || previous[key] === (state[key] ?? this.params[key].default)) &&
+            Object.keys(this.listParams).every(key => (previous[key] || []).join('\n') === (state[key] || []).join('\n')) &&
+            previous.member === (state.member || null);
+
+        if (onlySearchChanged) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+}
+
+// Export for use in other modules
+window.UrlState = UrlState;
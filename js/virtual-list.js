@@ -0,0 +1,141 @@
+/**
+ * Virtual List Module
+ * Windowed rendering for long grids and lists: only rows near the viewport are in the DOM
+ */
+
+class VirtualList {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.renderItem = options.renderItem;
+        this.buffer = options.buffer ?? 3;           // Extra rows above and below the viewport
+        this.layout = { className: '', gap: 0, columns: () => 1 };
+
+        this.items = [];
+        this.rowHeight = options.estimatedRowHeight || 240;
+        this.range = { first: -1, last: -1 };
+        this.frame = null;
+
+        this.window = document.createElement('div');
+        this.container.innerHTML = '';
+        this.container.appendChild(this.window);
+
+        this.onScroll = () => this.scheduleUpdate();
+        window.addEventListener('scroll', this.onScroll, { passive: true });
+        window.addEventListener('resize', this.onScroll);
+    }
+
+    /**
+     * Set the layout: wrapper classes, row gap in px and a column-count function
+     */
+    setLayout(layout) {
+        this.layout = { ...this.layout, ...layout };
+        this.window.className = `virtual-window ${this.layout.className}`;
+        if (layout.estimatedRowHeight) {
+            this.rowHeight = layout.estimatedRowHeight;
+        }
+        this.range = { first: -1, last: -1 };
+    }
+
+    /**
+     * Replace the items. By default the page scrolls back to the top of the list;
+     * preserveScroll keeps the current position (e.g. after a re-sort).
+     */
+    setItems(items, { preserveScroll = false } = {}) {
+        this.items = items;
+        this.range = { first: -1, last: -1 };
+
+        if (!preserveScroll) {
+            const top = this.container.getBoundingClientRect().top;
+            if (top < 0) {
+                window.scrollBy(0, top - 16);
+            }
+        }
+
+        this.update();
+    }
+
+    /**
+     * Index of the first item currently in view
+     */
+    getFirstVisibleIndex() {
+        const offset = Math.max(0, -this.container.getBoundingClientRect().top);
+        return Math.floor(offset / this.rowHeight) * this.getColumns();
+    }
+
+    /**
+     * Scroll so the given item's row is at the top of the viewport
+     */
+    scrollToIndex(index) {
+        const row = Math.floor(index / this.getColumns());
+        const top = this.container.getBoundingClientRect().top + row * this.rowHeight;
+        window.scrollBy(0, top);
+        this.update();
+    }
+
+    /**
+     * Re-render the rows in view, e.g. after an item's state changed
+     */
+    refresh() {
+        this.range = { first: -1, last: -1 };
+        this.update();
+    }
+
+    getColumns() {
+        return Math.max(1, this.layout.columns());
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    /**
+     * Render the rows intersecting the viewport (plus buffer) and pad the rest
+     */
+    update() {
+        // Hidden containers have no geometry to work with
+        if (!this.container.offsetParent && this.items.length > 0) return;
+
+        const columns = this.getColumns();
+        const totalRows = Math.ceil(this.items.length / columns);
+        const viewportTop = Math.max(0, -this.container.getBoundingClientRect().top);
+        const viewportRows = Math.ceil(window.innerHeight / this.rowHeight);
+
+        const first = Math.max(0, Math.floor(viewportTop / this.rowHeight) - this.buffer);
+        const last = Math.min(totalRows, first + viewportRows + this.buffer * 2);
+
+        if (first === this.range.first && last === this.range.last && columns === this.range.columns) return;
+        this.range = { first, last, columns };
+
+        const visible = this.items.slice(first * columns, last * columns);
+        this.window.innerHTML = visible.map(item => this.renderItem(item)).join('');
+
+        // Learn the real row height from what was just rendered
+        const renderedRows = last - first;
+        if (renderedRows > 0) {
+            const measured = (this.window.offsetHeight + this.layout.gap) / renderedRows;
+            if (measured > 0 && Math.abs(measured - this.rowHeight) > 1) {
+                this.rowHeight = measured;
+                this.scheduleUpdate();
+            }
+        }
+
+        this.container.style.paddingTop = `${first * this.rowHeight}px`;
+        this.container.style.paddingBottom = `${Math.max(0, totalRows - last) * this.rowHeight}px`;
+    }
+
+    destroy() {
+        window.removeEventListener('scroll', this.onScroll);
+        window.removeEventListener('resize', this.onScroll);
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.container.style.paddingTop = '';
+        this.container.style.paddingBottom = '';
+        this.container.innerHTML = '';
+    }
+}
+
+// Export for use in other modules
+window.VirtualList = VirtualList;
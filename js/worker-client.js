@@ -0,0 +1,153 @@
+/**
+ * Worker Client Module
+ * Promise-based messaging with the data worker, with cancellation of stale requests
+ */
+
+class WorkerCancelledError extends Error {
+    constructor(method) {
+        super(`${method} was superseded by a newer request`);
+        this.name = 'WorkerCancelledError';
+    }
+}
+
+class WorkerClient {
+    constructor(scriptUrl) {
+        this.worker = new Worker(scriptUrl);
+        this.nextId = 1;
+        this.pending = new Map();
+        this.channels = new Map();
+
+        // Called once if the worker dies, before pending calls reject, so the owner can take over
+        this.onFailure = null;
+        this.failed = false;
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => {
+            console.error('Data worker error:', e.message);
+            this.fail(new Error(e.message || 'Data worker failed'));
+        });
+    }
+
+    /**
+     * Create a client, or null when workers aren't available (e.g. opened from file://)
+     */
+    static create(scriptUrl) {
+        if (typeof Worker === 'undefined') return null;
+
+        try {
+            return new WorkerClient(scriptUrl);
+        } catch (error) {
+            console.warn('Web Worker unavailable, processing on the main thread:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Call a worker method. Requests sharing a channel are coalesced: only one runs at a time,
+     * only the newest waiting request is kept, and superseded ones reject with WorkerCancelledError.
+     */
+    call(method, args = [], options = {}) {
+        if (this.failed) {
+            return Promise.reject(new Error('Data worker failed'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { method, args, context: options.context, resolve, reject, superseded: false };
+            const channel = options.channel;
+
+            if (!channel) {
+                this.send(request);
+                return;
+            }
+
+            const state = this.channels.get(channel) || { active: null, queued: null };
+            this.channels.set(channel, state);
+
+            if (state.queued) {
+                state.queued.reject(new WorkerCancelledError(state.queued.method));
+            }
+
+            if (state.active) {
+                // The running request's answer will be stale; drop it when it arrives
+                state.active.superseded = true;
+                state.queued = request;
+            } else {
+                this.startChannelRequest(channel, request);
+            }
+        });
+    }
+
+    startChannelRequest(channel, request) {
+        const state = this.channels.get(channel);
+        state.active = request;
+        state.queued = null;
+
+        request.onSettled = () => {
+            state.active = null;
+            if (state.queued) {
+                this.startChannelRequest(channel, state.queued);
+            }
+        };
+
+        this.send(request);
+    }
+
+    send(request) {
+        const id = this.nextId++;
+        this.pending.set(id, request);
+        this.worker.postMessage({ id, method: request.method, args: request.args, context: request.context });
+    }
+
+    handleMessage({ id, result, error, state }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+
+        if (request.superseded) {
+            request.reject(new WorkerCancelledError(request.method));
+        } else if (error) {
+            const failure = error.name === 'QueryParseError'
+                ? new QueryParseError(error.message, error.position)
+                : Object.assign(new Error(error.message), { name: error.name });
+            request.reject(failure);
+        } else {
+            request.resolve({ result, state });
+        }
+
+        request.onSettled?.();
+    }
+
+    /**
+     * The worker is gone for good: stop it, hand over to the owner and reject what's pending
+     */
+    fail(error) {
+        if (this.failed) return;
+        this.failed = true;
+        this.worker.terminate();
+
+        try {
+            this.onFailure?.(error);
+        } finally {
+            this.failAll(error);
+        }
+    }
+
+    failAll(error) {
+        const requests = [...this.pending.values()];
+        this.pending.clear();
+
+        requests.forEach(request => {
+            request.reject(error);
+            request.onSettled?.();
+        });
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.failAll(new Error('Data worker terminated'));
+    }
+}
+
+// Export for use in other modules
+window.WorkerCancelledError = WorkerCancelledError;
+window.WorkerClient = WorkerClient;